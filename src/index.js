@@ -1,23 +1,65 @@
+const path = require('path');
 const RedisService = require('./services/redisService');
-const MqttService = require('./services/mqttService');
+const MqttBrokerGroup = require('./services/mqttBrokerGroup');
+const CommandService = require('./services/commandService');
+const AdminServer = require('./services/adminServer');
+const MetricsServer = require('./services/metricsServer');
+const ConfigWatcher = require('./services/configWatcher');
+const DiscoveryService = require('./services/discoveryService');
+const SparkplugService = require('./services/sparkplugService');
+const BridgeService = require('./services/bridgeService');
+const AlarmService = require('./services/alarmService');
+const CalcService = require('./services/calcService');
+const RollupService = require('./services/rollupService');
+const HistoryStore = require('./services/historyStore');
 const SensorProcessor = require('./utils/sensorProcessor');
+const SensorHealthTracker = require('./utils/sensorHealthTracker');
+const SchemaValidator = require('./utils/schemaValidator');
 const Config = require('./utils/config');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { classifyChanges, isReloadable } = require('./utils/configReload');
 const { getUnitByCode } = require('./utils/unit');
 
 class MqttPushService {
   constructor() {
     this.config = Config.getInstance();
+    logger.level = this.config.get('LOG_LEVEL');
     this.redisService = null;
     this.mqttService = null;
+    this.commandServices = [];
+    this.adminServer = null;
+    this.metricsServer = null;
+    this.configWatchers = [];
+    this.configReload = Promise.resolve(); // 依序執行配置重新載入
+    this.discoveryService = null;
+    this.sparkplugService = null;
+    this.bridgeService = null;
+    this.alarmService = null;
+    this.calcService = null;
+    this.rollupService = null;
+    this.historyStore = null;
+    this.schemaValidator = null;
+    this.sensorHealth = this.config.get('SENSOR_HEALTH_ENABLED') ? new SensorHealthTracker(this.config.getAll()) : null;
+    this.healthTimer = null;
     this.sensorProcessor = new SensorProcessor();
     this.isRunning = false;
+    this.isPaused = false;
     this.pollTimer = null;
+    this.isPolling = false;
+    this.inputMode = null; // poll 或 event
+    this.eventTimer = null;
+    this.pendingKeys = new Set();
+    this.snapshotCycle = 0; // 感測器數值快照的讀取次數
     this.stats = {
       startTime: new Date(),
       totalPublished: 0,
       lastPublishTime: null,
-      errors: 0
+      errors: 0,
+      errorsByStage: {}, // 處理階段 -> 錯誤數量
+      skippedPolls: 0,
+      configReloads: 0,
+      lastConfigReload: null
     };
   }
 
@@ -35,10 +77,59 @@ class MqttPushService {
       this.redisService = new RedisService(this.config.getAll());
       await this.redisService.connect();
 
-      // 初始化MQTT服務
-      this.mqttService = new MqttService(this.config.getAll());
+      // 初始化MQTT服務（主要代理及 MQTT_BROKERS 列出的其他代理）
+      this.mqttService = new MqttBrokerGroup(this.config.getAll());
+      const primaryBroker = this.mqttService.getPrimary();
+
+      // Sparkplug B輸出模式需在連線前設定NDEATH遺囑，Edge Node ID預設使用DeviceSN
+      if (this.config.get('OUTPUT_PROFILE') === 'sparkplug') {
+        const deviceData = await this.redisService.getDeviceInfo();
+        this.sparkplugService = new SparkplugService(this.config.getAll(), primaryBroker, deviceData.deviceSN);
+        primaryBroker.setSparkplugService(this.sparkplugService);
+      }
+
+      // 載入Redis鍵映射檔案（設定無效時拒絕啟動）
+      if (this.config.get('BRIDGE_MAPPINGS_FILE')) {
+        this.bridgeService = new BridgeService(this.config.getAll(), this.redisService, this.mqttService);
+      }
+
+      // 初始化calc算式及虛擬感測器計算
+      if (this.config.get('CALC_ENABLED')) {
+        this.calcService = new CalcService(this.config.getAll(), this.redisService);
+      }
+
+      // 初始化時間窗彙總統計（時間窗設定無效時拒絕啟動）
+      if (this.config.get('ROLLUP_ENABLED')) {
+        this.rollupService = new RollupService(this.config.getAll(), this.mqttService);
+      }
+
+      // 初始化本地歷史資料
+      if (this.config.get('HISTORY_ENABLED')) {
+        this.historyStore = new HistoryStore(this.config.getAll());
+      }
+
+      // 初始化Redis輸入資料驗證（schema無效時拒絕啟動）
+      if (this.config.get('SCHEMA_VALIDATION') !== 'off') {
+        this.schemaValidator = new SchemaValidator(this.config.getAll());
+      }
+
+      // 初始化警報服務
+      if (this.config.get('ALARM_ENABLED')) {
+        this.alarmService = new AlarmService(this.config.getAll(), this.mqttService);
+      }
+
       await this.mqttService.connect();
 
+      if (this.sparkplugService) {
+        await this.sparkplugService.start();
+      }
+
+      // 初始化Home Assistant自動探索
+      if (this.config.get('HA_DISCOVERY_ENABLED')) {
+        this.discoveryService = new DiscoveryService(this.config.getAll(), primaryBroker);
+        await this.discoveryService.start();
+      }
+
       logger.info('MQTT推送服務初始化完成');
       
     } catch (error) {
@@ -67,15 +158,51 @@ class MqttPushService {
         await this.registerDevice();
      
 
+      // 啟動遠端指令通道
+      if (this.config.get('COMMAND_CHANNEL_ENABLED')) {
+        await this.startCommandChannel();
+      }
+
+      // 啟動時間窗計時器（需在首次同步前，才能累計第一批讀值）
+      if (this.rollupService) {
+        this.rollupService.start();
+      }
+
       // 立即執行一次數據同步
       await this.processSensorData();
 
-      // 開始定期輪詢
-      this.startPolling();
+      // 事件驅動模式無法使用時退回定期輪詢
+      if (this.config.get('INPUT_MODE') === 'event' && await this.startEventMode()) {
+        this.inputMode = 'event';
+        logger.info('使用事件驅動模式，依Redis鍵空間通知發布資料');
+
+        // 事件驅動模式下數值停止更新時不會收到通知，需定期檢查感測器狀態
+        if (this.sensorHealth) {
+          this.startHealthCheck();
+        }
+      } else {
+        this.inputMode = 'poll';
+        this.startPolling();
+      }
+
+      // 啟動HTTP管理介面
+      if (this.config.get('HTTP_ENABLED')) {
+        this.adminServer = new AdminServer(this.config.getAll(), this);
+        await this.adminServer.start();
+      }
+
+      // 啟動Prometheus指標端點
+      if (this.config.get('METRICS_ENABLED')) {
+        this.metricsServer = new MetricsServer(this.config.getAll(), this);
+        await this.metricsServer.start();
+      }
 
       // 設置優雅關閉
       this.setupGracefulShutdown();
 
+      // 監看配置檔案及SIGHUP，重新載入配置
+      this.setupConfigReload();
+
     } catch (error) {
       logger.error('啟動服務失敗:', error);
       await this.stop();
@@ -106,11 +233,33 @@ class MqttPushService {
       await this.mqttService.publishDeviceRegistration(deviceData);
 
       logger.info(`設備註冊完成 - SN: ${deviceData.deviceSN}, IP: ${deviceData.ip}`);
+      return true;
 
     } catch (error) {
       logger.error('設備註冊失敗:', error);
       // 註冊失敗不應該阻止服務啟動，只記錄錯誤
-      this.stats.errors++;
+      this.recordError('registration');
+      return false;
+    }
+  }
+
+  /**
+   * 啟動遠端指令通道（每個啟用command資料流的代理各一個）
+   */
+  async startCommandChannel() {
+    try {
+      const deviceData = await this.redisService.getDeviceInfo();
+
+      for (const broker of this.mqttService.getBrokers('command')) {
+        const commandService = new CommandService(broker.config, broker, this);
+        await commandService.start(deviceData.deviceSN);
+        this.commandServices.push(commandService);
+      }
+
+    } catch (error) {
+      logger.error('啟動指令通道失敗:', error);
+      // 指令通道失敗不應該阻止服務啟動，只記錄錯誤
+      this.recordError('command');
     }
   }
 
@@ -123,14 +272,336 @@ class MqttPushService {
 
     this.pollTimer = setInterval(async () => {
       try {
-        await this.processSensorData();
+        // 上一次處理尚未完成（例如代理回應緩慢）時略過，避免發布請求累積
+        if (!await this.runExclusive(() => this.processSensorData())) {
+          this.stats.skippedPolls++;
+          metrics.cycles.inc({ result: 'skipped' });
+          logger.warn('上一次輪詢尚未完成，略過此次處理');
+        }
       } catch (error) {
         logger.error('定期輪詢時發生錯誤:', error);
-        this.stats.errors++;
+        this.recordError('poll');
       }
     }, interval);
   }
 
+  /**
+   * 執行處理工作，同一時間只執行一個（定期輪詢、手動發布共用）
+   * @param {Function} task - 處理工作 () => Promise
+   * @returns {Promise<boolean>} 是否已執行，上一次處理尚未完成時為false
+   */
+  async runExclusive(task) {
+    if (this.isPolling) {
+      return false;
+    }
+
+    this.isPolling = true;
+    try {
+      await task();
+    } finally {
+      this.isPolling = false;
+    }
+    return true;
+  }
+
+  /**
+   * 立即執行一次資料發布
+   * @returns {Promise<boolean>} 是否已執行，處理進行中時為false
+   */
+  publishNow() {
+    return this.runExclusive(() => this.processSensorData());
+  }
+
+  /**
+   * 暫停定期輪詢（事件驅動模式下暫停處理鍵值變更）
+   */
+  pausePolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    this.isPaused = true;
+    logger.info('輪詢已暫停');
+  }
+
+  /**
+   * 恢復定期輪詢
+   */
+  resumePolling() {
+    if (!this.isPaused) {
+      return;
+    }
+
+    this.isPaused = false;
+
+    if (this.inputMode === 'poll' && !this.pollTimer) {
+      this.startPolling();
+    }
+
+    logger.info('輪詢已恢復');
+  }
+
+  /**
+   * 啟動事件驅動模式（Redis鍵空間通知）
+   * @returns {Promise<boolean>} 是否成功啟動
+   */
+  async startEventMode() {
+    try {
+      if (!await this.redisService.enableKeyspaceNotifications()) {
+        logger.warn('Redis鍵空間通知不可用，改用定期輪詢');
+        return false;
+      }
+
+      this.redisService.onSubscriberStatus(status => this.handleSubscriberStatus(status));
+      await this.watchChangedKeys();
+
+      return true;
+
+    } catch (error) {
+      logger.error('啟動事件驅動模式失敗，改用定期輪詢:', error);
+      this.recordError('event_mode');
+      return false;
+    }
+  }
+
+  /**
+   * 依目前的感測器列表及映射更新監聽的鍵，映射的pattern以鍵樣式訂閱
+   */
+  async watchChangedKeys() {
+    await this.redisService.watchKeys(await this.getWatchedKeys(), (key, event) => {
+      this.handleKeyChange(key, event);
+    }, this.bridgeService ? this.bridgeService.getPatterns() : []);
+  }
+
+  /**
+   * 獲取事件驅動模式需監聽的鍵（不含pattern映射，由鍵樣式訂閱涵蓋）
+   * @returns {Promise<Array>} 鍵名陣列
+   */
+  async getWatchedKeys() {
+    const sensorIds = await this.getSensorIds() || [];
+    const bridgeKeys = this.bridgeService ? this.bridgeService.getKeys() : [];
+    return Array.from(new Set([...this.getFixedKeys(), ...sensorIds, ...bridgeKeys]));
+  }
+
+  /**
+   * 鍵空間通知的訂閱連接中斷時改用定期輪詢，恢復後回到事件驅動模式
+   * @param {string} status - 'lost' 或 'restored'
+   */
+  handleSubscriberStatus(status) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (status === 'lost' && this.inputMode === 'event') {
+      this.inputMode = 'poll';
+      logger.warn('Redis鍵空間通知中斷，暫時改用定期輪詢');
+      this.recordError('event_mode');
+
+      // 輪詢週期會檢查感測器狀態
+      if (this.healthTimer) {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+      }
+      if (!this.isPaused && !this.pollTimer) {
+        this.startPolling();
+      }
+      return;
+    }
+
+    if (status === 'restored' && this.inputMode === 'poll' && this.config.get('INPUT_MODE') === 'event') {
+      this.restoreEventMode().catch(error => {
+        logger.error('恢復事件驅動模式失敗:', error);
+        this.recordError('event_mode');
+      });
+    }
+  }
+
+  /**
+   * 訂閱連接恢復後停止定期輪詢並回到事件驅動模式
+   */
+  async restoreEventMode() {
+    if (!await this.startEventMode()) {
+      return;
+    }
+
+    // 恢復前已再次中斷時維持輪詢
+    if (this.redisService.subscriberLost) {
+      return;
+    }
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.inputMode = 'event';
+    if (this.sensorHealth && !this.healthTimer) {
+      this.startHealthCheck();
+    }
+    logger.info('Redis鍵空間通知已恢復，回到事件驅動模式');
+
+    // 中斷期間的變更沒有通知，完整處理一次
+    await this.publishNow();
+  }
+
+  /**
+   * 獲取固定讀取的Redis鍵（感測器列表、飼養天數及設備資訊）
+   * @returns {Array} 鍵名陣列
+   */
+  getFixedKeys() {
+    return [
+      this.config.get('SENSOR_DATA_KEY'),
+      this.config.get('FEED_DAY_KEY'),
+      this.config.get('DEVICE_SN_KEY'),
+      this.config.get('DEVICE_IP_KEY')
+    ];
+  }
+
+  /**
+   * 處理鍵值變更通知（短時間內的多次寫入合併處理）
+   * @param {string} key - 變更的鍵
+   * @param {string} event - 事件名稱
+   */
+  handleKeyChange(key, event) {
+    if (this.isPaused) {
+      return;
+    }
+
+    // 刪除或過期的鍵沒有資料可發布
+    if (['del', 'expired', 'evicted'].includes(event)) {
+      logger.debug(`鍵 ${key} 已${event}，略過`);
+      if (this.sensorHealth) {
+        this.sensorHealth.markAbsent(key);
+      }
+      return;
+    }
+
+    this.pendingKeys.add(key);
+    this.schedulePendingKeys();
+  }
+
+  /**
+   * 等待EVENT_DEBOUNCE後處理累積的變更鍵（合併短時間內的多次變更）
+   */
+  schedulePendingKeys() {
+    if (!this.eventTimer) {
+      this.eventTimer = setTimeout(() => {
+        this.eventTimer = null;
+        const keys = this.pendingKeys;
+        this.pendingKeys = new Set();
+
+        this.processChangedKeys(keys).catch(error => {
+          logger.error('處理鍵值變更時發生錯誤:', error);
+          this.recordError('key_change');
+        });
+      }, this.config.get('EVENT_DEBOUNCE'));
+    }
+  }
+
+  /**
+   * 只發布受變更影響的資料流
+   * @param {Set} keys - 變更的鍵集合
+   */
+  async processChangedKeys(keys) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (!this.redisService.isReady() || !this.mqttService.canPublish()) {
+      logger.warn('服務未就緒，跳過鍵值變更處理');
+      metrics.cycles.inc({ result: 'skipped' });
+      return;
+    }
+
+    // 與輪詢及上一次變更處理互斥，處理進行中時將鍵放回待處理集合稍後再試
+    const processed = await this.runExclusive(async () => {
+      logger.debug(`處理鍵值變更: ${Array.from(keys).join(', ')}`);
+
+      try {
+        await this.measureStage('cycle', () => this.processKeys(keys));
+        metrics.cycles.inc({ result: 'completed' });
+      } catch (error) {
+        metrics.cycles.inc({ result: 'failed' });
+        throw error;
+      }
+    });
+
+    if (!processed) {
+      logger.debug('上一次處理尚未完成，稍後處理鍵值變更');
+      keys.forEach(key => this.pendingKeys.add(key));
+      this.schedulePendingKeys();
+    }
+  }
+
+  /**
+   * 依變更的鍵處理並發布對應的資料
+   * @param {Set} keys - 變更的鍵集合
+   */
+  async processKeys(keys) {
+    // 設備資訊變更時重新註冊
+    if (keys.has(this.config.get('DEVICE_SN_KEY')) || keys.has(this.config.get('DEVICE_IP_KEY'))) {
+      await this.registerDevice();
+    }
+
+    // 感測器列表變更時重新發布seninf，並更新監聽的感測器鍵
+    if (keys.has(this.config.get('SENSOR_DATA_KEY'))) {
+      await this.measureStage('seninf', () => this.processSeninfData());
+      await this.watchChangedKeys();
+    }
+
+    if (keys.has(this.config.get('FEED_DAY_KEY'))) {
+      const deviceData = await this.redisService.getDeviceInfo();
+      await this.measureStage('feeding', () => this.processFeedingData(deviceData.deviceSN));
+    }
+
+    const fixedKeys = this.getFixedKeys();
+    const changedKeys = Array.from(keys).filter(key => !fixedKeys.includes(key));
+
+    // 映射檔案中的鍵依映射發布，其餘視為感測器數值
+    const bridgeKeys = this.bridgeService
+      ? changedKeys.filter(key => this.bridgeService.findMapping(key))
+      : [];
+    const sensorIds = changedKeys.filter(key => !bridgeKeys.includes(key));
+
+    if (sensorIds.length > 0) {
+      await this.measureStage('sensor_values', () => this.processIndividualSensorValues(sensorIds));
+    }
+
+    if (bridgeKeys.length > 0) {
+      const deviceData = await this.redisService.getDeviceInfo();
+      await this.measureStage('bridge', () => this.processBridgeData(deviceData.deviceSN, bridgeKeys));
+    }
+  }
+
+  /**
+   * 修改輪詢間隔並重新啟動輪詢
+   * @param {number} interval - 輪詢間隔（毫秒）
+   */
+  setPollInterval(interval) {
+    this.config.set('POLL_INTERVAL', interval);
+    this.restartPolling();
+
+    logger.info(`輪詢間隔已修改為 ${interval}ms`);
+  }
+
+  /**
+   * 以目前的輪詢間隔重新啟動輪詢及感測器狀態檢查（暫停或事件驅動模式下不啟動輪詢）
+   */
+  restartPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      this.startPolling();
+    }
+
+    // 事件驅動模式的狀態檢查同樣使用POLL_INTERVAL
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      this.startHealthCheck();
+    }
+  }
+
   /**
    * 處理感測器資料
    */
@@ -144,59 +615,115 @@ class MqttPushService {
       // 檢查連接狀態
       if (!this.redisService.isReady()) {
         logger.warn('Redis未就緒，跳過此次處理');
+        metrics.cycles.inc({ result: 'skipped' });
         return;
       }
 
-      if (!this.mqttService.isReady()) {
+      // 啟用離線佇列時，MQTT離線期間的資料會寫入佇列待重連後補發
+      if (!this.mqttService.canPublish()) {
         logger.warn('MQTT未就緒，跳過此次處理');
+        metrics.cycles.inc({ result: 'skipped' });
         return;
       }
 
-      // 從Redis讀取感測器資料
-      const sensorDataKey = this.config.get('SENSOR_DATA_KEY');
-      const rawSensorData = await this.redisService.getSensorData(sensorDataKey);
+      await this.measureStage('cycle', async () => {
+        // 處理並發布感測器列表
+        const deviceName = await this.measureStage('seninf', () => this.processSeninfData());
+        if (!deviceName) {
+          return;
+        }
 
-      if (!rawSensorData || rawSensorData.length === 0) {
-        logger.debug('未找到感測器資料');
-        return;
-      }
+        // 處理並發布飼養數據
+        await this.measureStage('feeding', () => this.processFeedingData(deviceName));
 
-      // 直接打印原始感測器數據
-      console.log('=== 原始感測器數據 ===');
-      console.log(JSON.stringify(rawSensorData, null, 2));
-      console.log('=== 原始數據結束 ===');
+        // 同時處理個別感測器數值
+        await this.measureStage('sensor_values', () => this.processIndividualSensorValues());
 
-      // 處理感測器資料
-      const processedData = this.sensorProcessor.processAndFormat(rawSensorData);
-      
-      if (processedData.length === 0) {
-        logger.warn('處理後無有效感測器資料');
-        return;
-      }
+        // 處理映射檔案中宣告的其他Redis鍵
+        await this.measureStage('bridge', () => this.processBridgeData(deviceName));
+      });
+      metrics.cycles.inc({ result: 'completed' });
 
-      // 讀取設備資訊以獲取統一的設備名稱
-      const deviceData = await this.redisService.getDeviceInfo();
-      const deviceName = deviceData.deviceSN;
+    } catch (error) {
+      logger.error('處理感測器資料時發生錯誤:', error);
+      this.recordError('sensor_data');
+      metrics.cycles.inc({ result: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * 處理並發布感測器列表（seninf）
+   * @returns {Promise<string|null>} 設備名稱，無感測器資料時為null
+   */
+  async processSeninfData() {
+    // 從Redis讀取感測器資料
+    const rawSensorData = await this.readSensorList();
+
+    if (!rawSensorData || rawSensorData.length === 0) {
+      logger.debug('未找到感測器資料');
+      return null;
+    }
 
+    // 直接打印原始感測器數據
+    console.log('=== 原始感測器數據 ===');
+    console.log(JSON.stringify(rawSensorData, null, 2));
+    console.log('=== 原始數據結束 ===');
+
+    // 處理感測器資料
+    const processedData = this.sensorProcessor.processAndFormat(rawSensorData);
+    
+    if (processedData.length === 0) {
+      logger.warn('處理後無有效感測器資料');
+      return null;
+    }
+
+    metrics.cycleSensors.set({ source: 'seninf' }, processedData.length);
+
+    // 數值停滯或缺失的感測器以追蹤狀態取代配置推導的狀態
+    if (this.sensorHealth) {
+      processedData.forEach(sensorData => {
+        const status = this.sensorHealth.getStatus(sensorData.device_info.serial_number);
+        if (status === 'stale' || status === 'missing') {
+          sensorData.device_info.status = status;
+        }
+      });
+    }
+
+    // 保存seninf快照供日後查詢
+    if (this.historyStore) {
+      this.historyStore.recordSeninf(processedData);
+    }
+
+    // 讀取設備資訊以獲取統一的設備名稱
+    const deviceData = await this.redisService.getDeviceInfo();
+    const deviceName = deviceData.deviceSN;
+
+    if (this.sparkplugService) {
+      // Sparkplug B模式以DBIRTH/DDEATH反映感測器列表
+      await this.sparkplugService.updateDevices(rawSensorData);
+      this.updateStats(processedData.length, []);
+    } else {
       // 發布到MQTT，使用統一的設備名稱
       const results = await this.mqttService.publishBatchSensorDataWithDeviceName(processedData, deviceName);
       
       // 更新統計資訊
       this.updateStats(processedData.length, results);
+    }
 
-      logger.info(`成功處理並發布 ${processedData.length} 個感測器資料`);
-
-      // 處理並發布飼養數據
-      await this.processFeedingData(deviceName);
+    logger.info(`成功處理並發布 ${processedData.length} 個感測器資料`);
 
-      // 同時處理個別感測器數值
-      await this.processIndividualSensorValues();
+    // 發布Home Assistant自動探索配置
+    if (this.discoveryService) {
+      await this.discoveryService.publishDiscovery(deviceName, rawSensorData);
+    }
 
-    } catch (error) {
-      logger.error('處理感測器資料時發生錯誤:', error);
-      this.stats.errors++;
-      throw error;
+    // 感測器列表更新後核對進行中的警報（感測器或代碼已移除、上下限改變）
+    if (this.alarmService) {
+      await this.alarmService.reconcile(deviceName, await this.getSensorMetadata(rawSensorData));
     }
+
+    return deviceName;
   }
 
   /**
@@ -211,7 +738,7 @@ class MqttPushService {
       }
 
       // 檢查連接狀態
-      if (!this.redisService.isReady() || !this.mqttService.isReady()) {
+      if (!this.redisService.isReady() || !this.mqttService.canPublish()) {
         logger.debug('服務未就緒，跳過飼養數據處理');
         return;
       }
@@ -230,21 +757,26 @@ class MqttPushService {
       console.log('=== 原始飼養數據結束 ===');
 
       // 發布飼養數據到MQTT
-      await this.mqttService.publishFeedingData(deviceName, feedingData);
+      if (this.sparkplugService) {
+        await this.sparkplugService.publishFeedingData(feedingData);
+      } else {
+        await this.mqttService.publishFeedingData(deviceName, feedingData);
+      }
       
       logger.info(`成功處理並發布飼養數據，飼養天數: ${feedingData.feedDay}`);
 
     } catch (error) {
       logger.error('處理飼養數據時發生錯誤:', error);
-      this.stats.errors++;
+      this.recordError('feeding');
       // 不拋出錯誤，避免影響主要的感測器資料處理流程
     }
   }
 
   /**
    * 處理個別感測器數值資料
+   * @param {Array|null} targetSensorIds - 指定的感測器序號，未指定時處理SENINF中的全部感測器
    */
-  async processIndividualSensorValues() {
+  async processIndividualSensorValues(targetSensorIds = null) {
     try {
       // 檢查服務狀態
       if (!this.isRunning) {
@@ -252,7 +784,7 @@ class MqttPushService {
       }
 
       // 檢查連接狀態
-      if (!this.redisService.isReady() || !this.mqttService.isReady()) {
+      if (!this.redisService.isReady() || !this.mqttService.canPublish()) {
         logger.debug('服務未就緒，跳過個別感測器數值處理');
         return;
       }
@@ -262,16 +794,12 @@ class MqttPushService {
       const deviceName = deviceData.deviceSN;
 
       // 從SENINF獲取感測器列表，取得所有感測器序號
-      const sensorDataKey = this.config.get('SENSOR_DATA_KEY');
-      const rawSensorData = await this.redisService.getSensorData(sensorDataKey);
+      const sensorIds = targetSensorIds || await this.getSensorIds();
       
-      if (!rawSensorData || rawSensorData.length === 0) {
+      if (!sensorIds) {
         logger.debug('未找到感測器列表，跳過個別感測器數值處理');
         return;
       }
-
-      // 提取所有感測器序號
-      const sensorIds = rawSensorData.map(sensor => sensor.SN).filter(sn => sn);
       
       if (sensorIds.length === 0) {
         logger.debug('未找到有效的感測器序號');
@@ -279,30 +807,246 @@ class MqttPushService {
       }
 
       // 批量讀取所有感測器的數值
-      const sensorValues = await this.redisService.getBatchSensorValues(sensorIds);
+      let sensorValues = await this.redisService.getBatchSensorValues(sensorIds);
+
+      // 驗證讀值格式（strict模式略過無效的數值）
+      if (this.schemaValidator) {
+        const { data, reports } = this.schemaValidator.validateSensorValues(sensorValues);
+        await this.publishValidationReports(reports);
+        sensorValues = data;
+      }
+
+      // 自我描述格式、calc算式及警報判斷需要SENINF中的感測器設定
+      const needsMetadata = this.config.get('SENSOR_VALUE_FORMAT') === 'enriched' || this.calcService || this.alarmService;
+      const sensors = needsMetadata ? await this.getSensorMetadata() : new Map();
+
+      // 套用calc算式並加入虛擬感測器（計算錯誤只影響該數值）
+      if (this.calcService) {
+        sensorValues = await this.calcService.apply(sensorValues, sensors, targetSensorIds);
+      }
+
+      if (!targetSensorIds) {
+        metrics.cycleSensors.set({ source: 'values' }, sensorValues.length);
+      }
+
+      // 記錄每個感測器的最後變化時間，並發布上下線事件
+      if (this.sensorHealth) {
+        if (!targetSensorIds) {
+          this.sensorHealth.prune(sensorIds);
+        }
+        this.sensorHealth.record(sensorIds, sensorValues);
+        await this.checkSensorHealth(deviceName);
+      }
       
       if (sensorValues.length === 0) {
         logger.debug('未找到感測器數值資料');
         return;
       }
 
+      if (this.config.get('SENSOR_VALUE_FORMAT') === 'enriched') {
+        sensorValues.forEach(sensorValue => {
+          sensorValue.sensor = sensors.get(sensorValue.sensorId) || null;
+        });
+      }
+
+      // 依上下限判斷警報（不受例外回報影響，每次讀取都會評估）
+      if (this.alarmService) {
+        await this.alarmService.evaluate(deviceName, sensorValues, sensors);
+      }
+
+      // 累計時間窗彙總統計（不受例外回報影響，每次讀取都會累計）
+      if (this.rollupService) {
+        await this.rollupService.add(deviceName, sensorValues);
+      }
+
+      // 保存讀值供雲端遺失資料時補發
+      if (this.historyStore) {
+        this.historyStore.recordValues(sensorValues);
+      }
+
       // 直接打印個別感測器數值數據
       console.log('=== 個別感測器數值數據 ===');
       console.log(JSON.stringify(sensorValues, null, 2));
       console.log('=== 個別感測器數值數據結束 ===');
 
-      // 發布個別感測器數值到對應主題
-      const results = await this.mqttService.publishBatchSensorValues(deviceName, sensorValues);
+      // 發布個別感測器數值到對應主題（Sparkplug B模式發布為DDATA）
+      if (this.sparkplugService) {
+        await this.sparkplugService.publishDeviceData(sensorValues);
+      } else {
+        const layout = this.config.get('SENSOR_VALUE_LAYOUT');
+        if (layout !== 'snapshot') {
+          await this.mqttService.publishBatchSensorValues(deviceName, sensorValues);
+        }
+        // 快照不經過例外回報；事件驅動模式只包含變更的感測器
+        if (layout !== 'topic') {
+          this.snapshotCycle++;
+          await this.mqttService.publishSnapshot(deviceName, {
+            cycleId: this.snapshotCycle,
+            partial: Boolean(targetSensorIds),
+            sensorValues
+          });
+        }
+      }
       
       logger.info(`成功處理並發布 ${sensorValues.length} 個個別感測器數值`);
 
     } catch (error) {
       logger.error('處理個別感測器數值時發生錯誤:', error);
-      this.stats.errors++;
+      this.recordError('sensor_values');
+      // 不拋出錯誤，避免影響主要的感測器資料處理流程
+    }
+  }
+
+  /**
+   * 定期檢查感測器狀態（事件驅動模式使用）
+   */
+  startHealthCheck() {
+    const interval = this.config.get('POLL_INTERVAL');
+
+    this.healthTimer = setInterval(async () => {
+      try {
+        if (!this.redisService.isReady()) {
+          return;
+        }
+        const deviceData = await this.redisService.getDeviceInfo();
+        await this.checkSensorHealth(deviceData.deviceSN);
+      } catch (error) {
+        logger.error('檢查感測器狀態時發生錯誤:', error);
+        this.recordError('sensor_health');
+      }
+    }, interval);
+  }
+
+  /**
+   * 重新計算感測器狀態並發布變化
+   * @param {string} deviceName - 設備名稱
+   */
+  async checkSensorHealth(deviceName) {
+    const changes = this.sensorHealth.evaluate();
+
+    for (const change of changes) {
+      try {
+        await this.mqttService.publishSensorStatus(deviceName, change);
+      } catch (error) {
+        logger.error(`發布感測器 ${change.sensorId} 狀態失敗:`, error);
+        this.recordError('sensor_status');
+      }
+    }
+  }
+
+  /**
+   * 從SENINF建立感測器序號與解碼後感測器設定的對照
+   * @param {Array|null} rawSensorData - 已讀取的SENINF，未提供時從Redis讀取
+   * @returns {Promise<Map>} 感測器序號 -> 處理後的感測器資料
+   */
+  async getSensorMetadata(rawSensorData = null) {
+    const sensorList = rawSensorData || await this.readSensorList();
+    const sensors = this.sensorProcessor.processSensorData(sensorList || []);
+
+    return new Map(sensors.map(sensor => [sensor.SN, sensor]));
+  }
+
+  /**
+   * 處理並發布Redis鍵映射資料
+   * @param {string} deviceName - 設備名稱
+   * @param {Array|null} targetKeys - 指定的鍵，未指定時處理全部映射
+   */
+  async processBridgeData(deviceName, targetKeys = null) {
+    try {
+      if (!this.bridgeService || !this.isRunning) {
+        return;
+      }
+
+      const published = await this.bridgeService.publish(deviceName, targetKeys);
+      this.updateStats(published, []);
+
+    } catch (error) {
+      logger.error('處理Redis鍵映射資料時發生錯誤:', error);
+      this.recordError('bridge');
       // 不拋出錯誤，避免影響主要的感測器資料處理流程
     }
   }
 
+  /**
+   * 從SENINF提取所有感測器序號
+   * @returns {Promise<Array|null>} 感測器序號陣列，未找到感測器列表時為null
+   */
+  async getSensorIds() {
+    const rawSensorData = await this.readSensorList();
+
+    if (!rawSensorData || rawSensorData.length === 0) {
+      return null;
+    }
+
+    return rawSensorData.map(sensor => sensor.SN).filter(sn => sn);
+  }
+
+  /**
+   * 從Redis讀取SENINF感測器列表並驗證格式（strict模式略過無效的感測器）
+   * @returns {Promise<Array>} 感測器資料陣列
+   */
+  async readSensorList() {
+    const sensorDataKey = this.config.get('SENSOR_DATA_KEY');
+    const rawSensorData = await this.redisService.getSensorData(sensorDataKey);
+
+    if (!this.schemaValidator) {
+      return rawSensorData;
+    }
+
+    const { data, reports } = this.schemaValidator.validateSeninf(rawSensorData, sensorDataKey);
+    await this.publishValidationReports(reports);
+    return data;
+  }
+
+  /**
+   * 發布Redis輸入資料的驗證報告（發布失敗不影響資料處理）
+   * @param {Array} reports - 驗證報告
+   */
+  async publishValidationReports(reports) {
+    for (const report of reports) {
+      try {
+        await this.mqttService.publishValidationReport(report);
+      } catch (error) {
+        logger.error(`發布 ${report.source} 驗證報告失敗:`, error);
+      }
+    }
+  }
+
+  /**
+   * 執行處理階段並記錄處理時間
+   * @param {string} stage - 處理階段（cycle, seninf, feeding, sensor_values, bridge）
+   * @param {Function} task - 處理函式
+   * @returns {Promise<*>} 處理函式的結果
+   */
+  async measureStage(stage, task) {
+    const endTimer = metrics.processingSeconds.startTimer({ stage });
+    try {
+      return await task();
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * 記錄錯誤並依處理階段分類
+   * @param {string} stage - 處理階段
+   */
+  recordError(stage) {
+    this.stats.errors++;
+    this.stats.errorsByStage[stage] = (this.stats.errorsByStage[stage] || 0) + 1;
+    metrics.errors.inc({ stage });
+  }
+
+  /**
+   * 更新連線狀態等擷取當下的指標
+   */
+  updateMetrics() {
+    metrics.redisConnected.set(this.redisService?.isReady() ? 1 : 0);
+    if (this.mqttService) {
+      this.mqttService.updateMetrics();
+    }
+  }
+
   /**
    * 更新統計資訊
    * @param {number} publishedCount - 發布數量
@@ -311,6 +1055,7 @@ class MqttPushService {
   updateStats(publishedCount, results) {
     this.stats.totalPublished += publishedCount;
     this.stats.lastPublishTime = new Date();
+    metrics.lastPublishTimestamp.set(this.stats.lastPublishTime.getTime() / 1000);
 
     // 計算失敗數量
     const failedCount = results.filter(result => 
@@ -335,7 +1080,20 @@ class MqttPushService {
       uptime: uptime,
       isRunning: this.isRunning,
       redisConnected: this.redisService?.isReady() || false,
-      mqttConnected: this.mqttService?.isReady() || false
+      mqttConnected: this.mqttService?.isReady() || false,
+      offlineQueue: this.mqttService?.getOfflineQueueStats() || null,
+      calc: this.calcService?.getStats() || null,
+      alarms: this.alarmService?.getStats() || null,
+      rollups: this.rollupService?.getStats() || null,
+      history: this.historyStore?.getStats() || null,
+      sensorHealth: this.sensorHealth?.getStats() || null,
+      validation: this.schemaValidator ? {
+        input: this.schemaValidator.getStats(),
+        output: this.mqttService?.getSchemaValidatorStats() || null
+      } : null,
+      reportByException: this.mqttService?.getChangeDetectorStats() || null,
+      payloadSize: this.mqttService?.getPayloadStats() || null,
+      publish: this.mqttService?.getPublishStats() || null
     };
   }
 
@@ -354,6 +1112,36 @@ class MqttPushService {
         this.pollTimer = null;
       }
 
+      this.configWatchers.forEach(watcher => watcher.stop());
+      this.configWatchers = [];
+
+      // 關閉HTTP管理介面
+      if (this.adminServer) {
+        await this.adminServer.stop();
+        this.adminServer = null;
+      }
+
+      if (this.metricsServer) {
+        await this.metricsServer.stop();
+        this.metricsServer = null;
+      }
+
+      // 停止尚未處理的鍵值變更
+      if (this.eventTimer) {
+        clearTimeout(this.eventTimer);
+        this.eventTimer = null;
+      }
+
+      if (this.healthTimer) {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+      }
+
+      // 在斷線前發布尚未結束的時間窗
+      if (this.rollupService) {
+        await this.rollupService.stop();
+      }
+
       // 關閉連接
       if (this.mqttService) {
         await this.mqttService.disconnect();
@@ -403,11 +1191,187 @@ class MqttPushService {
     });
   }
 
+  /**
+   * 監看配置檔案（config.env及結構化配置檔案）變更並監聽SIGHUP，兩者皆會重新載入配置
+   */
+  setupConfigReload() {
+    process.on('SIGHUP', () => this.reloadConfig('SIGHUP'));
+
+    if (this.config.get('CONFIG_WATCH')) {
+      this.configWatchers = this.config.getConfigFiles().map(filePath => new ConfigWatcher(
+        filePath,
+        () => this.reloadConfig(path.basename(filePath)),
+        this.config.get('CONFIG_WATCH_DEBOUNCE')
+      ));
+      this.configWatchers.forEach(watcher => watcher.start());
+    }
+  }
+
+  /**
+   * 重新載入配置（多次觸發時依序執行）
+   * @param {string} source - 觸發來源
+   * @returns {Promise<Object|null>} 套用結果，新配置無效時為null
+   */
+  reloadConfig(source) {
+    this.configReload = this.configReload.then(() => this.applyConfigReload(source));
+    return this.configReload;
+  }
+
+  /**
+   * 重新載入配置並套用可即時生效的變更
+   * 輪詢間隔及日誌等級直接套用，主題配置下一次發布生效，連線配置改變時重新連接，其餘配置需重新啟動服務
+   * @param {string} source - 觸發來源
+   * @returns {Promise<Object|null>} {applied, restartRequired}，新配置無效時為null
+   */
+  async applyConfigReload(source) {
+    let result;
+    try {
+      result = this.config.reload(isReloadable);
+    } catch (error) {
+      logger.error(`重新載入配置失敗 (${source})，繼續使用目前配置: ${error.message}`);
+      this.recordError('config_reload');
+      return null;
+    }
+
+    const { applied, skipped } = result;
+    if (applied.length === 0 && skipped.length === 0) {
+      logger.info(`配置未變更 (${source})`);
+      return { applied: [], restartRequired: [] };
+    }
+
+    this.stats.configReloads++;
+    this.stats.lastConfigReload = new Date();
+
+    logger.info(`配置已重新載入 (${source})，共 ${applied.length + skipped.length} 項變更:`);
+    [...applied, ...skipped].forEach(({ key, from, to }) => {
+      logger.info(`  ${key}: ${JSON.stringify(this.config.maskValue(key, from))} -> ${JSON.stringify(this.config.maskValue(key, to))}`);
+    });
+
+    const groups = classifyChanges(applied.map(change => change.key));
+
+    if (groups.live.includes('LOG_LEVEL')) {
+      logger.level = this.config.get('LOG_LEVEL');
+      logger.info(`日誌等級已修改為 ${logger.level}`);
+    }
+
+    if (groups.live.includes('POLL_INTERVAL')) {
+      this.restartPolling();
+      logger.info(`輪詢間隔已修改為 ${this.config.get('POLL_INTERVAL')}ms`);
+    }
+
+    if (groups.redis.length > 0 && this.redisService) {
+      try {
+        await this.redisService.reconnect(this.config.getAll(), groups.redis);
+      } catch (error) {
+        logger.error('Redis以新配置重新連接失敗:', error);
+        this.recordError('config_reload');
+      }
+    }
+
+    if ((groups.topics.length > 0 || groups.mqtt.length > 0) && this.mqttService) {
+      const reconnected = await this.mqttService.reload(this.config.getAll());
+      if (reconnected.length > 0) {
+        logger.info(`已重新連接MQTT代理: ${reconnected.join(', ')}`);
+      }
+    }
+
+    // 已訂閱的指令主題及已發布的Home Assistant探索設定不會隨主題配置更新
+    if (groups.topics.length > 0 && (this.commandServices.length > 0 || this.discoveryService)) {
+      logger.warn('指令通道及Home Assistant探索仍使用原主題，需重新啟動服務才會更新');
+    }
+
+    const restartRequired = skipped.map(change => change.key);
+    if (restartRequired.length > 0) {
+      logger.warn(`以下配置需重新啟動服務才會生效: ${restartRequired.join(', ')}`);
+    }
+
+    return { applied: applied.map(change => change.key), restartRequired };
+  }
+
   /**
    * 手動執行設備註冊
    */
   async manualRegisterDevice() {
-    await this.registerDevice();
+    return this.registerDevice();
+  }
+
+  /**
+   * 確認警報
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @param {string} by - 確認者
+   * @returns {Promise<Object>} 警報事件
+   */
+  async acknowledgeAlarm(sensorId, code, by = null) {
+    if (!this.alarmService) {
+      throw new Error('警報功能未啟用');
+    }
+
+    const deviceData = await this.redisService.getDeviceInfo();
+    return this.alarmService.acknowledge(deviceData.deviceSN, sensorId, code, by);
+  }
+
+  /**
+   * 獲取進行中的警報
+   * @returns {Array} 警報事件陣列
+   */
+  getActiveAlarms() {
+    return this.alarmService ? this.alarmService.getActiveAlarms() : [];
+  }
+
+  /**
+   * 查詢本地歷史資料
+   * @param {Object} params - {sensorId, type, from, to, limit}，from/to為ISO時間或毫秒時間戳
+   * @returns {Promise<Array>} 記錄陣列
+   */
+  async queryHistory(params) {
+    if (!this.historyStore) {
+      throw new Error('歷史資料功能未啟用');
+    }
+
+    const type = params.type || 'value';
+    if (!['value', 'seninf'].includes(type)) {
+      throw new Error('type必須為value或seninf');
+    }
+
+    const limit = params.limit !== undefined ? parseInt(params.limit) : 1000;
+    if (isNaN(limit) || limit < 1) {
+      throw new Error('limit必須為正整數');
+    }
+
+    return this.historyStore.query({
+      sensorId: params.sensorId || null,
+      type,
+      from: HistoryStore.parseTime(params.from, 'from'),
+      to: params.to !== undefined && params.to !== '' ? HistoryStore.parseTime(params.to, 'to') : Date.now(),
+      limit
+    });
+  }
+
+  /**
+   * 將時間範圍內的歷史讀值補發到MQTT
+   * @param {Object} params - {sensorId, from, to}，未指定sensorId時補發全部感測器
+   * @returns {Promise<Object>} 補發結果 {records, published}
+   */
+  async republishHistory(params) {
+    if (!this.historyStore) {
+      throw new Error('歷史資料功能未啟用');
+    }
+    if (this.sparkplugService) {
+      throw new Error('Sparkplug B模式不支援補發歷史資料');
+    }
+
+    const records = await this.queryHistory({
+      sensorId: params.sensorId,
+      from: params.from,
+      to: params.to,
+      limit: this.config.get('HISTORY_REPUBLISH_LIMIT')
+    });
+
+    const deviceData = await this.redisService.getDeviceInfo();
+    const published = await this.mqttService.republishSensorValues(deviceData.deviceSN, records);
+
+    return { records: records.length, published };
   }
 
   /**
@@ -420,12 +1384,15 @@ class MqttPushService {
       timestamp: new Date().toISOString(),
       services: {
         redis: this.redisService?.isReady() || false,
-        mqtt: this.mqttService?.isReady() || false
+        mqtt: this.mqttService?.isReady() || false,
+        mqttBrokers: this.mqttService?.getBrokerStatus() || {}
       },
       config: {
         autoRegister: this.config.get('AUTO_REGISTER_ON_START'),
         deviceRegistrationTopic: this.config.get('DEVICE_REGISTRATION_TOPIC'),
-        pollInterval: this.config.get('POLL_INTERVAL')
+        pollInterval: this.config.get('POLL_INTERVAL'),
+        inputMode: this.inputMode,
+        paused: this.isPaused
       },
       stats: this.getStats()
     };
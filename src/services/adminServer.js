@@ -0,0 +1,194 @@
+const http = require('http');
+const logger = require('../utils/logger');
+
+class AdminServer {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} pushService - MQTT推送服務
+   */
+  constructor(config, pushService) {
+    this.config = config;
+    this.pushService = pushService;
+    this.server = null;
+
+    // "方法 路徑" -> 處理函式 (url) => { status, body }
+    this.routes = {
+      'GET /health': () => this.handleHealth(),
+      'GET /stats': () => ({ status: 200, body: this.pushService.getStats() }),
+      'GET /config': () => ({ status: 200, body: this.pushService.config.getSafeConfig() }),
+      'GET /alarms': () => ({ status: 200, body: this.pushService.getActiveAlarms() }),
+      'GET /history': (url) => this.handleHistory(url),
+      'POST /register': () => this.handleRegister(),
+      'POST /publish': () => this.handlePublish(),
+      'POST /polling/pause': () => this.handlePause(),
+      'POST /polling/resume': () => this.handleResume(),
+      'POST /config/reload': () => this.handleConfigReload()
+    };
+  }
+
+  /**
+   * 啟動HTTP管理介面
+   */
+  async start() {
+    const port = this.config.HTTP_PORT || 8080;
+    const host = this.config.HTTP_HOST || '127.0.0.1';
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('處理HTTP請求失敗:', error);
+        if (!res.headersSent) {
+          this.send(res, 500, { success: false, error: '內部錯誤' });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        logger.error('HTTP管理介面啟動失敗:', error);
+        reject(error);
+      });
+
+      this.server.listen(port, host, () => {
+        logger.info(`HTTP管理介面已啟動: http://${host}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 處理HTTP請求
+   * @param {http.IncomingMessage} req - 請求
+   * @param {http.ServerResponse} res - 回應
+   */
+  async handleRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      this.send(res, 400, { error: '無效的請求路徑' });
+      return;
+    }
+
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const route = this.routes[`${req.method} ${pathname}`];
+
+    if (!route) {
+      const allowed = Object.keys(this.routes).some(key => key.endsWith(` ${pathname}`));
+      this.send(res, allowed ? 405 : 404, { error: allowed ? '不支援的請求方法' : '找不到路徑' });
+      return;
+    }
+
+    try {
+      const { status, body } = await route(url);
+      this.send(res, status, body);
+    } catch (error) {
+      logger.error(`HTTP請求 ${req.method} ${pathname} 處理失敗:`, error);
+      this.send(res, 500, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 發送JSON回應
+   * @param {http.ServerResponse} res - 回應
+   * @param {number} status - HTTP狀態碼
+   * @param {Object} body - 回應內容
+   */
+  send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  /**
+   * 健康檢查，Redis與MQTT皆就緒時回傳200，否則503
+   */
+  handleHealth() {
+    const health = this.pushService.healthCheck();
+    const healthy = health.status === 'healthy' && health.services.redis && health.services.mqtt;
+    return { status: healthy ? 200 : 503, body: health };
+  }
+
+  /**
+   * 查詢本地歷史資料，參數錯誤時回傳400
+   * @param {URL} url - 請求網址（查詢參數 sensorId, type, from, to, limit）
+   */
+  async handleHistory(url) {
+    const params = Object.fromEntries(url.searchParams);
+    try {
+      return { status: 200, body: await this.pushService.queryHistory(params) };
+    } catch (error) {
+      return { status: 400, body: { success: false, error: error.message } };
+    }
+  }
+
+  /**
+   * 觸發設備註冊
+   */
+  async handleRegister() {
+    const registered = await this.pushService.manualRegisterDevice();
+    return {
+      status: registered ? 200 : 500,
+      body: registered ? { success: true } : { success: false, error: '設備註冊失敗' }
+    };
+  }
+
+  /**
+   * 立即執行一次發布，輪詢處理進行中時回傳409
+   */
+  async handlePublish() {
+    const published = await this.pushService.publishNow();
+    return {
+      status: published ? 200 : 409,
+      body: published ? { success: true } : { success: false, error: '處理進行中，請稍後再試' }
+    };
+  }
+
+  /**
+   * 暫停輪詢
+   */
+  handlePause() {
+    this.pushService.pausePolling();
+    return { status: 200, body: { success: true, paused: true } };
+  }
+
+  /**
+   * 恢復輪詢
+   */
+  handleResume() {
+    this.pushService.resumePolling();
+    return { status: 200, body: { success: true, paused: false } };
+  }
+
+  /**
+   * 重新載入配置
+   */
+  async handleConfigReload() {
+    const result = await this.pushService.reloadConfig('HTTP');
+    return {
+      status: result ? 200 : 422,
+      body: result ? { success: true, ...result } : { success: false, error: '配置無效，繼續使用目前配置' }
+    };
+  }
+
+  /**
+   * 關閉HTTP管理介面
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        logger.info('HTTP管理介面已關閉');
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = AdminServer;
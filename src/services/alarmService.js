@@ -0,0 +1,439 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getUnitByCode } = require('../utils/unit');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+class AlarmService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} mqttService - MQTT服務
+   */
+  constructor(config, mqttService) {
+    this.config = config;
+    this.mqttService = mqttService;
+    this.minDuration = config.ALARM_MIN_DURATION !== undefined ? config.ALARM_MIN_DURATION : 30000;
+    this.defaultSeverity = config.ALARM_SEVERITY || 'warning';
+    this.hysteresis = this.parseCodeList(config.ALARM_HYSTERESIS, value => {
+      const parsed = parseFloat(value);
+      return !isNaN(parsed) && parsed >= 0 ? parsed : undefined;
+    });
+    this.severities = this.parseCodeList(config.ALARM_SEVERITIES, value =>
+      SEVERITIES.includes(value) ? value : undefined
+    );
+    this.limitOverrides = this.parseLimits(config.ALARM_LIMITS);
+    this.statePath = path.resolve(process.cwd(), config.ALARM_STATE_PATH || 'data/alarm-state.json');
+    this.alarms = new Map(); // "感測器序號_代碼" -> 警報狀態
+    this.stats = {
+      raised: 0,
+      cleared: 0,
+      acknowledged: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * 解析 "代碼:值" 或 "感測器序號.代碼:值" 格式的設定
+   * @param {string} value - 格式: "A:0.5,16A0885024.C:100"
+   * @param {Function} parse - 值轉換函式，回傳undefined表示無效
+   * @returns {Object} 代碼 -> 值
+   */
+  parseCodeList(value, parse) {
+    const result = {};
+    if (!value || typeof value !== 'string') {
+      return result;
+    }
+
+    value.split(',').forEach(pair => {
+      const [target, setting] = pair.split(':').map(part => part && part.trim());
+      const parsed = setting !== undefined ? parse(setting) : undefined;
+      if (target && parsed !== undefined) {
+        result[target] = parsed;
+      } else if (pair.trim()) {
+        logger.warn(`無效的警報設定: ${pair}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 解析警報上下限覆寫
+   * @param {string} value - 格式: "A:-5:35,16A0885024.C::3000"（空白表示不設限）
+   * @returns {Object} 代碼 -> {min, max}
+   */
+  parseLimits(value) {
+    const result = {};
+    if (!value || typeof value !== 'string') {
+      return result;
+    }
+
+    value.split(',').forEach(entry => {
+      const [target, min, max] = entry.split(':').map(part => part && part.trim());
+      const limits = {
+        min: min ? parseFloat(min) : null,
+        max: max ? parseFloat(max) : null
+      };
+
+      if (!target || Number.isNaN(limits.min) || Number.isNaN(limits.max) ||
+          (limits.min !== null && limits.max !== null && limits.min >= limits.max)) {
+        if (entry.trim()) {
+          logger.warn(`無效的警報上下限設定: ${entry}`);
+        }
+        return;
+      }
+
+      result[target] = limits;
+    });
+
+    return result;
+  }
+
+  /**
+   * 依序查找感測器專屬設定及代碼設定
+   * @param {Object} settings - 設定對照
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @returns {*} 設定值，未設定時為undefined
+   */
+  lookup(settings, sensorId, code) {
+    const specific = settings[`${sensorId}.${code}`];
+    return specific !== undefined ? specific : settings[code];
+  }
+
+  /**
+   * 獲取感測器數值的警報上下限（覆寫設定優先，其次為SENINF的min/max）
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @param {Object|null} sensor - 處理後的SENINF感測器資料
+   * @returns {Object|null} 上下限 {min, max}，未設定時為null
+   */
+  getLimits(sensorId, code, sensor) {
+    const override = this.lookup(this.limitOverrides, sensorId, code);
+    if (override) {
+      return override;
+    }
+
+    const valueConfig = sensor ? sensor.value.find(value => value.code === code) : null;
+    if (!valueConfig || (valueConfig.min === null && valueConfig.max === null)) {
+      return null;
+    }
+
+    // SENINF上下限顛倒時視為未設定
+    if (valueConfig.min !== null && valueConfig.max !== null && valueConfig.min >= valueConfig.max) {
+      return null;
+    }
+
+    return { min: valueConfig.min, max: valueConfig.max };
+  }
+
+  /**
+   * 評估感測器數值並發布警報事件
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Array} sensorValues - 感測器數值資料陣列
+   * @param {Map} sensors - 感測器序號 -> 處理後的SENINF感測器資料
+   * @returns {Promise<Array>} 產生的警報事件
+   */
+  async evaluate(deviceSN, sensorValues, sensors) {
+    const events = [];
+    const now = Date.now();
+
+    for (const sensorValue of sensorValues) {
+      const sensor = sensors.get(sensorValue.sensorId) || null;
+      const values = sensorValue.values && typeof sensorValue.values === 'object' ? sensorValue.values : {};
+
+      for (const code of Object.keys(values)) {
+        const value = parseFloat(values[code]);
+        const limits = this.getLimits(sensorValue.sensorId, code, sensor);
+        if (isNaN(value) || !limits) {
+          continue;
+        }
+
+        events.push(...this.evaluateValue(sensorValue.sensorId, code, value, limits, sensor, now));
+      }
+    }
+
+    if (events.length > 0) {
+      this.persist();
+    }
+
+    for (const event of events) {
+      await this.publish(deviceSN, event);
+    }
+
+    return events;
+  }
+
+  /**
+   * 單一數值的警報狀態轉換
+   * normal -> pending（超出上下限）-> active（持續超過最短時間）-> normal（回到範圍內超過遲滯值）
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @param {number} value - 數值
+   * @param {Object} limits - 上下限 {min, max}
+   * @param {Object|null} sensor - 處理後的SENINF感測器資料
+   * @param {number} now - 目前時間
+   * @returns {Array} 警報事件
+   */
+  evaluateValue(sensorId, code, value, limits, sensor, now) {
+    const alarmId = `${sensorId}_${code}`;
+    const hysteresis = this.lookup(this.hysteresis, sensorId, code) || 0;
+    const direction = this.getViolation(value, limits);
+    const events = [];
+    let alarm = this.alarms.get(alarmId);
+
+    if (alarm && alarm.status === 'active') {
+      alarm.value = value;
+
+      const cleared = alarm.direction === 'high'
+        ? value <= alarm.limit - hysteresis
+        : value >= alarm.limit + hysteresis;
+      if (!cleared) {
+        return events;
+      }
+
+      alarm.status = 'normal';
+      alarm.clearedAt = new Date(now).toISOString();
+      this.stats.cleared++;
+      events.push(this.buildEvent('clear', alarm));
+      logger.info(`警報解除: ${alarmId}，數值 ${value}`);
+    }
+
+    if (!direction) {
+      if (alarm && alarm.status === 'pending') {
+        this.alarms.delete(alarmId);
+      }
+      return events;
+    }
+
+    // 新的超限或方向改變時重新計時
+    if (!alarm || alarm.status === 'normal' || alarm.direction !== direction) {
+      alarm = {
+        alarmId,
+        sensorId,
+        code,
+        sensorName: sensor ? (sensor.DES || sensor.name || sensorId) : sensorId,
+        status: 'pending',
+        direction,
+        limit: direction === 'high' ? limits.max : limits.min,
+        severity: this.lookup(this.severities, sensorId, code) || this.defaultSeverity,
+        value,
+        pendingSince: now,
+        raisedAt: null,
+        clearedAt: null,
+        acknowledged: false,
+        acknowledgedBy: null
+      };
+      this.alarms.set(alarmId, alarm);
+    }
+
+    alarm.value = value;
+
+    if (now - alarm.pendingSince >= this.minDuration) {
+      alarm.status = 'active';
+      alarm.raisedAt = new Date(now).toISOString();
+      this.stats.raised++;
+      events.push(this.buildEvent('raise', alarm));
+      logger.warn(`警報觸發: ${alarmId}，數值 ${value} ${direction === 'high' ? '高於上限' : '低於下限'} ${alarm.limit}`);
+    }
+
+    return events;
+  }
+
+  /**
+   * 感測器列表更新後核對現有警報（包含重啟後載入的警報）
+   * 感測器、代碼或該方向的上下限已移除時解除警報；上下限改變時以最後數值重新評估
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Map} sensors - 感測器序號 -> 處理後的SENINF感測器資料
+   * @returns {Promise<Array>} 產生的警報事件
+   */
+  async reconcile(deviceSN, sensors) {
+    const events = [];
+    const now = Date.now();
+    let changed = false;
+
+    for (const alarm of Array.from(this.alarms.values())) {
+      const sensor = sensors.get(alarm.sensorId) || null;
+      const hasCode = sensor && sensor.value.some(value => value.code === alarm.code);
+      const limits = hasCode ? this.getLimits(alarm.sensorId, alarm.code, sensor) : null;
+      const limit = limits ? (alarm.direction === 'high' ? limits.max : limits.min) : null;
+
+      if (limit === null) {
+        this.alarms.delete(alarm.alarmId);
+        changed = true;
+        if (alarm.status === 'active') {
+          alarm.status = 'normal';
+          alarm.clearedAt = new Date(now).toISOString();
+          this.stats.cleared++;
+          events.push(this.buildEvent('clear', alarm));
+          logger.info(`警報解除: ${alarm.alarmId}，${hasCode ? '上下限' : '感測器或代碼'}已從設定中移除`);
+        }
+        continue;
+      }
+
+      if (limit !== alarm.limit) {
+        logger.info(`警報 ${alarm.alarmId} 的${alarm.direction === 'high' ? '上限' : '下限'}由 ${alarm.limit} 改為 ${limit}，重新評估`);
+        alarm.limit = limit;
+        events.push(...this.evaluateValue(alarm.sensorId, alarm.code, alarm.value, limits, sensor, now));
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.persist();
+    }
+
+    for (const event of events) {
+      await this.publish(deviceSN, event);
+    }
+
+    return events;
+  }
+
+  /**
+   * 判斷數值是否超出上下限
+   * @param {number} value - 數值
+   * @param {Object} limits - 上下限 {min, max}
+   * @returns {string|null} 'high'、'low'，未超限時為null
+   */
+  getViolation(value, limits) {
+    if (limits.max !== null && value > limits.max) {
+      return 'high';
+    }
+    if (limits.min !== null && value < limits.min) {
+      return 'low';
+    }
+    return null;
+  }
+
+  /**
+   * 確認警報
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @param {string} by - 確認者
+   * @returns {Promise<Object>} 警報事件
+   */
+  async acknowledge(deviceSN, sensorId, code, by = null) {
+    const alarm = this.alarms.get(`${sensorId}_${code}`);
+    if (!alarm || alarm.status !== 'active') {
+      throw new Error(`找不到進行中的警報: ${sensorId}_${code}`);
+    }
+
+    alarm.acknowledged = true;
+    alarm.acknowledgedBy = by;
+    this.stats.acknowledged++;
+    this.persist();
+
+    const event = this.buildEvent('ack', alarm);
+    await this.publish(deviceSN, event);
+    logger.info(`警報已確認: ${alarm.alarmId}${by ? `（${by}）` : ''}`);
+    return event;
+  }
+
+  /**
+   * 建立警報事件內容
+   * @param {string} event - 事件類型 (raise, clear, ack)
+   * @param {Object} alarm - 警報狀態
+   * @returns {Object} 警報事件
+   */
+  buildEvent(event, alarm) {
+    const unitInfo = getUnitByCode(alarm.code);
+
+    return {
+      event,
+      alarmId: alarm.alarmId,
+      active: alarm.status === 'active',
+      severity: alarm.severity,
+      sensorId: alarm.sensorId,
+      sensorName: alarm.sensorName,
+      code: alarm.code,
+      type: unitInfo ? unitInfo.name : null,
+      unit: unitInfo ? unitInfo.unit.trim() : null,
+      value: alarm.value,
+      limit: alarm.limit,
+      direction: alarm.direction,
+      raisedAt: alarm.raisedAt,
+      clearedAt: alarm.clearedAt,
+      acknowledged: alarm.acknowledged,
+      acknowledgedBy: alarm.acknowledgedBy
+    };
+  }
+
+  /**
+   * 發布警報事件
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} event - 警報事件
+   */
+  async publish(deviceSN, event) {
+    try {
+      await this.mqttService.publishAlarmEvent(deviceSN, event);
+    } catch (error) {
+      logger.error(`發布警報事件失敗 [${event.alarmId}]:`, error);
+    }
+  }
+
+  /**
+   * 獲取進行中的警報
+   * @returns {Array} 警報事件陣列
+   */
+  getActiveAlarms() {
+    return Array.from(this.alarms.values())
+      .filter(alarm => alarm.status === 'active')
+      .map(alarm => this.buildEvent('raise', alarm));
+  }
+
+  /**
+   * 獲取警報統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      active: this.getActiveAlarms().length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * 從磁碟載入進行中的警報（服務重啟後仍可正確解除）
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return;
+      }
+
+      const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      (Array.isArray(saved) ? saved : []).forEach(alarm => {
+        if (alarm && alarm.alarmId && alarm.status === 'active') {
+          this.alarms.set(alarm.alarmId, alarm);
+        }
+      });
+
+      if (this.alarms.size > 0) {
+        logger.info(`已載入 ${this.alarms.size} 個進行中的警報`);
+      }
+    } catch (error) {
+      logger.error('載入警報狀態失敗:', error);
+    }
+  }
+
+  /**
+   * 保存進行中的警報
+   */
+  persist() {
+    try {
+      const active = Array.from(this.alarms.values()).filter(alarm => alarm.status === 'active');
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      const tempPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(active));
+      fs.renameSync(tempPath, this.statePath);
+    } catch (error) {
+      logger.error('保存警報狀態失敗:', error);
+    }
+  }
+}
+
+module.exports = AlarmService;
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getPlaceholders, validateTopicTemplate } = require('../utils/topicTemplate');
+
+const KEY_TYPES = ['string', 'json', 'hash'];
+const PARSERS = ['string', 'number', 'boolean', 'json'];
+const PAYLOAD_SHAPES = ['envelope', 'value'];
+
+class BridgeService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} redisService - Redis服務
+   * @param {Object} mqttService - MQTT服務
+   */
+  constructor(config, redisService, mqttService) {
+    this.config = config;
+    this.redisService = redisService;
+    this.mqttService = mqttService;
+    this.filePath = path.resolve(process.cwd(), config.BRIDGE_MAPPINGS_FILE);
+    this.mappings = BridgeService.loadMappings(this.filePath, config);
+    this.patternKeys = new Map(); // 映射名稱 -> 最近一次SCAN到的鍵
+
+    logger.info(`已載入 ${this.mappings.length} 個Redis鍵映射 (${this.filePath})`);
+  }
+
+  /**
+   * 載入並驗證映射檔案
+   * @param {string} filePath - 映射檔案路徑
+   * @param {Object} config - 服務配置
+   * @returns {Array} 映射設定陣列
+   */
+  static loadMappings(filePath, config) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`無法讀取Redis鍵映射檔案 ${filePath}: ${error.message}`);
+    }
+
+    const mappings = Array.isArray(content) ? content : content.mappings;
+    if (!Array.isArray(mappings)) {
+      throw new Error(`Redis鍵映射檔案 ${filePath} 必須包含mappings陣列`);
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    const normalized = mappings.map((mapping, index) => {
+      const label = `mappings[${index}]${mapping && mapping.name ? ` (${mapping.name})` : ''}`;
+
+      if (!mapping || typeof mapping !== 'object') {
+        errors.push(`${label} 必須為物件`);
+        return null;
+      }
+
+      if (!mapping.name || !/^[A-Za-z0-9_-]+$/.test(mapping.name)) {
+        errors.push(`${label} 的name只能包含英文字母、數字、底線及連字號`);
+      } else if (names.has(mapping.name)) {
+        errors.push(`${label} 的name重複`);
+      }
+      names.add(mapping.name);
+
+      if (Boolean(mapping.key) === Boolean(mapping.pattern)) {
+        errors.push(`${label} 必須設定key或pattern其中之一`);
+      }
+
+      const entry = {
+        name: mapping.name,
+        key: mapping.key || null,
+        pattern: mapping.pattern || null,
+        type: mapping.type || 'string',
+        parse: mapping.parse || (mapping.type === 'json' ? 'json' : 'string'),
+        fields: mapping.fields || null,
+        topic: mapping.topic,
+        payload: mapping.payload || 'envelope',
+        qos: mapping.qos,
+        retain: mapping.retain
+      };
+
+      if (!KEY_TYPES.includes(entry.type)) {
+        errors.push(`${label} 的type必須為 ${KEY_TYPES.join('、')}`);
+      }
+      if (!PARSERS.includes(entry.parse)) {
+        errors.push(`${label} 的parse必須為 ${PARSERS.join('、')}`);
+      }
+      if (!PAYLOAD_SHAPES.includes(entry.payload)) {
+        errors.push(`${label} 的payload必須為 ${PAYLOAD_SHAPES.join('、')}`);
+      }
+      if (entry.fields !== null && (!Array.isArray(entry.fields) || entry.fields.length === 0)) {
+        errors.push(`${label} 的fields必須為非空陣列`);
+      }
+      if (entry.qos !== undefined && ![0, 1, 2].includes(entry.qos)) {
+        errors.push(`${label} 的qos必須為0、1或2`);
+      }
+      if (entry.retain !== undefined && typeof entry.retain !== 'boolean') {
+        errors.push(`${label} 的retain必須為true或false`);
+      }
+
+      errors.push(...validateTopicTemplate('bridge', entry.topic, config, `${label} 的topic`));
+
+      // 以pattern讀取多個鍵時，主題必須能區分不同的鍵
+      if (entry.pattern && entry.topic && !getPlaceholders(entry.topic).some(name => ['key', 'match'].includes(name))) {
+        errors.push(`${label} 使用pattern時topic必須包含 {key} 或 {match}`);
+      }
+
+      return entry;
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Redis鍵映射檔案 ${filePath} 設定無效: ${errors.join('; ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 將Redis glob樣式轉為正規表示式（* 及 ? 以擷取群組表示）
+   * @param {string} pattern - Redis鍵樣式
+   * @returns {RegExp} 正規表示式
+   */
+  static patternToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&')
+      .replace(/\*/g, '(.*)')
+      .replace(/\?/g, '(.)');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * 查找符合鍵名的映射
+   * @param {string} key - Redis鍵名
+   * @returns {Object|null} 映射設定
+   */
+  findMapping(key) {
+    return this.mappings.find(mapping =>
+      mapping.key === key || (mapping.pattern && BridgeService.patternToRegExp(mapping.pattern).test(key))
+    ) || null;
+  }
+
+  /**
+   * 獲取以key設定的映射鍵
+   * @returns {Array} 鍵名陣列
+   */
+  getKeys() {
+    return this.mappings.filter(mapping => mapping.key).map(mapping => mapping.key);
+  }
+
+  /**
+   * 獲取以pattern設定的映射鍵樣式
+   * @returns {Array} Redis glob樣式陣列
+   */
+  getPatterns() {
+    return this.mappings.filter(mapping => mapping.pattern).map(mapping => mapping.pattern);
+  }
+
+  /**
+   * 獲取所有映射的Redis鍵（pattern會以SCAN展開）
+   * @returns {Promise<Array>} 鍵名陣列
+   */
+  async resolveKeys() {
+    const keys = [];
+
+    for (const mapping of this.mappings) {
+      if (mapping.key) {
+        keys.push(mapping.key);
+        continue;
+      }
+
+      const matched = await this.redisService.scanKeys(mapping.pattern);
+      this.patternKeys.set(mapping.name, matched);
+      keys.push(...matched);
+    }
+
+    return Array.from(new Set(keys));
+  }
+
+  /**
+   * 讀取映射的Redis鍵並發布
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Array|null} targetKeys - 指定的鍵，未指定時處理全部映射
+   * @returns {Promise<number>} 發布的訊息數量
+   */
+  async publish(deviceSN, targetKeys = null) {
+    const keys = targetKeys || await this.resolveKeys();
+    let published = 0;
+
+    for (const key of keys) {
+      const mapping = this.findMapping(key);
+      if (!mapping) {
+        continue;
+      }
+
+      try {
+        const item = await this.read(mapping, key);
+        if (!item) {
+          continue;
+        }
+
+        await this.mqttService.publishBridgeValue(deviceSN, item);
+        published++;
+      } catch (error) {
+        logger.error(`發布Redis鍵 ${key} (${mapping.name}) 失敗:`, error);
+      }
+    }
+
+    if (published > 0) {
+      logger.info(`成功發布 ${published} 個Redis鍵映射資料`);
+    }
+
+    return published;
+  }
+
+  /**
+   * 依映射讀取並解析單一鍵
+   * @param {Object} mapping - 映射設定
+   * @param {string} key - Redis鍵名
+   * @returns {Promise<Object|null>} 發布項目 {mapping, key, match, value}，鍵不存在時為null
+   */
+  async read(mapping, key) {
+    const raw = await this.redisService.readKey(key, mapping.type);
+    if (raw === null) {
+      logger.debug(`Redis鍵 ${key} 不存在，略過映射 ${mapping.name}`);
+      return null;
+    }
+
+    let value;
+    if (mapping.type === 'hash') {
+      value = {};
+      Object.keys(raw).forEach(field => {
+        value[field] = this.parseValue(raw[field], mapping.parse);
+      });
+    } else if (mapping.type === 'json') {
+      value = raw;
+    } else {
+      value = this.parseValue(raw, mapping.parse);
+    }
+
+    if (mapping.fields && value && typeof value === 'object') {
+      value = mapping.fields.reduce((picked, field) => {
+        if (field in value) {
+          picked[field] = value[field];
+        }
+        return picked;
+      }, {});
+    }
+
+    const matchResult = mapping.pattern ? BridgeService.patternToRegExp(mapping.pattern).exec(key) : null;
+
+    return {
+      mapping,
+      key,
+      match: matchResult && matchResult[1] !== undefined ? matchResult[1] : key,
+      value
+    };
+  }
+
+  /**
+   * 依設定轉換字串值
+   * @param {string} raw - 原始字串
+   * @param {string} parse - 轉換方式 (string, number, boolean, json)
+   * @returns {*} 轉換後的值，無法轉換時為null
+   */
+  parseValue(raw, parse) {
+    switch (parse) {
+      case 'number': {
+        const parsed = parseFloat(raw);
+        return isNaN(parsed) ? null : parsed;
+      }
+      case 'boolean':
+        return ['1', 'true', 'on', 'yes'].includes(String(raw).trim().toLowerCase());
+      case 'json':
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          logger.warn(`無法解析JSON值: ${raw}`);
+          return null;
+        }
+      default:
+        return raw;
+    }
+  }
+}
+
+module.exports = BridgeService;
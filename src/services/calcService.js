@@ -0,0 +1,280 @@
+const logger = require('../utils/logger');
+const { parseExpression, evaluateExpression, getReferences } = require('../utils/expression');
+
+const VIRTUAL_CODE = '9'; // unit.js中的「虛擬」代碼
+
+class CalcService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} redisService - Redis服務（讀取被參照但不在本次處理範圍的感測器）
+   */
+  constructor(config, redisService) {
+    this.config = config;
+    this.redisService = redisService;
+    this.decimals = config.CALC_DECIMALS !== undefined ? config.CALC_DECIMALS : 3;
+    this.compiled = new Map(); // 算式 -> {ast, references, error}
+    this.lastErrors = new Map(); // "感測器序號_代碼" -> 最近一次錯誤訊息
+    this.stats = {
+      evaluated: 0,
+      virtual: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * 解析算式（結果快取，相同算式只解析一次）
+   * @param {string} formula - SENINF中的calc算式
+   * @returns {Object} {ast, references, error}
+   */
+  compile(formula) {
+    if (!this.compiled.has(formula)) {
+      try {
+        const ast = parseExpression(formula);
+        this.compiled.set(formula, { ast, references: getReferences(ast), error: null });
+      } catch (error) {
+        this.compiled.set(formula, { ast: null, references: [], error: `算式 "${formula}" 無效: ${error.message}` });
+      }
+    }
+    return this.compiled.get(formula);
+  }
+
+  /**
+   * 獲取感測器中設定calc的數值
+   * @param {Object} sensor - 處理後的SENINF感測器資料
+   * @returns {Array} 數值設定陣列
+   */
+  getFormulas(sensor) {
+    return (sensor.value || []).filter(value => typeof value.calc === 'string' && value.calc.trim());
+  }
+
+  /**
+   * 判斷是否為虛擬感測器（含有代碼9且設定calc的數值，Redis中沒有讀值）
+   * @param {Object} sensor - 處理後的SENINF感測器資料
+   * @returns {boolean} 是否為虛擬感測器
+   */
+  isVirtual(sensor) {
+    return this.getFormulas(sensor).some(value => value.code === VIRTUAL_CODE);
+  }
+
+  /**
+   * 獲取感測器所有算式參照的其他感測器序號
+   * @param {Object} sensor - 處理後的SENINF感測器資料
+   * @returns {Array} 感測器序號陣列
+   */
+  getReferencedSensors(sensor) {
+    const sensorIds = this.getFormulas(sensor).flatMap(value =>
+      this.compile(value.calc).references.map(reference => reference.sensorId).filter(Boolean)
+    );
+    return Array.from(new Set(sensorIds));
+  }
+
+  /**
+   * 套用calc算式並計算虛擬感測器
+   * 實體感測器的算式以原始讀值計算；虛擬感測器以套用算式後的數值計算，並附加於結果
+   * @param {Array} sensorValues - 感測器數值資料（會直接更新values）
+   * @param {Map} sensors - 感測器序號 -> SENINF感測器資料
+   * @param {Array|null} targetSensorIds - 本次變更的感測器，未指定時計算全部虛擬感測器
+   * @returns {Promise<Array>} 含虛擬感測器的數值資料
+   */
+  async apply(sensorValues, sensors, targetSensorIds = null) {
+    const raw = new Map(sensorValues.map(sensorValue => [sensorValue.sensorId, sensorValue.values || {}]));
+    const virtualSensors = Array.from(sensors.values()).filter(sensor => this.isVirtual(sensor) && !raw.has(sensor.SN));
+
+    // 事件驅動模式只重新計算參照了變更感測器的虛擬感測器
+    const affected = targetSensorIds
+      ? virtualSensors.filter(sensor => this.getReferencedSensors(sensor).some(sensorId => targetSensorIds.includes(sensorId)))
+      : virtualSensors;
+
+    await this.loadReferences(raw, [
+      ...sensorValues.map(sensorValue => sensors.get(sensorValue.sensorId)).filter(Boolean),
+      ...affected
+    ]);
+
+    // 第一階段：實體感測器（含僅供參照而讀取的感測器）
+    const calculated = new Map();
+    const errors = new Map();
+    for (const [sensorId, values] of raw) {
+      const sensor = sensors.get(sensorId);
+      const result = sensor ? this.evaluateSensor(sensor, values, raw) : { values: { ...values }, errors: {} };
+      calculated.set(sensorId, result.values);
+      errors.set(sensorId, result.errors);
+    }
+
+    sensorValues.forEach(sensorValue => {
+      sensorValue.values = calculated.get(sensorValue.sensorId);
+      this.attachErrors(sensorValue, errors.get(sensorValue.sensorId));
+    });
+
+    // 第二階段：虛擬感測器，可參照實體感測器及SENINF中排在前面的虛擬感測器
+    const virtualValues = [];
+    for (const sensor of affected) {
+      const result = this.evaluateSensor(sensor, {}, calculated);
+      calculated.set(sensor.SN, result.values);
+
+      const sensorValue = {
+        sensorId: sensor.SN,
+        values: result.values,
+        timestamp: new Date().toISOString(),
+        virtual: true
+      };
+      this.attachErrors(sensorValue, result.errors);
+      virtualValues.push(sensorValue);
+    }
+
+    this.stats.virtual += virtualValues.length;
+    return [...sensorValues, ...virtualValues];
+  }
+
+  /**
+   * 讀取算式參照但不在本次處理範圍的感測器原始讀值
+   * @param {Map} raw - 感測器序號 -> 原始讀值（會直接加入讀取結果）
+   * @param {Array} sensors - 要計算的SENINF感測器資料
+   */
+  async loadReferences(raw, sensors) {
+    const missing = Array.from(new Set(sensors.flatMap(sensor => this.getReferencedSensors(sensor))))
+      .filter(sensorId => !raw.has(sensorId));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    const referenced = await this.redisService.getBatchSensorValues(missing);
+    referenced.forEach(sensorValue => {
+      raw.set(sensorValue.sensorId, sensorValue.values || {});
+    });
+  }
+
+  /**
+   * 計算單一感測器的所有算式，錯誤只影響該數值
+   * @param {Object} sensor - SENINF感測器資料
+   * @param {Object} values - 感測器原始讀值 代碼 -> 值
+   * @param {Map} lookup - 參照數值來源 感測器序號 -> 數值
+   * @returns {Object} {values, errors}
+   */
+  evaluateSensor(sensor, values, lookup) {
+    const result = { ...values };
+    const errors = {};
+
+    for (const valueConfig of this.getFormulas(sensor)) {
+      const code = valueConfig.code;
+      const isVirtual = code === VIRTUAL_CODE;
+
+      // 實體數值沒有讀值時不計算
+      if (!isVirtual && !(code in values)) {
+        continue;
+      }
+
+      try {
+        if (isVirtual && VIRTUAL_CODE in result) {
+          throw new Error(`每個感測器只能有一個代碼 ${VIRTUAL_CODE} 的虛擬數值`);
+        }
+
+        const compiled = this.compile(valueConfig.calc);
+        if (compiled.error) {
+          throw new Error(compiled.error);
+        }
+
+        const input = isVirtual ? null : this.toNumber(values[code]);
+        if (!isVirtual && input === null) {
+          throw new Error(`原始讀值 ${values[code]} 不是數值`);
+        }
+
+        const value = evaluateExpression(compiled.ast, {
+          input,
+          resolve: (sensorId, refCode) => this.toNumber(
+            sensorId ? (lookup.get(sensorId) || {})[refCode] : (isVirtual ? result : values)[refCode]
+          )
+        });
+
+        if (!Number.isFinite(value)) {
+          throw new Error(`計算結果 ${value} 不是有效數值`);
+        }
+
+        result[code] = this.round(value);
+        this.stats.evaluated++;
+        this.clearError(sensor.SN, code);
+      } catch (error) {
+        result[code] = null;
+        errors[code] = error.message;
+        this.reportError(sensor.SN, code, error.message);
+      }
+    }
+
+    return { values: result, errors };
+  }
+
+  /**
+   * 將計算錯誤附加到感測器數值資料（發布為calc_errors）
+   * @param {Object} sensorValue - 感測器數值資料
+   * @param {Object} errors - 代碼 -> 錯誤訊息
+   */
+  attachErrors(sensorValue, errors) {
+    if (errors && Object.keys(errors).length > 0) {
+      sensorValue.calcErrors = errors;
+    }
+  }
+
+  /**
+   * 記錄計算錯誤，相同錯誤只記錄一次日誌
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   * @param {string} message - 錯誤訊息
+   */
+  reportError(sensorId, code, message) {
+    const key = `${sensorId}_${code}`;
+    this.stats.errors++;
+
+    if (this.lastErrors.get(key) !== message) {
+      this.lastErrors.set(key, message);
+      logger.warn(`感測器 ${sensorId} 代碼 ${code} 計算失敗: ${message}`);
+    }
+  }
+
+  /**
+   * 清除已恢復的計算錯誤
+   * @param {string} sensorId - 感測器序號
+   * @param {string} code - 感測器代碼
+   */
+  clearError(sensorId, code) {
+    const key = `${sensorId}_${code}`;
+    if (this.lastErrors.delete(key)) {
+      logger.info(`感測器 ${sensorId} 代碼 ${code} 計算已恢復`);
+    }
+  }
+
+  /**
+   * 轉換讀值為數值
+   * @param {*} value - 讀值
+   * @returns {number|null} 數值，無法轉換時為null
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+      return null;
+    }
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * 依 CALC_DECIMALS 四捨五入，避免浮點誤差
+   * @param {number} value - 計算結果
+   * @returns {number} 四捨五入後的數值
+   */
+  round(value) {
+    const factor = Math.pow(10, this.decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * 獲取計算統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      failing: Array.from(this.lastErrors.keys())
+    };
+  }
+}
+
+module.exports = CalcService;
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+class CommandService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} mqttService - MQTT服務
+   * @param {Object} pushService - MQTT推送服務（執行指令的對象）
+   */
+  constructor(config, mqttService, pushService) {
+    this.config = config;
+    this.mqttService = mqttService;
+    this.pushService = pushService;
+    this.commandTopic = null;
+    this.responseTopic = null;
+
+    // 指令名稱 -> 處理函式
+    this.handlers = {
+      register: () => this.handleRegister(),
+      publish_now: () => this.handlePublishNow(),
+      set_poll_interval: (params) => this.handleSetPollInterval(params),
+      get_health: () => this.pushService.healthCheck(),
+      get_stats: () => this.pushService.getStats(),
+      ack_alarm: (params) => this.handleAckAlarm(params),
+      get_history: (params) => this.pushService.queryHistory(params),
+      republish_history: (params) => this.pushService.republishHistory(params)
+    };
+  }
+
+  /**
+   * 訂閱設備指令主題
+   * @param {string} deviceSN - 設備序號
+   */
+  async start(deviceSN) {
+    this.commandTopic = this.mqttService.getTopic('command', { deviceSN });
+    this.responseTopic = `${this.commandTopic}/response`;
+
+    await this.mqttService.subscribe(this.commandTopic, (topic, message) => {
+      this.handleCommand(message).catch(error => {
+        logger.error('處理指令時發生錯誤:', error);
+      });
+    });
+
+    logger.info(`指令通道已啟動 - 指令主題: ${this.commandTopic}, 回應主題: ${this.responseTopic}`);
+  }
+
+  /**
+   * 處理收到的指令並發布回應
+   * 指令格式: {"id": "...", "command": "...", "params": {...}}
+   * @param {Buffer} message - 訊息內容
+   */
+  async handleCommand(message) {
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      logger.warn('收到無法解析的指令:', message.toString());
+      await this.respond({ id: null, command: null, success: false, error: '指令格式無效，必須為JSON' });
+      return;
+    }
+
+    const { id = null, command, params = {}, token } = request || {};
+
+    if (!this.isAuthorized(token)) {
+      logger.warn(`拒絕未授權的指令: ${command}`);
+      await this.respond({ id, command, success: false, error: '未授權的指令' });
+      return;
+    }
+
+    // 只接受自有屬性，避免 constructor、toString 等原型屬性被當成指令
+    const handler = typeof command === 'string' && Object.prototype.hasOwnProperty.call(this.handlers, command)
+      ? this.handlers[command]
+      : null;
+
+    if (!handler) {
+      logger.warn(`收到未知指令: ${command}`);
+      await this.respond({ id, command, success: false, error: `未知指令: ${command}` });
+      return;
+    }
+
+    logger.info(`執行指令: ${command}${id ? ` (id: ${id})` : ''}`);
+
+    try {
+      const result = await handler(params);
+      await this.respond({ id, command, success: true, result: result === undefined ? null : result });
+    } catch (error) {
+      logger.error(`指令 ${command} 執行失敗:`, error);
+      await this.respond({ id, command, success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 檢查指令token（未設定COMMAND_TOKEN時不檢查）
+   * @param {*} token - 指令中的token
+   * @returns {boolean} 是否允許執行
+   */
+  isAuthorized(token) {
+    const expected = this.config.COMMAND_TOKEN;
+    if (!expected) {
+      return true;
+    }
+
+    if (typeof token !== 'string') {
+      return false;
+    }
+
+    // 比較雜湊值，使比對時間與token內容無關
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+  }
+
+  /**
+   * 發布指令回應
+   * @param {Object} response - 回應內容
+   */
+  async respond(response) {
+    try {
+      await this.mqttService.publishCommandResponse(this.responseTopic, response);
+    } catch (error) {
+      logger.error('發布指令回應失敗:', error);
+    }
+  }
+
+  /**
+   * 重新註冊設備
+   */
+  async handleRegister() {
+    const registered = await this.pushService.manualRegisterDevice();
+    if (!registered) {
+      throw new Error('設備註冊失敗');
+    }
+    return { registered: true };
+  }
+
+  /**
+   * 立即執行一次資料發布（與輪詢共用互斥保護，處理進行中時回報失敗）
+   */
+  async handlePublishNow() {
+    const published = await this.pushService.publishNow();
+    if (!published) {
+      throw new Error('處理進行中，請稍後再試');
+    }
+    return { published: true };
+  }
+
+  /**
+   * 確認警報
+   * @param {Object} params - 指令參數 {sensorId, code, by}
+   */
+  handleAckAlarm(params) {
+    if (!params.sensorId || !params.code) {
+      throw new Error('確認警報需要sensorId和code');
+    }
+
+    return this.pushService.acknowledgeAlarm(params.sensorId, params.code, params.by || null);
+  }
+
+  /**
+   * 修改輪詢間隔
+   * @param {Object} params - 指令參數 {interval}
+   */
+  handleSetPollInterval(params) {
+    const interval = parseInt(params.interval);
+    if (isNaN(interval) || interval < 1000) {
+      throw new Error('輪詢間隔必須為不小於1000的毫秒數');
+    }
+
+    this.pushService.setPollInterval(interval);
+    return { pollInterval: interval };
+  }
+}
+
+module.exports = CommandService;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class ConfigWatcher {
+  /**
+   * @param {string} filePath - 配置檔案路徑
+   * @param {Function} onChange - 檔案內容變更時呼叫
+   * @param {number} debounce - 合併短時間內多次寫入的等待時間（毫秒）
+   */
+  constructor(filePath, onChange, debounce = 1000) {
+    this.filePath = filePath;
+    this.onChange = onChange;
+    this.debounce = debounce;
+    this.watcher = null;
+    this.timer = null;
+    this.content = null;
+  }
+
+  /**
+   * 開始監看配置檔案
+   */
+  start() {
+    this.content = this.read();
+
+    // 監看所在目錄：編輯器常以新檔案取代原檔案，直接監看檔案會在第一次儲存後失效
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, filename) => {
+      if (filename && filename !== path.basename(this.filePath)) {
+        return;
+      }
+
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.check();
+      }, this.debounce);
+    });
+
+    this.watcher.on('error', (error) => {
+      logger.error('監看配置檔案失敗:', error);
+    });
+
+    logger.info(`監看配置檔案變更: ${this.filePath}`);
+  }
+
+  /**
+   * 檔案內容確實改變時才通知（忽略只更新修改時間的事件）
+   */
+  check() {
+    const content = this.read();
+    if (content === this.content) {
+      return;
+    }
+
+    this.content = content;
+    this.onChange();
+  }
+
+  /**
+   * 讀取配置檔案內容
+   * @returns {string|null} 檔案內容，檔案不存在時為null
+   */
+  read() {
+    try {
+      return fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 停止監看配置檔案
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = ConfigWatcher;
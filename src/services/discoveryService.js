@@ -0,0 +1,164 @@
+const SensorProcessor = require('../utils/sensorProcessor');
+const logger = require('../utils/logger');
+const { getUnitByCode } = require('../utils/unit');
+
+// 感測器代碼 -> Home Assistant device_class / state_class
+const HA_SENSOR_CLASSES = {
+  'A': { device_class: 'temperature', state_class: 'measurement' },
+  'B': { device_class: 'humidity', state_class: 'measurement' },
+  'C': { device_class: 'carbon_dioxide', state_class: 'measurement' },
+  'E': { device_class: 'pm1', state_class: 'measurement' },
+  'F': { device_class: 'pm25', state_class: 'measurement' },
+  'G': { device_class: 'pm10', state_class: 'measurement' },
+  'I': { device_class: 'illuminance', state_class: 'measurement' },
+  'P': { device_class: 'power', state_class: 'measurement' },
+  'R': { device_class: 'wind_speed', state_class: 'measurement' },
+  'S': { device_class: 'pressure', state_class: 'measurement' },
+  'W': { device_class: 'voltage', state_class: 'measurement' },
+  'X': { device_class: 'current', state_class: 'measurement' },
+  'Y': { device_class: 'power', state_class: 'measurement' },
+  'Z': { device_class: 'energy', state_class: 'total_increasing' }
+};
+
+// unit.js 單位 -> Home Assistant 接受的單位寫法
+const HA_UNITS = {
+  '℃': '°C',
+  'pa': 'Pa',
+  'KW': 'kW',
+  'KWh': 'kWh',
+  'lux': 'lx'
+};
+
+// 非物理單位，不設定 unit_of_measurement
+const NON_UNITS = ['虛擬', '開關量', 'state', 'PF', 'PH', ''];
+
+class DiscoveryService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} mqttService - MQTT服務
+   */
+  constructor(config, mqttService) {
+    this.config = config;
+    this.mqttService = mqttService;
+    this.discoveryPrefix = config.HA_DISCOVERY_PREFIX || 'homeassistant';
+    this.sensorProcessor = new SensorProcessor();
+    this.publishedConfigs = new Map(); // 配置主題 -> 已發布的配置內容
+  }
+
+  /**
+   * 監聽Home Assistant上線訊息，HA重啟後重新發布所有配置
+   */
+  async start() {
+    await this.mqttService.subscribe(`${this.discoveryPrefix}/status`, (topic, message) => {
+      if (message.toString() === 'online') {
+        logger.info('Home Assistant已上線，將重新發布自動探索配置');
+        this.publishedConfigs.clear();
+      }
+    });
+  }
+
+  /**
+   * 依SENINF發布所有感測器數值的自動探索配置
+   * 只發布有變更的配置，並移除已不存在的實體
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Array} rawSensorData - 原始SENINF資料
+   */
+  async publishDiscovery(deviceSN, rawSensorData) {
+    try {
+      if (!this.mqttService.isReady()) {
+        logger.debug('MQTT未就緒，跳過自動探索配置發布');
+        return;
+      }
+
+      const sensors = this.sensorProcessor.processSensorData(rawSensorData);
+      const configs = new Map();
+
+      for (const sensor of sensors) {
+        for (const value of sensor.value) {
+          if (!value.code) {
+            continue;
+          }
+          const objectId = `${sensor.SN}_${value.code}`;
+          const topic = `${this.discoveryPrefix}/sensor/${deviceSN}/${objectId}/config`;
+          configs.set(topic, this.buildSensorConfig(deviceSN, sensor, value));
+        }
+      }
+
+      let published = 0;
+      for (const [topic, discoveryConfig] of configs) {
+        const payload = JSON.stringify(discoveryConfig);
+        if (this.publishedConfigs.get(topic) === payload) {
+          continue;
+        }
+        await this.mqttService.publishDiscoveryConfig(topic, discoveryConfig);
+        this.publishedConfigs.set(topic, payload);
+        published++;
+      }
+
+      // 移除SENINF中已不存在的實體
+      let removed = 0;
+      for (const topic of Array.from(this.publishedConfigs.keys())) {
+        if (!configs.has(topic)) {
+          await this.mqttService.publishDiscoveryConfig(topic, null);
+          this.publishedConfigs.delete(topic);
+          removed++;
+        }
+      }
+
+      if (published > 0 || removed > 0) {
+        logger.info(`自動探索配置已更新，發布 ${published} 個、移除 ${removed} 個實體`);
+      }
+
+    } catch (error) {
+      logger.error('發布自動探索配置失敗:', error);
+    }
+  }
+
+  /**
+   * 建立單一感測器數值的探索配置
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} sensor - 解碼後的感測器資料
+   * @param {Object} value - 感測器數值設定
+   * @returns {Object} 探索配置
+   */
+  buildSensorConfig(deviceSN, sensor, value) {
+    const unitInfo = getUnitByCode(value.code);
+    const sensorName = sensor.DES || sensor.name || sensor.SN;
+    const valueName = value.name || (unitInfo ? unitInfo.name : value.code);
+
+    const discoveryConfig = {
+      name: `${sensorName} ${valueName}`,
+      unique_id: `${deviceSN}_${sensor.SN}_${value.code}`,
+      object_id: `${deviceSN}_${sensor.SN}_${value.code}`,
+      state_topic: this.mqttService.getSensorValueTopic(deviceSN, sensor.SN, value.code),
+      value_template: this.config.SENSOR_VALUE_FORMAT === 'enriched'
+        ? `{{ value_json['values']['${value.code}']['value'] }}`
+        : `{{ value_json['${value.code}'] }}`,
+      availability_topic: this.mqttService.getStatusTopic(),
+      availability_template: '{{ value_json.status }}',
+      payload_available: 'online',
+      payload_not_available: 'offline',
+      device: {
+        identifiers: [deviceSN],
+        name: `閘道器 ${deviceSN}`,
+        model: 'mqtt-push-service',
+        manufacturer: 'mqtt-push-service'
+      }
+    };
+
+    const unit = unitInfo ? unitInfo.unit.trim() : '';
+    if (!NON_UNITS.includes(unit)) {
+      discoveryConfig.unit_of_measurement = HA_UNITS[unit] || unit;
+    }
+
+    if (HA_SENSOR_CLASSES[value.code]) {
+      Object.assign(discoveryConfig, HA_SENSOR_CLASSES[value.code]);
+    } else if (discoveryConfig.unit_of_measurement) {
+      discoveryConfig.state_class = 'measurement';
+    }
+
+    return discoveryConfig;
+  }
+}
+
+module.exports = DiscoveryService;
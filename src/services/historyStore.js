@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SEGMENT_SIZE = 60 * 60 * 1000; // 每小時一個檔案
+const SEGMENT_PATTERN = /^(\d{10})\.jsonl$/;
+
+class HistoryStore {
+  constructor(config) {
+    this.dirPath = path.resolve(process.cwd(), config.HISTORY_PATH || 'data/history');
+    this.maxAge = config.HISTORY_MAX_AGE || 604800000; // 7天
+    this.maxSize = config.HISTORY_MAX_SIZE || 104857600; // 100MB
+    this.segments = []; // 依時間排序 [{name, start, size}]
+    this.lastSeninfHash = null;
+    this.stats = {
+      recorded: 0,
+      snapshots: 0,
+      removedSegments: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * 載入既有的歷史檔案並移除過期資料
+   */
+  load() {
+    try {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+
+      this.segments = fs.readdirSync(this.dirPath)
+        .map(name => SEGMENT_PATTERN.exec(name))
+        .filter(Boolean)
+        .map(match => ({
+          name: match[0],
+          start: this.parseSegmentStart(match[1]),
+          size: fs.statSync(path.join(this.dirPath, match[0])).size
+        }))
+        .sort((a, b) => a.start - b.start);
+
+      this.prune();
+
+      if (this.segments.length > 0) {
+        logger.info(`已載入 ${this.segments.length} 個歷史資料檔案 (${this.dirPath})`);
+      }
+    } catch (error) {
+      logger.error('載入歷史資料失敗:', error);
+      this.segments = [];
+    }
+  }
+
+  /**
+   * 記錄一批感測器讀值
+   * @param {Array} sensorValues - 感測器數值資料
+   * @param {number} now - 讀取時間
+   */
+  recordValues(sensorValues, now = Date.now()) {
+    const lines = sensorValues.map(sensorValue => JSON.stringify({
+      t: now,
+      type: 'value',
+      sensorId: sensorValue.sensorId,
+      values: sensorValue.values
+    }));
+
+    this.append(lines, now);
+    this.stats.recorded += lines.length;
+  }
+
+  /**
+   * 記錄seninf快照（內容與上一次相同時不重複記錄）
+   * @param {Array} sensorDataArray - 格式化後的感測器資料
+   * @param {number} now - 讀取時間
+   */
+  recordSeninf(sensorDataArray, now = Date.now()) {
+    const content = JSON.stringify(sensorDataArray);
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    if (hash === this.lastSeninfHash) {
+      return;
+    }
+
+    this.lastSeninfHash = hash;
+    this.append([`{"t":${now},"type":"seninf","data":${content}}`], now);
+    this.stats.snapshots++;
+  }
+
+  /**
+   * 寫入記錄到目前時段的檔案，超過容量時刪除最舊的檔案
+   * @param {Array} lines - 已序列化的記錄
+   * @param {number} now - 記錄時間
+   */
+  append(lines, now) {
+    if (lines.length === 0) {
+      return;
+    }
+
+    const start = Math.floor(now / SEGMENT_SIZE) * SEGMENT_SIZE;
+    let segment = this.segments[this.segments.length - 1];
+
+    // 進入新時段時建立新檔案並移除過期檔案（系統時間倒退時沿用目前檔案）
+    if (!segment || start > segment.start) {
+      segment = { name: `${this.formatSegmentStart(start)}.jsonl`, start, size: 0 };
+      this.segments.push(segment);
+      this.prune(now);
+    }
+
+    const content = lines.join('\n') + '\n';
+    try {
+      fs.appendFileSync(path.join(this.dirPath, segment.name), content);
+      segment.size += Buffer.byteLength(content);
+    } catch (error) {
+      logger.error('寫入歷史資料失敗:', error);
+      return;
+    }
+
+    while (this.getTotalSize() > this.maxSize && this.segments.length > 1) {
+      this.removeSegment(this.segments[0], '超過容量上限');
+    }
+  }
+
+  /**
+   * 移除超過保存期限的檔案
+   * @param {number} now - 目前時間
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.maxAge;
+
+    // 檔案的最後一筆記錄早於保存期限才刪除
+    while (this.segments.length > 0 && this.segments[0].start + SEGMENT_SIZE <= cutoff) {
+      this.removeSegment(this.segments[0], '超過保存期限');
+    }
+  }
+
+  /**
+   * 刪除歷史檔案
+   * @param {Object} segment - 檔案資訊
+   * @param {string} reason - 刪除原因
+   */
+  removeSegment(segment, reason) {
+    this.segments = this.segments.filter(item => item !== segment);
+    this.stats.removedSegments++;
+
+    try {
+      fs.rmSync(path.join(this.dirPath, segment.name), { force: true });
+      logger.info(`已刪除歷史資料檔案 ${segment.name}（${reason}）`);
+    } catch (error) {
+      logger.error(`刪除歷史資料檔案 ${segment.name} 失敗:`, error);
+    }
+  }
+
+  /**
+   * 查詢時間範圍內的記錄（逐行讀取檔案，達到limit筆後停止讀取）
+   * @param {Object} options - {sensorId, type, from, to, limit}
+   * @returns {Promise<Array>} 記錄陣列（依時間排序）
+   */
+  async query({ sensorId = null, type = 'value', from, to = Date.now(), limit = 10000 }) {
+    const results = [];
+
+    for (const segment of this.segments) {
+      if (segment.start + SEGMENT_SIZE <= from || segment.start > to) {
+        continue;
+      }
+
+      const input = fs.createReadStream(path.join(this.dirPath, segment.name), { encoding: 'utf8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+      try {
+        for await (const line of lines) {
+          if (!line.trim()) {
+            continue;
+          }
+
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (parseError) {
+            continue; // 寫入中斷造成的不完整記錄
+          }
+
+          if (record.type !== type || record.t < from || record.t > to || (sensorId && record.sensorId !== sensorId)) {
+            continue;
+          }
+
+          results.push(type === 'seninf'
+            ? { timestamp: new Date(record.t).toISOString(), data: record.data }
+            : { timestamp: new Date(record.t).toISOString(), sensorId: record.sensorId, values: record.values });
+
+          if (results.length >= limit) {
+            break;
+          }
+        }
+      } catch (error) {
+        logger.warn(`讀取歷史資料檔案 ${segment.name} 失敗:`, error);
+      } finally {
+        lines.close();
+        input.destroy();
+      }
+
+      if (results.length >= limit) {
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 解析查詢時間（ISO字串或毫秒時間戳）
+   * @param {string|number} value - 時間
+   * @param {string} name - 參數名稱（錯誤訊息用）
+   * @returns {number} 毫秒時間戳
+   */
+  static parseTime(value, name) {
+    const time = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+    if (value === undefined || value === null || value === '' || isNaN(time)) {
+      throw new Error(`${name}必須為ISO時間或毫秒時間戳`);
+    }
+    return time;
+  }
+
+  /**
+   * 將時段開始時間轉為檔名（UTC YYYYMMDDHH）
+   * @param {number} start - 時段開始時間
+   * @returns {string} 檔名
+   */
+  formatSegmentStart(start) {
+    return new Date(start).toISOString().slice(0, 13).replace(/[-T]/g, '');
+  }
+
+  /**
+   * 將檔名轉為時段開始時間
+   * @param {string} name - 檔名（UTC YYYYMMDDHH）
+   * @returns {number} 時段開始時間
+   */
+  parseSegmentStart(name) {
+    return Date.UTC(
+      parseInt(name.slice(0, 4)),
+      parseInt(name.slice(4, 6)) - 1,
+      parseInt(name.slice(6, 8)),
+      parseInt(name.slice(8, 10))
+    );
+  }
+
+  /**
+   * 獲取歷史檔案總大小
+   * @returns {number} 位元組數
+   */
+  getTotalSize() {
+    return this.segments.reduce((total, segment) => total + segment.size, 0);
+  }
+
+  /**
+   * 獲取歷史資料統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      segments: this.segments.length,
+      size: this.getTotalSize(),
+      oldest: this.segments.length > 0 ? new Date(this.segments[0].start).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = HistoryStore;
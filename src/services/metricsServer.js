@@ -0,0 +1,113 @@
+const http = require('http');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+class MetricsServer {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} pushService - MQTT推送服務
+   */
+  constructor(config, pushService) {
+    this.config = config;
+    this.pushService = pushService;
+    this.server = null;
+  }
+
+  /**
+   * 啟動Prometheus指標端點（只提供 GET /metrics，可與管理介面分開對外開放）
+   */
+  async start() {
+    const port = this.config.METRICS_PORT || 9464;
+    const host = this.config.METRICS_HOST || '0.0.0.0';
+
+    metrics.enableDefaultMetrics(this.config.SITE_ID ? { site: this.config.SITE_ID } : {});
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('處理Prometheus指標請求失敗:', error);
+        if (!res.headersSent) {
+          this.send(res, 500, 'text/plain; charset=utf-8', '內部錯誤\n');
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        logger.error('Prometheus指標端點啟動失敗:', error);
+        reject(error);
+      });
+
+      this.server.listen(port, host, () => {
+        logger.info(`Prometheus指標端點已啟動: http://${host}:${port}/metrics`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 處理HTTP請求
+   * @param {http.IncomingMessage} req - 請求
+   * @param {http.ServerResponse} res - 回應
+   */
+  async handleRequest(req, res) {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    } catch (error) {
+      this.send(res, 400, 'text/plain; charset=utf-8', '無效的請求路徑\n');
+      return;
+    }
+
+    if (pathname !== '/metrics') {
+      this.send(res, 404, 'text/plain; charset=utf-8', '找不到路徑\n');
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      this.send(res, 405, 'text/plain; charset=utf-8', '不支援的請求方法\n');
+      return;
+    }
+
+    try {
+      this.pushService.updateMetrics();
+      this.send(res, 200, metrics.register.contentType, await metrics.register.metrics());
+    } catch (error) {
+      logger.error('產生Prometheus指標失敗:', error);
+      this.send(res, 500, 'text/plain; charset=utf-8', `${error.message}\n`);
+    }
+  }
+
+  /**
+   * 發送文字回應
+   * @param {http.ServerResponse} res - 回應
+   * @param {number} status - HTTP狀態碼
+   * @param {string} contentType - 內容類型
+   * @param {string} body - 回應內容
+   */
+  send(res, status, contentType, body) {
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  /**
+   * 關閉Prometheus指標端點
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        logger.info('Prometheus指標端點已關閉');
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = MetricsServer;
@@ -0,0 +1,415 @@
+const MqttService = require('./mqttService');
+const logger = require('../utils/logger');
+
+// 可由 MQTT_BROKER_{NAME}_{SUFFIX} 覆寫的設定 -> 對應的單一代理配置鍵
+const BROKER_OVERRIDES = {
+  URL: 'MQTT_BROKER_URL',
+  CLIENT_ID: 'MQTT_CLIENT_ID',
+  USERNAME: 'MQTT_USERNAME',
+  PASSWORD: 'MQTT_PASSWORD',
+  TOPIC_PREFIX: 'DEVICE_TOPIC_PREFIX',
+  PROTOCOL_VERSION: 'MQTT_PROTOCOL_VERSION',
+  CA_FILE: 'MQTT_CA_FILE',
+  CERT_FILE: 'MQTT_CERT_FILE',
+  KEY_FILE: 'MQTT_KEY_FILE',
+  KEY_PASSPHRASE: 'MQTT_KEY_PASSPHRASE',
+  SERVERNAME: 'MQTT_SERVERNAME',
+  REJECT_UNAUTHORIZED: 'MQTT_REJECT_UNAUTHORIZED',
+  STREAMS: 'MQTT_STREAMS',
+  PAYLOAD_CODECS: 'MQTT_PAYLOAD_CODECS',
+  MAX_INFLIGHT: 'MQTT_MAX_INFLIGHT',
+  PUBLISH_TIMEOUT: 'MQTT_PUBLISH_TIMEOUT'
+};
+
+// 不沿用主要代理的認證及TLS設定，其他代理需以 MQTT_BROKER_{NAME}_* 各自設定
+const BROKER_CREDENTIAL_KEYS = [
+  'MQTT_USERNAME',
+  'MQTT_PASSWORD',
+  'MQTT_CA_FILE',
+  'MQTT_CERT_FILE',
+  'MQTT_KEY_FILE',
+  'MQTT_KEY_PASSPHRASE',
+  'MQTT_SERVERNAME'
+];
+
+const ALL_STREAMS = ['seninf', 'sensor_value', 'feeding', 'registration', 'command', 'discovery', 'bridge', 'alarm', 'sensor_status', 'rollup', 'validation', 'snapshot'];
+
+class MqttBrokerGroup {
+  constructor(config) {
+    this.config = config;
+    this.brokers = MqttBrokerGroup.buildBrokerConfigs(config).map(brokerConfig => new MqttService(brokerConfig));
+
+    this.brokers.forEach(broker => {
+      const unknown = broker.streams.filter(stream => !ALL_STREAMS.includes(stream));
+      if (unknown.length > 0) {
+        logger.warn(`MQTT代理 ${broker.name} 設定了未知的資料流: ${unknown.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * 建立各代理的配置
+   * 主要代理使用 MQTT_* 設定，MQTT_BROKERS 列出的其他代理以 MQTT_BROKER_{NAME}_* 覆寫
+   * @param {Object} config - 服務配置
+   * @returns {Array} 代理配置陣列
+   */
+  static buildBrokerConfigs(config) {
+    const brokerConfigs = [{
+      ...config,
+      MQTT_BROKER_NAME: 'default',
+      MQTT_STREAMS: config.MQTT_STREAMS || ALL_STREAMS.join(',')
+    }];
+
+    for (const name of MqttBrokerGroup.getBrokerNames(config)) {
+      const brokerConfig = {
+        ...config,
+        MQTT_BROKER_NAME: name,
+        MQTT_CLIENT_ID: `${config.MQTT_CLIENT_ID}-${name}`,
+        MQTT_STREAMS: ALL_STREAMS.join(','),
+        OFFLINE_QUEUE_PATH: (config.OFFLINE_QUEUE_PATH || 'data/offline-queue.jsonl').replace(/(\.jsonl)?$/, `-${name}.jsonl`)
+      };
+
+      BROKER_CREDENTIAL_KEYS.forEach(key => {
+        delete brokerConfig[key];
+      });
+
+      Object.keys(BROKER_OVERRIDES).forEach(suffix => {
+        const value = config[`MQTT_BROKER_${name.toUpperCase()}_${suffix}`];
+        if (value !== undefined && value !== '') {
+          brokerConfig[BROKER_OVERRIDES[suffix]] = value;
+        }
+      });
+
+      // 環境變數中的值皆為字串，轉換為對應型別
+      brokerConfig.MQTT_PROTOCOL_VERSION = parseInt(brokerConfig.MQTT_PROTOCOL_VERSION);
+      brokerConfig.MQTT_MAX_INFLIGHT = parseInt(brokerConfig.MQTT_MAX_INFLIGHT);
+      brokerConfig.MQTT_PUBLISH_TIMEOUT = parseInt(brokerConfig.MQTT_PUBLISH_TIMEOUT);
+      brokerConfig.MQTT_REJECT_UNAUTHORIZED = brokerConfig.MQTT_REJECT_UNAUTHORIZED !== false &&
+        brokerConfig.MQTT_REJECT_UNAUTHORIZED !== 'false';
+
+      brokerConfigs.push(brokerConfig);
+    }
+
+    return brokerConfigs;
+  }
+
+  /**
+   * 獲取額外代理名稱
+   * @param {Object} config - 服務配置
+   * @returns {Array} 代理名稱陣列
+   */
+  static getBrokerNames(config) {
+    return (config.MQTT_BROKERS || '').split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  /**
+   * 獲取可用的資料流名稱
+   * @returns {Array} 資料流名稱陣列
+   */
+  static getStreamNames() {
+    return ALL_STREAMS;
+  }
+
+  /**
+   * 獲取主要代理（Sparkplug、Home Assistant探索等單一連線功能使用）
+   * @returns {MqttService} 主要代理
+   */
+  getPrimary() {
+    return this.brokers[0];
+  }
+
+  /**
+   * 獲取啟用指定資料流的代理
+   * @param {string} stream - 資料流名稱
+   * @returns {Array} 代理陣列
+   */
+  getBrokers(stream) {
+    return this.brokers.filter(broker => broker.handlesStream(stream));
+  }
+
+  /**
+   * 連接所有代理，任一代理連線成功即可繼續
+   */
+  async connect() {
+    const results = await Promise.allSettled(this.brokers.map(broker => broker.connect()));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error(`MQTT代理 ${this.brokers[index].name} 連接失敗，將持續重試:`, result.reason);
+      }
+    });
+
+    if (results.every(result => result.status === 'rejected')) {
+      throw new Error('所有MQTT代理皆連接失敗');
+    }
+  }
+
+  /**
+   * 在啟用指定資料流的代理上執行發布，單一代理失敗不影響其他代理
+   * @param {string} stream - 資料流名稱
+   * @param {Function} publish - 發布函式 (broker) => Promise
+   * @returns {Promise<Array>} 各代理的執行結果
+   */
+  async publishToBrokers(stream, publish) {
+    const brokers = this.getBrokers(stream);
+    const results = await Promise.allSettled(brokers.map(broker => publish(broker)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error(`MQTT代理 ${brokers[index].name} 發布 ${stream} 失敗:`, result.reason);
+      }
+    });
+
+    if (results.length > 0 && results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    return results;
+  }
+
+  /**
+   * 批量發布感測器列表到所有啟用seninf的代理
+   * @param {Array} sensorDataArray - 感測器資料陣列
+   * @param {string} deviceName - 統一的設備名稱
+   * @returns {Promise<Array>} 合併的發布結果
+   */
+  async publishBatchSensorDataWithDeviceName(sensorDataArray, deviceName) {
+    const results = await this.publishToBrokers('seninf', broker =>
+      broker.publishBatchSensorDataWithDeviceName(sensorDataArray, deviceName)
+    );
+    return this.flattenResults(results);
+  }
+
+  /**
+   * 批量發布感測器數值到所有啟用sensor_value的代理
+   * @param {string} deviceName - 設備名稱
+   * @param {Array} sensorValues - 感測器數值資料陣列
+   * @returns {Promise<Array>} 合併的發布結果
+   */
+  async publishBatchSensorValues(deviceName, sensorValues) {
+    const results = await this.publishToBrokers('sensor_value', broker =>
+      broker.publishBatchSensorValues(deviceName, sensorValues)
+    );
+    return this.flattenResults(results);
+  }
+
+  /**
+   * 發布感測器數值快照到所有啟用snapshot的代理
+   * @param {string} deviceName - 設備名稱
+   * @param {Object} snapshot - 快照 {cycleId, partial, sensorValues}
+   */
+  async publishSnapshot(deviceName, snapshot) {
+    await this.publishToBrokers('snapshot', broker => broker.publishSnapshot(deviceName, snapshot));
+  }
+
+  /**
+   * 補發歷史感測器數值到所有啟用sensor_value的代理
+   * @param {string} deviceName - 設備名稱
+   * @param {Array} sensorValues - 歷史數值
+   * @returns {Promise<number>} 各代理中最多的發布數量
+   */
+  async republishSensorValues(deviceName, sensorValues) {
+    const results = await this.publishToBrokers('sensor_value', broker =>
+      broker.republishSensorValues(deviceName, sensorValues)
+    );
+    return Math.max(0, ...results.filter(result => result.status === 'fulfilled').map(result => result.value));
+  }
+
+  /**
+   * 發布飼養數據到所有啟用feeding的代理
+   * @param {string} deviceName - 設備名稱
+   * @param {Object} feedingData - 飼養數據
+   */
+  async publishFeedingData(deviceName, feedingData) {
+    await this.publishToBrokers('feeding', broker => broker.publishFeedingData(deviceName, feedingData));
+  }
+
+  /**
+   * 發布設備註冊資訊到所有啟用registration的代理
+   * @param {Object} deviceData - 設備資料 {deviceSN, ip}
+   */
+  async publishDeviceRegistration(deviceData) {
+    await this.publishToBrokers('registration', broker => broker.publishDeviceRegistration(deviceData));
+  }
+
+  /**
+   * 發布Redis鍵映射資料到所有啟用bridge的代理
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} item - 發布項目 {mapping, key, match, value}
+   */
+  async publishBridgeValue(deviceSN, item) {
+    await this.publishToBrokers('bridge', broker => broker.publishBridgeValue(deviceSN, item));
+  }
+
+  /**
+   * 發布警報事件到所有啟用alarm的代理
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} event - 警報事件
+   */
+  async publishAlarmEvent(deviceSN, event) {
+    await this.publishToBrokers('alarm', broker => broker.publishAlarmEvent(deviceSN, event));
+  }
+
+  /**
+   * 發布感測器上下線事件到所有啟用sensor_status的代理
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} change - 狀態變化
+   */
+  async publishSensorStatus(deviceSN, change) {
+    await this.publishToBrokers('sensor_status', broker => broker.publishSensorStatus(deviceSN, change));
+  }
+
+  /**
+   * 發布時間窗彙總統計到所有啟用rollup的代理
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} rollup - 彙總統計
+   */
+  async publishRollup(deviceSN, rollup) {
+    await this.publishToBrokers('rollup', broker => broker.publishRollup(deviceSN, rollup));
+  }
+
+  /**
+   * 發布資料驗證報告到所有啟用validation的代理
+   * @param {Object} report - 驗證報告
+   */
+  async publishValidationReport(report) {
+    await this.publishToBrokers('validation', broker => broker.publishValidationReport(report));
+  }
+
+  /**
+   * 將各代理的結果合併為單一結果陣列
+   * @param {Array} results - Promise.allSettled結果
+   * @returns {Array} 合併後的結果
+   */
+  flattenResults(results) {
+    return results.flatMap(result =>
+      result.status === 'fulfilled' ? result.value : [{ status: 'rejected', reason: result.reason }]
+    );
+  }
+
+  /**
+   * 任一代理已連接即視為就緒
+   * @returns {boolean} 連接狀態
+   */
+  isReady() {
+    return this.brokers.some(broker => broker.isReady());
+  }
+
+  /**
+   * 任一代理可接受發布（已連接或啟用離線佇列）
+   * @returns {boolean} 是否可發布
+   */
+  canPublish() {
+    return this.brokers.some(broker => broker.canPublish());
+  }
+
+  /**
+   * 獲取各代理的連接狀態
+   * @returns {Object} 代理名稱 -> 狀態
+   */
+  getBrokerStatus() {
+    const status = {};
+    this.brokers.forEach(broker => {
+      status[broker.name] = broker.getStatus();
+    });
+    return status;
+  }
+
+  /**
+   * 獲取各代理的離線佇列統計資訊
+   * @returns {Object|null} 代理名稱 -> 統計資訊
+   */
+  getOfflineQueueStats() {
+    return this.collectStats(broker => broker.getOfflineQueueStats());
+  }
+
+  /**
+   * 獲取各代理的例外回報統計資訊
+   * @returns {Object|null} 代理名稱 -> 統計資訊
+   */
+  getChangeDetectorStats() {
+    return this.collectStats(broker => broker.getChangeDetectorStats());
+  }
+
+  /**
+   * 獲取各代理的發布內容驗證統計資訊
+   * @returns {Object|null} 代理名稱 -> 統計資訊
+   */
+  getSchemaValidatorStats() {
+    return this.collectStats(broker => broker.getSchemaValidatorStats());
+  }
+
+  /**
+   * 更新各代理的指標
+   */
+  updateMetrics() {
+    this.brokers.forEach(broker => broker.updateMetrics());
+  }
+
+  /**
+   * 獲取各代理的發布排程統計
+   * @returns {Object|null} 代理名稱 -> 統計資訊
+   */
+  getPublishStats() {
+    return this.collectStats(broker => broker.getPublishStats());
+  }
+
+  /**
+   * 獲取各代理的發布大小統計
+   * @returns {Object|null} 代理名稱 -> 資料流 -> 統計資訊
+   */
+  getPayloadStats() {
+    return this.collectStats(broker => broker.getPayloadStats());
+  }
+
+  /**
+   * 收集各代理的統計資訊，單一代理時直接回傳該代理的統計
+   * @param {Function} getter - 統計函式 (broker) => Object|null
+   * @returns {Object|null} 統計資訊
+   */
+  collectStats(getter) {
+    if (this.brokers.length === 1) {
+      return getter(this.brokers[0]);
+    }
+
+    const stats = {};
+    this.brokers.forEach(broker => {
+      stats[broker.name] = getter(broker);
+    });
+    return Object.values(stats).some(value => value !== null) ? stats : null;
+  }
+
+  /**
+   * 套用重新載入的配置（代理增減及資料流設定需重新啟動服務）
+   * @param {Object} config - 服務配置
+   * @returns {Promise<Array>} 重新連線的代理名稱
+   */
+  async reload(config) {
+    const brokerConfigs = MqttBrokerGroup.buildBrokerConfigs(config);
+    this.config = config;
+
+    const results = await Promise.allSettled(this.brokers.map((broker, index) => broker.reload(brokerConfigs[index])));
+    const reconnected = [];
+
+    results.forEach((result, index) => {
+      const name = this.brokers[index].name;
+      if (result.status === 'rejected') {
+        logger.error(`MQTT代理 ${name} 以新配置連接失敗，將持續重試:`, result.reason);
+        reconnected.push(name);
+      } else if (result.value) {
+        reconnected.push(name);
+      }
+    });
+
+    return reconnected;
+  }
+
+  /**
+   * 關閉所有代理連接
+   */
+  async disconnect() {
+    await Promise.allSettled(this.brokers.map(broker => broker.disconnect()));
+  }
+}
+
+module.exports = MqttBrokerGroup;
@@ -1,15 +1,50 @@
 const mqtt = require('mqtt');
+const OfflineQueue = require('./offlineQueue');
+const ChangeDetector = require('../utils/changeDetector');
+const SensorProcessor = require('../utils/sensorProcessor');
+const SchemaValidator = require('../utils/schemaValidator');
+const PublishScheduler = require('../utils/publishScheduler');
+const metrics = require('../utils/metrics');
 const logger = require('../utils/logger');
+const { loadTlsOptions } = require('../utils/tls');
+const { TOPIC_TEMPLATE_KEYS, getPlaceholders, renderTopic } = require('../utils/topicTemplate');
+const { TOPIC_KEYS, STATUS_TOPIC_KEYS, MQTT_CONNECTION_KEYS } = require('../utils/configReload');
+const { JSON_CODEC, parseCodecList, encodePayload, measureCodecs, getTopicSuffix, getContentType } = require('../utils/payloadCodec');
 
 class MqttService {
   constructor(config) {
     this.config = config;
+    this.name = config.MQTT_BROKER_NAME || 'default'; // 代理名稱（多代理時區分用）
+    this.streams = (config.MQTT_STREAMS || '').split(',').map(stream => stream.trim()).filter(Boolean); // 啟用的資料流，空白表示全部
     this.client = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
     this.reconnectInterval = 20000; // 20秒重連間隔
     this.manualReconnectEnabled = false;
+    this.offlineQueue = config.OFFLINE_QUEUE_ENABLED ? new OfflineQueue(config) : null; // 離線佇列
+    this.isFlushingQueue = false;
+    this.subscriptions = new Map(); // 主題 -> 訊息處理函式
+    this.changeDetector = config.RBE_ENABLED ? new ChangeDetector(config) : null; // 例外回報
+    this.schemaValidator = config.SCHEMA_VALIDATION && config.SCHEMA_VALIDATION !== 'off' ? new SchemaValidator(config) : null; // 發布內容驗證
+    this.sparkplug = null; // Sparkplug B輸出模式
+    this.protocolVersion = config.MQTT_PROTOCOL_VERSION === 5 ? 5 : 4;
+    this.messageExpiry = this.parseStreamList(config.MQTT5_MESSAGE_EXPIRY); // 資料流 -> 訊息有效秒數
+    this.topicAliasStreams = (config.MQTT5_TOPIC_ALIAS_STREAMS || '').split(',').map(stream => stream.trim()).filter(Boolean);
+    this.topicAliases = new Map(); // 主題 -> 別名（每次連線重新分配）
+    this.topicAliasMaximum = 0;
+    this.streamQos = this.parseStreamList(config.MQTT_STREAM_QOS); // 資料流 -> QoS，未設定時為1
+    this.payloadCodecs = parseCodecList(config.MQTT_PAYLOAD_CODECS); // 資料流 -> 編碼，未設定時為JSON
+    this.payloadStats = {}; // 資料流 -> 發布大小統計
+    this.retainStreams = (config.MQTT_RETAIN_STREAMS || '').split(',').map(stream => stream.trim()).filter(Boolean);
+    this.sensorProcessor = new SensorProcessor();
+    // 發布排程：限制同時等待確認的訊息數量、逾時及優先順序
+    this.publishScheduler = new PublishScheduler(config, (topic, payload, options, callback) => {
+      if (!this.client) {
+        throw new Error('MQTT未連接');
+      }
+      this.client.publish(topic, payload, options, callback);
+    });
   }
 
   /**
@@ -25,31 +60,63 @@ class MqttService {
         connectTimeout: 30000, // 30秒連接超時
         keepalive: 60, // 60秒心跳間隔
         clean: true,
+        protocolVersion: this.protocolVersion,
+        autoUseTopicAlias: this.protocolVersion === 5,
         will: {
-          topic: `${this.config.DEVICE_TOPIC_PREFIX}/status`,
+          topic: this.getStatusTopic(),
           payload: JSON.stringify({
             clientId: this.config.MQTT_CLIENT_ID,
             status: 'offline',
             timestamp: new Date().toISOString()
           }),
-          qos: 1,
-          retain: true
+          ...this.getStreamOptions('status'),
+          ...(this.protocolVersion === 5 ? { properties: { contentType: 'application/json' } } : {})
         }
       };
 
-      this.client = mqtt.connect(this.config.MQTT_BROKER_URL || 'mqtt://localhost:1883', options);
+      // mqtts:// 或 wss:// 時載入CA、用戶端憑證等TLS設定
+      const brokerUrl = this.config.MQTT_BROKER_URL || 'mqtt://localhost:1883';
+      if (this.isSecureUrl(brokerUrl)) {
+        Object.assign(options, loadTlsOptions(this.config, 'MQTT'));
+      }
+
+      // Sparkplug B模式以NDEATH作為遺囑，每次新連線遞增bdSeq
+      if (this.sparkplug) {
+        options.will = this.sparkplug.nextSession();
+      }
+
+      this.client = mqtt.connect(brokerUrl, options);
 
       // 連接事件處理
-      this.client.on('connect', () => {
+      this.client.on('connect', (connack) => {
         logger.info(`MQTT已連接到 ${this.config.MQTT_BROKER_URL}`);
         this.isConnected = true;
         this.reconnectAttempts = 0;
+
+        // 主題別名只在單一連線內有效，依代理允許的上限重新分配
+        this.topicAliases.clear();
+        this.topicAliasMaximum = connack && connack.properties ? connack.properties.topicAliasMaximum || 0 : 0;
         
         // 停止手動重連機制
         this.stopManualReconnect();
         
         // 發送在線狀態
         this.publishStatus('online');
+
+        // 補發離線期間累積的訊息
+        this.flushOfflineQueue();
+
+        // 發布Sparkplug NBIRTH/DBIRTH
+        if (this.sparkplug) {
+          this.sparkplug.onConnect();
+        }
+
+        // 重新訂閱（clean session 連線後訂閱不會保留）
+        this.resubscribeAll();
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
       });
 
       this.client.on('error', (error) => {
@@ -65,7 +132,13 @@ class MqttService {
       });
 
       this.client.on('reconnect', () => {
+        // 自動重連沿用同一組選項，需更新遺囑中的bdSeq
+        if (this.sparkplug) {
+          this.client.options.will = this.sparkplug.nextSession();
+        }
+
         this.reconnectAttempts++;
+        metrics.mqttReconnects.inc({ broker: this.name });
         logger.info(`MQTT重新連接中... (嘗試 ${this.reconnectAttempts})`);
       });
 
@@ -98,6 +171,39 @@ class MqttService {
     }
   }
 
+  /**
+   * 判斷代理URL是否使用TLS
+   * @param {string} url - 代理URL
+   * @returns {boolean} 是否使用TLS
+   */
+  isSecureUrl(url) {
+    return /^(mqtts|wss|tls|ssl):\/\//.test(url);
+  }
+
+  /**
+   * 檢查此代理是否啟用指定資料流
+   * @param {string} stream - 資料流名稱
+   * @returns {boolean} 是否啟用
+   */
+  handlesStream(stream) {
+    return this.streams.length === 0 || this.streams.includes(stream);
+  }
+
+  /**
+   * 獲取代理連接狀態
+   * @returns {Object} 連接狀態
+   */
+  getStatus() {
+    return {
+      connected: Boolean(this.isReady()),
+      url: this.config.MQTT_BROKER_URL,
+      clientId: this.config.MQTT_CLIENT_ID,
+      streams: this.streams,
+      reconnectAttempts: this.reconnectAttempts,
+      offlineQueueDepth: this.offlineQueue ? this.offlineQueue.size() : null
+    };
+  }
+
   /**
    * 啟動手動重新連接
    */
@@ -160,25 +266,360 @@ class MqttService {
   }
 
   /**
-   * 發布感測器資料到MQTT主題
-   * @param {string} deviceName - 設備名稱
-   * @param {Object} sensorData - 感測器資料
+   * 套用重新載入的配置
+   * 主題配置下一次發布即生效，連線配置或狀態主題改變時以新配置重新連線（保留訂閱及離線佇列）
+   * @param {Object} config - 此代理重新載入後的配置
+   * @returns {Promise<boolean>} 是否重新連線
    */
-  async publishSensorData(deviceName, sensorData) {
+  async reload(config) {
+    const keys = [...TOPIC_KEYS, ...MQTT_CONNECTION_KEYS].filter(key => this.config[key] !== config[key]);
+    const reconnect = keys.some(key => MQTT_CONNECTION_KEYS.includes(key) || STATUS_TOPIC_KEYS.includes(key));
+
+    // 先以原狀態主題發布離線狀態再關閉連接
+    if (reconnect) {
+      await this.closeClient();
+    }
+
+    keys.forEach(key => {
+      this.config[key] = config[key];
+    });
+
+    if (!reconnect) {
+      return false;
+    }
+
+    logger.info(`MQTT代理 ${this.name} 的連線配置或狀態主題已變更，重新連接到 ${this.config.MQTT_BROKER_URL}`);
+    this.protocolVersion = this.config.MQTT_PROTOCOL_VERSION === 5 ? 5 : 4;
+    await this.connect();
+    return true;
+  }
+
+  /**
+   * 發布離線狀態後關閉目前連接，不觸發自動及手動重連
+   */
+  async closeClient() {
+    this.stopManualReconnect();
+
+    if (!this.client) {
+      return;
+    }
+
+    await this.publishSparkplugDeath();
+    await this.publishStatus('offline');
+
+    const client = this.client;
+    this.client = null;
+    this.isConnected = false;
+    ['close', 'offline', 'error'].forEach(event => client.removeAllListeners(event));
+    client.on('error', () => {}); // 關閉期間的錯誤不需處理
+
+    // 等待已送出的訊息完成，代理無回應時5秒後強制關閉
+    await new Promise(resolve => {
+      const timer = setTimeout(() => client.end(true, resolve), 5000);
+      client.end(false, () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 解析 "資料流:數值" 格式的設定
+   * @param {string} value - 格式: "seninf:3600,sensor_value:300"
+   * @returns {Object} 資料流 -> 數值
+   */
+  parseStreamList(value) {
+    const result = {};
+    if (!value || typeof value !== 'string') {
+      return result;
+    }
+
+    value.split(',').forEach(pair => {
+      const [stream, setting] = pair.split(':').map(part => part && part.trim());
+      const parsed = parseInt(setting);
+      if (stream && !isNaN(parsed) && parsed >= 0) {
+        result[stream] = parsed;
+      } else if (pair.trim()) {
+        logger.warn(`無效的資料流設定: ${pair}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 依主題模板產生資料流的主題
+   * @param {string} stream - 資料流名稱 (seninf, sensor_value, feeding, registration, status, command)
+   * @param {Object} context - 佔位符數值 {deviceSN, sensorSN, sensorCode}
+   * @returns {string} MQTT主題
+   */
+  getTopic(stream, context = {}) {
+    const topic = renderTopic(this.config[TOPIC_TEMPLATE_KEYS[stream]], {
+      prefix: this.config.DEVICE_TOPIC_PREFIX,
+      site: this.config.SITE_ID,
+      ...context
+    });
+    return this.withCodecSuffix(topic, this.getCodec(stream));
+  }
+
+  /**
+   * 獲取資料流的訊息編碼
+   * @param {string} stream - 資料流名稱
+   * @returns {Object} 編碼 {name, format, gzip}，未設定時為JSON
+   */
+  getCodec(stream) {
+    return this.payloadCodecs[stream] || JSON_CODEC;
+  }
+
+  /**
+   * 非JSON編碼時在主題加上編碼後綴（MQTT_PAYLOAD_CODEC_SUFFIX=false時不加）
+   * @param {string} topic - MQTT主題
+   * @param {Object} codec - 編碼
+   * @returns {string} MQTT主題，例如 "device/DEV/seninf/cbor.gz"
+   */
+  withCodecSuffix(topic, codec) {
+    const suffix = getTopicSuffix(codec);
+    return suffix && this.config.MQTT_PAYLOAD_CODEC_SUFFIX !== false ? `${topic}/${suffix}` : topic;
+  }
+
+  /**
+   * 依資料流的編碼序列化訊息，並累計與JSON的大小比較
+   * @param {string} stream - 資料流名稱
+   * @param {Object} message - 訊息內容
+   * @returns {string|Buffer} 發布內容
+   */
+  serializePayload(stream, message) {
+    const codec = this.getCodec(stream);
+    const { payload, jsonSize } = encodePayload(codec, message);
+
+    if (!this.payloadStats[stream]) {
+      this.payloadStats[stream] = { codec: codec.name, messages: 0, jsonBytes: 0, encodedBytes: 0 };
+    }
+    const stats = this.payloadStats[stream];
+    stats.messages++;
+    stats.jsonBytes += jsonSize;
+    stats.encodedBytes += Buffer.byteLength(payload);
+
+    // 同時計算其他編碼的大小，供各現場選擇編碼
+    if (this.config.MQTT_PAYLOAD_SIZE_COMPARE) {
+      stats.compare = stats.compare || {};
+      Object.entries(measureCodecs(message)).forEach(([name, size]) => {
+        stats.compare[name] = (stats.compare[name] || 0) + size;
+      });
+    }
+
+    return payload;
+  }
+
+  /**
+   * 獲取資料流的QoS及保留設定
+   * @param {string} stream - 資料流名稱
+   * @returns {Object} 發布選項 {qos, retain}
+   */
+  getStreamOptions(stream) {
+    return {
+      qos: stream in this.streamQos ? this.streamQos[stream] : 1,
+      retain: this.retainStreams.includes(stream)
+    };
+  }
+
+  /**
+   * 建立發布選項，MQTT 5 時加上訊息有效期、內容類型及使用者屬性
+   * @param {string} stream - 資料流名稱 (seninf, sensor_value, feeding...)
+   * @param {Object} baseOptions - 基本選項 {qos, retain}
+   * @param {Object} context - 使用者屬性內容 {deviceSN, sensorCode}，codec可覆寫資料流的編碼
+   * @returns {Object} 發布選項
+   */
+  getPublishOptions(stream, baseOptions, context = {}) {
+    if (this.protocolVersion !== 5) {
+      return baseOptions;
+    }
+
+    const userProperties = {
+      stream,
+      schemaVersion: String(this.config.MQTT5_SCHEMA_VERSION || 1)
+    };
+    if (context.deviceSN) {
+      userProperties.deviceSN = String(context.deviceSN);
+    }
+    if (context.sensorCode) {
+      userProperties.sensorCode = String(context.sensorCode);
+    }
+
+    // 內容類型依資料流的編碼，gzip壓縮以使用者屬性標示
+    const codec = context.codec || this.getCodec(stream);
+    if (codec.gzip) {
+      userProperties.contentEncoding = 'gzip';
+    }
+
+    const properties = {
+      contentType: getContentType(codec),
+      userProperties
+    };
+    if (this.messageExpiry[stream]) {
+      properties.messageExpiryInterval = this.messageExpiry[stream];
+    }
+
+    return { ...baseOptions, properties };
+  }
+
+  /**
+   * 為啟用主題別名的資料流分配別名
+   * 首次發布時帶上別名註冊，之後由mqtt.js自動以別名取代主題
+   * @param {string} stream - 資料流名稱
+   * @param {string} topic - MQTT主題
+   * @param {Object} options - 發布選項
+   * @returns {Object} 發布選項
+   */
+  withTopicAlias(stream, topic, options) {
+    if (this.protocolVersion !== 5 || !this.topicAliasStreams.includes(stream)) {
+      return options;
+    }
+
+    if (this.topicAliases.has(topic) || this.topicAliases.size >= this.topicAliasMaximum) {
+      return options;
+    }
+
+    const alias = this.topicAliases.size + 1;
+    this.topicAliases.set(topic, alias);
+
+    return {
+      ...options,
+      properties: { ...options.properties, topicAlias: alias }
+    };
+  }
+
+  /**
+   * 訂閱主題
+   * @param {string} topic - MQTT主題
+   * @param {Function} handler - 訊息處理函式 (topic, message) => void
+   */
+  async subscribe(topic, handler) {
+    this.subscriptions.set(topic, handler);
+
+    if (!this.isReady()) {
+      logger.info(`MQTT未連接，將於連線後訂閱 ${topic}`);
+      return;
+    }
+
+    await this.subscribeTopic(topic);
+  }
+
+  /**
+   * 向代理送出訂閱請求
+   * @param {string} topic - MQTT主題
+   */
+  subscribeTopic(topic) {
+    return new Promise((resolve, reject) => {
+      this.client.subscribe(topic, { qos: 1 }, (error) => {
+        if (error) {
+          logger.error(`訂閱主題失敗 [${topic}]:`, error);
+          reject(error);
+        } else {
+          logger.info(`已訂閱主題 ${topic}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * 重新訂閱所有已登記的主題
+   */
+  resubscribeAll() {
+    for (const topic of this.subscriptions.keys()) {
+      this.subscribeTopic(topic).catch(() => {
+        // 錯誤已在subscribeTopic中記錄
+      });
+    }
+  }
+
+  /**
+   * 分派收到的訊息
+   * @param {string} topic - MQTT主題
+   * @param {Buffer} message - 訊息內容
+   */
+  handleMessage(topic, message) {
+    const handler = this.subscriptions.get(topic);
+    if (!handler) {
+      logger.debug(`收到未處理主題的訊息: ${topic}`);
+      return;
+    }
+
+    try {
+      handler(topic, message);
+    } catch (error) {
+      logger.error(`處理主題 ${topic} 的訊息時發生錯誤:`, error);
+    }
+  }
+
+  /**
+   * 發布指令回應
+   * @param {string} topic - 回應主題
+   * @param {Object} response - 回應內容
+   */
+  async publishCommandResponse(topic, response) {
     try {
       if (!this.isConnected || !this.client) {
         throw new Error('MQTT未連接');
       }
 
-      const topic = `${this.config.DEVICE_TOPIC_PREFIX}/${deviceName}/seninf`;
-      const payload = JSON.stringify({
+      const message = {
+        ...response,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+      if (!this.checkPayload('command_response', topic, message)) {
+        return;
+      }
+
+      const payload = JSON.stringify(message);
+      const publishOptions = this.getPublishOptions('command_response', this.getStreamOptions('command_response'));
+
+      return new Promise((resolve, reject) => {
+        this.publishScheduler.publish('command_response', topic, payload, this.withTopicAlias('command_response', topic, publishOptions), (error) => {
+          if (error) {
+            logger.error(`發布指令回應失敗 [${topic}]:`, error);
+            reject(error);
+          } else {
+            logger.debug(`成功發布指令回應到 ${topic}`);
+            resolve();
+          }
+        });
+      });
+
+    } catch (error) {
+      logger.error('發布指令回應時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 發布感測器資料到MQTT主題
+   * @param {string} deviceName - 設備名稱
+   * @param {Object} sensorData - 感測器資料
+   */
+  async publishSensorData(deviceName, sensorData) {
+    try {
+      const topic = this.getTopic('seninf', { deviceSN: deviceName });
+      const payload = this.serializePayload('seninf', {
         ...sensorData,
         timestamp: new Date().toISOString(),
         published_by: this.config.MQTT_CLIENT_ID
       });
+      const publishOptions = this.getPublishOptions('seninf', this.getStreamOptions('seninf'), { deviceSN: deviceName });
+
+      // MQTT離線時寫入離線佇列，待重連後依序補發
+      if (this.enqueueIfOffline('seninf', topic, payload, publishOptions)) {
+        return;
+      }
+
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
 
       return new Promise((resolve, reject) => {
-        this.client.publish(topic, payload, { qos: 1, retain: false }, (error) => {
+        this.publishScheduler.publish('seninf', topic, payload, this.withTopicAlias('seninf', topic, publishOptions), (error) => {
           if (error) {
             logger.error(`發布感測器資料失敗 [${topic}]:`, error);
             reject(error);
@@ -203,10 +644,6 @@ class MqttService {
    */
   async publishBatchSensorDataWithDeviceName(sensorDataArray, deviceName) {
     try {
-      if (!this.isConnected || !this.client) {
-        throw new Error('MQTT未連接');
-      }
-
       // 合併所有感測器資料為完整的設備感測器列表
       const deviceSensorList = {
         device_info: {
@@ -224,8 +661,13 @@ class MqttService {
         published_by: this.config.MQTT_CLIENT_ID
       };
 
-      const topic = `${this.config.DEVICE_TOPIC_PREFIX}/${deviceName}/seninf`;
-      const payload = JSON.stringify(deviceSensorList);
+      const topic = this.getTopic('seninf', { deviceSN: deviceName });
+      if (!this.checkPayload('seninf', topic, deviceSensorList)) {
+        return [{ status: 'fulfilled', deviceName, dropped: true }];
+      }
+
+      const payload = this.serializePayload('seninf', deviceSensorList);
+      const publishOptions = this.getPublishOptions('seninf', this.getStreamOptions('seninf'), { deviceSN: deviceName });
 
       // 直接打印要發布的數據
       console.log('=== 要發布到MQTT的數據 ===');
@@ -233,8 +675,17 @@ class MqttService {
       console.log('數據:', JSON.stringify(deviceSensorList, null, 2));
       console.log('=== MQTT發布數據結束 ===');
 
+      // MQTT離線時寫入離線佇列，待重連後依序補發
+      if (this.enqueueIfOffline('seninf', topic, payload, publishOptions)) {
+        return [{ status: 'fulfilled', deviceName, queued: true }];
+      }
+
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
       return new Promise((resolve, reject) => {
-        this.client.publish(topic, payload, { qos: 1, retain: false }, (error) => {
+        this.publishScheduler.publish('seninf', topic, payload, this.withTopicAlias('seninf', topic, publishOptions), (error) => {
           if (error) {
             logger.error(`發布設備感測器列表失敗 [${topic}]:`, error);
             reject(error);
@@ -302,29 +753,48 @@ class MqttService {
    * @param {string} deviceName - 設備名稱
    * @param {string} sensorId - 感測器序號
    * @param {Object} sensorValue - 感測器數值資料
+   * @returns {Promise<boolean>} 是否已發布或寫入離線佇列（未通過嚴格驗證時為false）
    */
   async publishSensorValue(deviceName, sensorId, sensorValue) {
     try {
-      if (!this.isConnected || !this.client) {
-        throw new Error('MQTT未連接');
-      }
-
-      const topic = `${this.config.DEVICE_TOPIC_PREFIX}/${deviceName}/${sensorId}`;
-      const payload = JSON.stringify({
-        ...sensorValue.values,
-        timestamp: new Date().toISOString(),
+      const topic = this.getSensorValueTopic(deviceName, sensorId, sensorValue.sensorCode);
+      const message = {
+        ...this.buildSensorValueContent(sensorValue),
+        // 補發的歷史數值保留原始讀取時間
+        timestamp: sensorValue.backfill ? sensorValue.timestamp : new Date().toISOString(),
+        ...(sensorValue.backfill ? { backfill: true } : {}),
         sensorId: sensorId,
         published_by: this.config.MQTT_CLIENT_ID
+      };
+      if (!this.checkPayload('sensor_value', topic, message)) {
+        return false;
+      }
+
+      const payload = this.serializePayload('sensor_value', message);
+      // 補發的數值不可取代保留訊息中的最新數值
+      const streamOptions = this.getStreamOptions('sensor_value');
+      const publishOptions = this.getPublishOptions('sensor_value', sensorValue.backfill ? { ...streamOptions, retain: false } : streamOptions, {
+        deviceSN: deviceName,
+        sensorCode: Object.keys(sensorValue.values || {}).join(',')
       });
 
+      // MQTT離線時寫入離線佇列，待重連後依序補發
+      if (this.enqueueIfOffline('sensor_value', topic, payload, publishOptions)) {
+        return true;
+      }
+
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
       return new Promise((resolve, reject) => {
-        this.client.publish(topic, payload, { qos: 1, retain: false }, (error) => {
+        this.publishScheduler.publish(sensorValue.backfill ? 'backfill' : 'sensor_value', topic, payload, this.withTopicAlias('sensor_value', topic, publishOptions), (error) => {
           if (error) {
             logger.error(`發布感測器數值失敗 [${topic}]:`, error);
             reject(error);
           } else {
             logger.debug(`成功發布感測器數值到 ${topic}`);
-            resolve();
+            resolve(true);
           }
         });
       });
@@ -335,6 +805,59 @@ class MqttService {
     }
   }
 
+  /**
+   * 建立感測器數值的發布內容
+   * @param {Object} sensorValue - 感測器數值資料 {sensorId, values, sensor, calcErrors}
+   * @returns {Object} flat: 感測器代碼 -> 數值；enriched: {sensorId, sensor, values}，calc算式計算失敗時附上calc_errors
+   */
+  buildSensorValueContent(sensorValue) {
+    // enriched: 附上SENINF設定及單位的自我描述格式；flat: 原始數值
+    const content = this.config.SENSOR_VALUE_FORMAT === 'enriched'
+      ? this.sensorProcessor.enrichSensorValue(sensorValue, sensorValue.sensor || null)
+      : sensorValue.values;
+    // calc算式計算失敗的代碼（數值為null）附上錯誤原因
+    const calcErrors = Object.keys(sensorValue.calcErrors || {})
+      .filter(code => code in (sensorValue.values || {}))
+      .reduce((errors, code) => ({ ...errors, [code]: sensorValue.calcErrors[code] }), {});
+
+    return {
+      ...content,
+      ...(Object.keys(calcErrors).length > 0 ? { calc_errors: calcErrors } : {})
+    };
+  }
+
+  /**
+   * 發布感測器數值快照（一次讀取的全部感測器數值合併為一則訊息）
+   * @param {string} deviceName - 設備名稱
+   * @param {Object} snapshot - 快照 {cycleId, partial, sensorValues}
+   */
+  async publishSnapshot(deviceName, snapshot) {
+    try {
+      const topic = this.getTopic('snapshot', { deviceSN: deviceName });
+      const sensors = {};
+      snapshot.sensorValues.forEach(sensorValue => {
+        sensors[sensorValue.sensorId] = this.buildSensorValueContent(sensorValue);
+      });
+
+      const message = {
+        cycleId: snapshot.cycleId,
+        deviceSN: deviceName,
+        partial: snapshot.partial,
+        sensors,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+
+      if (await this.publishStream('snapshot', topic, message, { deviceSN: deviceName })) {
+        logger.info(`已發布第 ${snapshot.cycleId} 次讀取的感測器數值快照到 ${topic}，共 ${Object.keys(sensors).length} 個感測器`);
+      }
+
+    } catch (error) {
+      logger.error('發布感測器數值快照時發生錯誤:', error);
+      throw error;
+    }
+  }
+
   /**
    * 批量發布多個感測器的數值資料
    * @param {string} deviceName - 設備名稱
@@ -342,10 +865,25 @@ class MqttService {
    */
   async publishBatchSensorValues(deviceName, sensorValues) {
     const publishPromises = [];
+    let suppressedCount = 0;
     
-    for (const sensorValue of sensorValues) {
+    for (const sensorValue of this.splitBySensorCode(sensorValues)) {
+      const topic = this.getSensorValueTopic(deviceName, sensorValue.sensorId, sensorValue.sensorCode);
+
+      // 例外回報：數值未超過死區且未到心跳時間則不發布
+      if (this.changeDetector && !this.changeDetector.shouldPublish(topic, sensorValue.values)) {
+        suppressedCount++;
+        metrics.messages.inc({ broker: this.name, stream: 'sensor_value', outcome: 'suppressed' });
+        continue;
+      }
+
       publishPromises.push(
-        this.publishSensorValue(deviceName, sensorValue.sensorId, sensorValue).catch(error => {
+        this.publishSensorValue(deviceName, sensorValue.sensorId, sensorValue).then((published) => {
+          // 未通過嚴格驗證而未發布的數值不可作為下一次比較的基準
+          if (published && this.changeDetector) {
+            this.changeDetector.markPublished(topic, sensorValue.values);
+          }
+        }).catch(error => {
           logger.error(`發布感測器 ${sensorValue.sensorId} 數值失敗:`, error);
           return { sensorId: sensorValue.sensorId, error: error.message };
         })
@@ -358,6 +896,8 @@ class MqttService {
       
       if (failed.length > 0) {
         logger.warn(`批量發布完成，${failed.length}個感測器數值發布失敗`);
+      } else if (suppressedCount > 0) {
+        logger.info(`成功批量發布 ${publishPromises.length} 個感測器數值到設備 ${deviceName}，${suppressedCount} 個數值未變化略過`);
       } else {
         logger.info(`成功批量發布 ${sensorValues.length} 個感測器數值到設備 ${deviceName}`);
       }
@@ -370,37 +910,108 @@ class MqttService {
   }
 
   /**
-   * 發布設備註冊資訊
-   * @param {Object} deviceData - 設備資料 {deviceSN, ip}
+   * 補發歷史感測器數值（不經過例外回報，依序發布）
+   * @param {string} deviceName - 設備名稱
+   * @param {Array} sensorValues - 歷史數值 [{sensorId, values, timestamp}]
+   * @returns {Promise<number>} 發布的訊息數量
    */
-  async publishDeviceRegistration(deviceData) {
-    try {
-      if (!this.isConnected || !this.client) {
-        throw new Error('MQTT未連接');
-      }
+  async republishSensorValues(deviceName, sensorValues) {
+    let published = 0;
 
-      const { deviceSN, ip } = deviceData;
-      
-      if (!deviceSN || !ip) {
-        throw new Error('設備資料不完整，需要deviceSN和ip');
+    for (const sensorValue of this.splitBySensorCode(sensorValues)) {
+      if (await this.publishSensorValue(deviceName, sensorValue.sensorId, { ...sensorValue, backfill: true })) {
+        published++;
       }
+    }
 
-      const topic = 'device/name';
-      const payload = JSON.stringify({
-        deviceSN,
-        ip,
-        clientId: this.config.MQTT_CLIENT_ID,
-        registeredAt: new Date().toISOString(),
-        action: 'register'
-      });
+    logger.info(`已補發 ${published} 筆歷史感測器數值到設備 ${deviceName}`);
+    return published;
+  }
 
-      return new Promise((resolve, reject) => {
-        this.client.publish(topic, payload, { qos: 1, retain: false }, (error) => {
-          if (error) {
-            logger.error('發布設備註冊失敗:', error);
-            reject(error);
-          } else {
-            logger.info(`設備註冊成功 - SN: ${deviceSN}, IP: ${ip}`);
+  /**
+   * 獲取個別感測器數值主題
+   * @param {string} deviceName - 設備名稱
+   * @param {string} sensorId - 感測器序號
+   * @param {string} sensorCode - 感測器代碼（模板包含 {sensorCode} 時必填）
+   * @returns {string} MQTT主題
+   */
+  getSensorValueTopic(deviceName, sensorId, sensorCode = null) {
+    return this.getTopic('sensor_value', { deviceSN: deviceName, sensorSN: sensorId, sensorCode });
+  }
+
+  /**
+   * 感測器數值主題是否依感測器代碼區分
+   * @returns {boolean} 模板是否包含 {sensorCode}
+   */
+  isPerCodeTopic() {
+    return getPlaceholders(this.config.TOPIC_SENSOR_VALUE).includes('sensorCode');
+  }
+
+  /**
+   * 模板包含 {sensorCode} 時，將每個感測器的數值拆分為每個代碼各一筆
+   * @param {Array} sensorValues - 感測器數值資料陣列
+   * @returns {Array} 感測器數值資料陣列
+   */
+  splitBySensorCode(sensorValues) {
+    if (!this.isPerCodeTopic()) {
+      return sensorValues;
+    }
+
+    return sensorValues.flatMap(sensorValue =>
+      Object.keys(sensorValue.values || {}).map(code => ({
+        ...sensorValue,
+        values: { [code]: sensorValue.values[code] },
+        sensorCode: code
+      }))
+    );
+  }
+
+  /**
+   * 獲取例外回報統計資訊
+   * @returns {Object|null} 統計資訊
+   */
+  getChangeDetectorStats() {
+    return this.changeDetector ? this.changeDetector.getStats() : null;
+  }
+
+  /**
+   * 發布設備註冊資訊
+   * @param {Object} deviceData - 設備資料 {deviceSN, ip}
+   */
+  async publishDeviceRegistration(deviceData) {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
+      const { deviceSN, ip } = deviceData;
+      
+      if (!deviceSN || !ip) {
+        throw new Error('設備資料不完整，需要deviceSN和ip');
+      }
+
+      const topic = this.getTopic('registration', { deviceSN });
+      const message = {
+        deviceSN,
+        ip,
+        clientId: this.config.MQTT_CLIENT_ID,
+        registeredAt: new Date().toISOString(),
+        action: 'register'
+      };
+      if (!this.checkPayload('registration', topic, message)) {
+        return;
+      }
+
+      const payload = this.serializePayload('registration', message);
+      const publishOptions = this.getPublishOptions('registration', this.getStreamOptions('registration'), { deviceSN });
+
+      return new Promise((resolve, reject) => {
+        this.publishScheduler.publish('registration', topic, payload, this.withTopicAlias('registration', topic, publishOptions), (error) => {
+          if (error) {
+            logger.error('發布設備註冊失敗:', error);
+            reject(error);
+          } else {
+            logger.info(`設備註冊成功 - SN: ${deviceSN}, IP: ${ip}`);
             resolve();
           }
         });
@@ -412,6 +1023,313 @@ class MqttService {
     }
   }
 
+  /**
+   * 發布Redis鍵映射資料
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} item - 發布項目 {mapping, key, match, value}
+   */
+  async publishBridgeValue(deviceSN, item) {
+    try {
+      const { mapping, key, match, value } = item;
+      // 只發布數值本身時不套用資料流的編碼
+      const codec = mapping.payload === 'value' ? JSON_CODEC : this.getCodec('bridge');
+      const topic = this.withCodecSuffix(renderTopic(mapping.topic, {
+        prefix: this.config.DEVICE_TOPIC_PREFIX,
+        site: this.config.SITE_ID,
+        deviceSN,
+        name: mapping.name,
+        key,
+        match
+      }), codec);
+
+      // envelope: 包含鍵名及時間戳的JSON；value: 只發布數值本身
+      const message = mapping.payload === 'value'
+        ? (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value))
+        : {
+          name: mapping.name,
+          key,
+          value,
+          timestamp: new Date().toISOString(),
+          published_by: this.config.MQTT_CLIENT_ID
+        };
+
+      // 映射可覆寫資料流的QoS及保留設定
+      const options = {};
+      if (mapping.qos !== undefined) {
+        options.qos = mapping.qos;
+      }
+      if (mapping.retain !== undefined) {
+        options.retain = mapping.retain;
+      }
+
+      await this.publishStream('bridge', topic, message, { deviceSN, codec, options });
+
+    } catch (error) {
+      logger.error('發布Redis鍵映射資料時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 發布警報事件（預設為保留訊息，訂閱端可取得每個警報的最新狀態）
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} event - 警報事件
+   */
+  async publishAlarmEvent(deviceSN, event) {
+    try {
+      const topic = this.getTopic('alarm', { deviceSN, sensorSN: event.sensorId, sensorCode: event.code });
+      const message = {
+        ...event,
+        deviceSN,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+
+      await this.publishStream('alarm', topic, message, { deviceSN, sensorCode: event.code });
+
+    } catch (error) {
+      logger.error('發布警報事件時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 發布感測器上下線事件（預設為保留訊息）
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} change - 狀態變化 {sensorId, status, previous, lastSeen, lastChange, staleCodes}
+   */
+  async publishSensorStatus(deviceSN, change) {
+    try {
+      const topic = this.getTopic('sensor_status', { deviceSN, sensorSN: change.sensorId });
+      const message = {
+        event: change.status === 'online' ? 'online' : 'offline',
+        ...change,
+        deviceSN,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+
+      await this.publishStream('sensor_status', topic, message, { deviceSN });
+
+    } catch (error) {
+      logger.error('發布感測器狀態時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 發布時間窗彙總統計
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Object} rollup - 彙總統計 {sensorId, window, start, end, partial, values}
+   */
+  async publishRollup(deviceSN, rollup) {
+    try {
+      const topic = this.getTopic('rollup', { deviceSN, sensorSN: rollup.sensorId, window: rollup.window });
+      const message = {
+        ...rollup,
+        deviceSN,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+
+      await this.publishStream('rollup', topic, message, { deviceSN });
+
+    } catch (error) {
+      logger.error('發布彙總統計時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 發布資料驗證報告
+   * @param {Object} report - 驗證報告 {direction, source, sensorId, topic, action, errors}
+   */
+  async publishValidationReport(report) {
+    try {
+      const message = {
+        ...report,
+        timestamp: new Date().toISOString(),
+        published_by: this.config.MQTT_CLIENT_ID
+      };
+
+      await this.publishStream('validation', this.getTopic('validation'), message);
+
+    } catch (error) {
+      logger.error('發布驗證報告時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 驗證、編碼並發布資料流的訊息，MQTT離線時寫入離線佇列
+   * @param {string} stream - 資料流名稱
+   * @param {string} topic - MQTT主題
+   * @param {Object|string} message - 訊息內容，字串視為已編碼的內容直接發布
+   * @param {Object} context - 使用者屬性內容 {deviceSN, sensorCode, codec}，options可覆寫資料流的QoS及保留設定
+   * @returns {Promise<boolean>} 是否已發布或寫入離線佇列（未通過嚴格驗證時為false）
+   */
+  async publishStream(stream, topic, message, context = {}) {
+    const { options, ...publishContext } = context;
+    let payload = message;
+    if (typeof message !== 'string') {
+      // 驗證報告本身不驗證，避免報告再產生報告
+      if (stream !== 'validation' && !this.checkPayload(stream, topic, message)) {
+        return false;
+      }
+      payload = this.serializePayload(stream, message);
+    }
+
+    const publishOptions = this.getPublishOptions(stream, { ...this.getStreamOptions(stream), ...options }, publishContext);
+
+    // MQTT離線時寫入離線佇列，待重連後依序補發
+    if (this.enqueueIfOffline(stream, topic, payload, publishOptions)) {
+      return true;
+    }
+
+    if (!this.isConnected || !this.client) {
+      throw new Error('MQTT未連接');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.publishScheduler.publish(stream, topic, payload, this.withTopicAlias(stream, topic, publishOptions), (error) => {
+        if (error) {
+          logger.error(`發布 ${stream} 資料流失敗 [${topic}]:`, error);
+          reject(error);
+        } else {
+          logger.debug(`成功發布 ${stream} 資料流到 ${topic}`);
+          resolve(true);
+        }
+      });
+    });
+  }
+
+  /**
+   * 依JSON Schema驗證發布內容，未通過時發布驗證報告
+   * @param {string} stream - 資料流名稱
+   * @param {string} topic - MQTT主題
+   * @param {Object} message - 發布內容
+   * @returns {boolean} 是否發布（SCHEMA_VALIDATION=strict時不發布未通過驗證的內容）
+   */
+  checkPayload(stream, topic, message) {
+    if (!this.schemaValidator) {
+      return true;
+    }
+
+    const { publish, report } = this.schemaValidator.validateOutput(stream, topic, message);
+    if (report && this.handlesStream('validation')) {
+      this.publishValidationReport(report).catch(() => {
+        // 錯誤已在publishValidationReport中記錄
+      });
+    }
+
+    if (!publish) {
+      metrics.messages.inc({ broker: this.name, stream, outcome: 'rejected' });
+    }
+    return publish;
+  }
+
+  /**
+   * 獲取各資料流的發布大小統計（與JSON比較）
+   * @returns {Object} 資料流 -> {codec, messages, jsonBytes, encodedBytes, ratio, compare}
+   */
+  getPayloadStats() {
+    const stats = {};
+    Object.keys(this.payloadStats).forEach(stream => {
+      const entry = this.payloadStats[stream];
+      stats[stream] = {
+        ...entry,
+        ratio: entry.jsonBytes > 0 ? Math.round(entry.encodedBytes / entry.jsonBytes * 1000) / 1000 : null
+      };
+    });
+    return stats;
+  }
+
+  /**
+   * 獲取發布內容驗證統計資訊
+   * @returns {Object|null} 統計資訊
+   */
+  getSchemaValidatorStats() {
+    return this.schemaValidator ? this.schemaValidator.getStats() : null;
+  }
+
+  /**
+   * 發布Home Assistant自動探索配置（保留訊息）
+   * @param {string} topic - 探索配置主題
+   * @param {Object|null} discoveryConfig - 探索配置，null表示移除該實體
+   */
+  async publishDiscoveryConfig(topic, discoveryConfig) {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
+      // 空的保留訊息會讓Home Assistant移除實體
+      const payload = discoveryConfig ? JSON.stringify(discoveryConfig) : '';
+      const publishOptions = this.getPublishOptions('discovery', this.getStreamOptions('discovery'));
+
+      return new Promise((resolve, reject) => {
+        this.publishScheduler.publish('discovery', topic, payload, this.withTopicAlias('discovery', topic, publishOptions), (error) => {
+          if (error) {
+            logger.error(`發布自動探索配置失敗 [${topic}]:`, error);
+            reject(error);
+          } else {
+            logger.debug(`成功發布自動探索配置到 ${topic}`);
+            resolve();
+          }
+        });
+      });
+
+    } catch (error) {
+      logger.error('發布自動探索配置時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 設定Sparkplug B服務（需在connect之前設定以使用NDEATH遺囑）
+   * @param {Object} sparkplugService - Sparkplug服務
+   */
+  setSparkplugService(sparkplugService) {
+    this.sparkplug = sparkplugService;
+  }
+
+  /**
+   * 發布Sparkplug B訊息（protobuf編碼）
+   * @param {string} topic - Sparkplug主題
+   * @param {Buffer} payload - 已編碼的payload
+   */
+  async publishSparkplug(topic, payload) {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
+      return new Promise((resolve, reject) => {
+        this.publishScheduler.publish('sparkplug', topic, payload, { qos: 0, retain: false }, (error) => {
+          if (error) {
+            logger.error(`發布Sparkplug訊息失敗 [${topic}]:`, error);
+            reject(error);
+          } else {
+            logger.debug(`成功發布Sparkplug訊息到 ${topic}`);
+            resolve();
+          }
+        });
+      });
+
+    } catch (error) {
+      logger.error('發布Sparkplug訊息時發生錯誤:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 獲取服務狀態主題
+   * @returns {string} MQTT主題
+   */
+  getStatusTopic() {
+    return this.getTopic('status');
+  }
+
   /**
    * 發布服務狀態
    * @param {string} status - 狀態 (online/offline)
@@ -422,14 +1340,20 @@ class MqttService {
         return;
       }
 
-      const topic = `${this.config.DEVICE_TOPIC_PREFIX}/service/status`;
-      const payload = JSON.stringify({
+      const topic = this.getStatusTopic();
+      const message = {
         clientId: this.config.MQTT_CLIENT_ID,
         status: status,
         timestamp: new Date().toISOString()
-      });
+      };
+      if (!this.checkPayload('status', topic, message)) {
+        return;
+      }
 
-      this.client.publish(topic, payload, { qos: 1, retain: true }, (error) => {
+      const payload = JSON.stringify(message);
+      const publishOptions = this.getPublishOptions('status', this.getStreamOptions('status'));
+
+      this.publishScheduler.publish('status', topic, payload, this.withTopicAlias('status', topic, publishOptions), (error) => {
         if (error) {
           logger.error('發布狀態失敗:', error);
         } else {
@@ -441,6 +1365,183 @@ class MqttService {
     }
   }
 
+  /**
+   * 發布Sparkplug NDEATH（正常斷線時代理不會送出遺囑），代理5秒內未確認時不再等待
+   */
+  async publishSparkplugDeath() {
+    if (!this.sparkplug || !this.client || !this.isConnected) {
+      return;
+    }
+
+    const client = this.client;
+    const will = this.sparkplug.getDeathWill();
+
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, 5000);
+      client.publish(will.topic, will.payload, { qos: will.qos, retain: will.retain }, (error) => {
+        clearTimeout(timer);
+        if (error) {
+          logger.error('發布Sparkplug NDEATH失敗:', error);
+        } else {
+          logger.info(`已發布Sparkplug NDEATH [${will.topic}]，bdSeq: ${this.sparkplug.bdSeq}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * MQTT離線（或佇列尚未清空）時將訊息寫入離線佇列
+   * 佇列非空時新訊息也排入佇列，確保補發順序不被打亂
+   * @param {string} stream - 資料流名稱
+   * @param {string} topic - MQTT主題
+   * @param {string} payload - 訊息內容
+   * @param {Object} options - 發布選項
+   * @returns {boolean} 是否已寫入佇列
+   */
+  enqueueIfOffline(stream, topic, payload, options) {
+    if (!this.offlineQueue) {
+      return false;
+    }
+
+    if (this.isReady() && this.offlineQueue.size() === 0 && !this.isFlushingQueue) {
+      return false;
+    }
+
+    this.offlineQueue.enqueue(topic, payload, options);
+    metrics.messages.inc({ broker: this.name, stream, outcome: 'offline' });
+    logger.debug(`MQTT離線，訊息已寫入離線佇列 [${topic}]，目前佇列長度: ${this.offlineQueue.size()}`);
+
+    // 已連線但佇列仍有資料時，觸發補發
+    if (this.isReady()) {
+      this.flushOfflineQueue();
+    }
+
+    return true;
+  }
+
+  /**
+   * 依序補發離線佇列中的訊息（保留原始時間戳）
+   */
+  async flushOfflineQueue() {
+    if (!this.offlineQueue || this.isFlushingQueue) {
+      return;
+    }
+
+    this.isFlushingQueue = true;
+    let replayed = 0;
+
+    try {
+      this.offlineQueue.prune();
+
+      if (this.offlineQueue.size() > 0) {
+        logger.info(`開始補發離線佇列訊息，共 ${this.offlineQueue.size()} 筆`);
+      }
+
+      while (this.isReady()) {
+        const entry = this.offlineQueue.peek();
+        if (!entry) {
+          break;
+        }
+
+        // 扣除在佇列中等待的時間，已過期的訊息不再補發
+        const options = this.getReplayOptions(entry);
+        if (!options) {
+          this.offlineQueue.discard();
+          continue;
+        }
+
+        await new Promise((resolve, reject) => {
+          this.publishScheduler.publish('backfill', entry.topic, entry.payload, options, (error) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve();
+            }
+          });
+        });
+
+        this.offlineQueue.remove();
+        replayed++;
+      }
+
+      if (replayed > 0) {
+        logger.info(`離線佇列補發完成，共補發 ${replayed} 筆，剩餘 ${this.offlineQueue.size()} 筆`);
+      }
+    } catch (error) {
+      logger.error(`補發離線佇列訊息失敗（已補發 ${replayed} 筆）:`, error);
+    } finally {
+      this.offlineQueue.persist();
+      this.isFlushingQueue = false;
+    }
+  }
+
+  /**
+   * 計算補發訊息的發布選項，依等待時間縮短MQTT 5訊息有效期
+   * @param {Object} entry - 佇列訊息
+   * @returns {Object|null} 發布選項，已過期時為null
+   */
+  getReplayOptions(entry) {
+    const properties = entry.options && entry.options.properties;
+    if (!properties || !properties.messageExpiryInterval) {
+      return entry.options;
+    }
+
+    const waited = Math.floor((Date.now() - entry.enqueuedAt) / 1000);
+    const remaining = properties.messageExpiryInterval - waited;
+    if (remaining <= 0) {
+      logger.debug(`離線佇列訊息已超過MQTT有效期，略過補發 [${entry.topic}]`);
+      return null;
+    }
+
+    return {
+      ...entry.options,
+      properties: { ...properties, messageExpiryInterval: remaining }
+    };
+  }
+
+  /**
+   * 檢查是否可接受發布（已連接或啟用離線佇列）
+   * @returns {boolean} 是否可發布
+   */
+  canPublish() {
+    return this.isReady() || this.offlineQueue !== null;
+  }
+
+  /**
+   * 更新連線狀態、發布排程及離線佇列的指標（擷取指標前呼叫）
+   */
+  updateMetrics() {
+    const labels = { broker: this.name };
+    const publishStats = this.publishScheduler.getStats();
+
+    metrics.mqttConnected.set(labels, this.isReady() ? 1 : 0);
+    metrics.mqttReconnectAttempts.set(labels, this.reconnectAttempts);
+    metrics.publishInFlight.set(labels, publishStats.inFlight);
+    Object.entries(publishStats.queued).forEach(([priority, count]) => {
+      metrics.publishQueued.set({ ...labels, priority }, count);
+    });
+    if (this.offlineQueue) {
+      metrics.offlineQueueDepth.set(labels, this.offlineQueue.size());
+    }
+  }
+
+  /**
+   * 獲取發布排程統計資訊
+   * @returns {Object} 發布中、等待中、逾時及取代數量等統計資訊
+   */
+  getPublishStats() {
+    return this.publishScheduler.getStats();
+  }
+
+  /**
+   * 獲取離線佇列統計資訊
+   * @returns {Object|null} 佇列統計資訊
+   */
+  getOfflineQueueStats() {
+    return this.offlineQueue ? this.offlineQueue.getStats() : null;
+  }
+
   /**
    * 檢查MQTT連接狀態
    * @returns {boolean} 連接狀態
@@ -456,15 +1557,16 @@ class MqttService {
    */
   async publishFeedingData(deviceName, feedingData) {
     try {
-      if (!this.isConnected || !this.client) {
-        throw new Error('MQTT未連接');
-      }
-
-      const topic = `${this.config.DEVICE_TOPIC_PREFIX}/${deviceName}/feeding`;
-      const payload = JSON.stringify({
+      const topic = this.getTopic('feeding', { deviceSN: deviceName });
+      const message = {
         feedDay: feedingData.feedDay,
         timestamp: feedingData.timestamp
-      });
+      };
+      if (!this.checkPayload('feeding', topic, message)) {
+        return;
+      }
+
+      const payload = this.serializePayload('feeding', message);
 
       // 直接打印要發布的飼養數據
       console.log('=== 要發布的飼養數據 ===');
@@ -472,8 +1574,19 @@ class MqttService {
       console.log('數據:', JSON.stringify(payload, null, 2));
       console.log('=== 飼養數據結束 ===');
 
+      const publishOptions = this.getPublishOptions('feeding', this.getStreamOptions('feeding'), { deviceSN: deviceName });
+
+      // MQTT離線時寫入離線佇列，待重連後依序補發
+      if (this.enqueueIfOffline('feeding', topic, payload, publishOptions)) {
+        return;
+      }
+
+      if (!this.isConnected || !this.client) {
+        throw new Error('MQTT未連接');
+      }
+
       return new Promise((resolve, reject) => {
-        this.client.publish(topic, payload, { qos: 1, retain: false }, (error) => {
+        this.publishScheduler.publish('feeding', topic, payload, this.withTopicAlias('feeding', topic, publishOptions), (error) => {
           if (error) {
             logger.error(`發布飼養數據失敗 [${topic}]:`, error);
             reject(error);
@@ -499,12 +1612,16 @@ class MqttService {
       this.stopManualReconnect();
       
       if (this.client) {
+        // 主動結束連線時代理不會發布遺囑，需自行發布NDEATH
+        await this.publishSparkplugDeath();
+
         // 發送離線狀態
         await this.publishStatus('offline');
         
         // 等待消息發送完成後關閉連接
         setTimeout(() => {
           this.client.end(true, () => {
+            this.publishScheduler.clear(new Error('MQTT連接已關閉'));
             logger.info('MQTT連接已關閉');
           });
         }, 1000);
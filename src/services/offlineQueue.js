@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class OfflineQueue {
+  constructor(config) {
+    this.filePath = path.resolve(process.cwd(), config.OFFLINE_QUEUE_PATH || 'data/offline-queue.jsonl');
+    this.maxSize = config.OFFLINE_QUEUE_MAX_SIZE || 10000;
+    this.maxAge = config.OFFLINE_QUEUE_MAX_AGE || 86400000; // 24小時
+    this.persistEvery = 50; // 每移除（含丟棄）50筆重寫一次檔案
+    this.entries = [];
+    this.pendingRemovals = 0;
+    this.overflowing = false;
+    this.stats = {
+      enqueued: 0,
+      replayed: 0,
+      dropped: 0,
+      expired: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * 從磁碟載入尚未補發的訊息
+   */
+  load() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          this.entries.push(this.deserialize(line));
+        } catch (parseError) {
+          logger.warn('離線佇列中有無法解析的記錄，已略過');
+        }
+      }
+
+      // 檔案中可能還有尚未壓縮掉的已丟棄訊息，只保留最新的上限筆數
+      if (this.entries.length > this.maxSize) {
+        this.entries.splice(0, this.entries.length - this.maxSize);
+      }
+
+      this.prune();
+      this.persist();
+
+      if (this.entries.length > 0) {
+        logger.info(`已從 ${this.filePath} 載入 ${this.entries.length} 筆待補發訊息`);
+      }
+    } catch (error) {
+      logger.error('載入離線佇列失敗:', error);
+      this.entries = [];
+    }
+  }
+
+  /**
+   * 將訊息加入佇列
+   * @param {string} topic - MQTT主題
+   * @param {string|Buffer} payload - 已序列化的訊息內容（含原始時間戳），CBOR/MessagePack/gzip編碼時為Buffer
+   * @param {Object} options - 發布選項
+   */
+  enqueue(topic, payload, options = {}) {
+    const entry = {
+      topic,
+      payload,
+      options,
+      enqueuedAt: Date.now()
+    };
+
+    this.entries.push(entry);
+    this.stats.enqueued++;
+
+    // 超過容量上限時丟棄最舊的訊息，檔案與移除時相同累積一批後才重寫
+    if (this.entries.length > this.maxSize) {
+      const overflow = this.entries.length - this.maxSize;
+      this.entries.splice(0, overflow);
+      this.stats.dropped += overflow;
+      this.pendingRemovals += overflow;
+      if (!this.overflowing) {
+        this.overflowing = true;
+        logger.warn(`離線佇列已滿 (${this.maxSize})，開始丟棄最舊訊息`);
+      }
+    }
+
+    if (this.pendingRemovals >= this.persistEvery) {
+      this.persist();
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.filePath, this.serialize(entry) + '\n');
+    } catch (error) {
+      logger.error('寫入離線佇列失敗:', error);
+    }
+  }
+
+  /**
+   * 查看佇列中最舊的訊息
+   * @returns {Object|null} 佇列訊息
+   */
+  peek() {
+    return this.entries[0] || null;
+  }
+
+  /**
+   * 移除佇列中最舊的訊息（補發成功後呼叫）
+   */
+  remove() {
+    this.entries.shift();
+    this.stats.replayed++;
+    this.pendingRemovals++;
+    this.overflowing = false;
+
+    if (this.pendingRemovals >= this.persistEvery) {
+      this.persist();
+    }
+  }
+
+  /**
+   * 丟棄佇列中最舊的訊息（已超過MQTT有效期，不需補發）
+   */
+  discard() {
+    this.entries.shift();
+    this.stats.expired++;
+    this.pendingRemovals++;
+
+    if (this.pendingRemovals >= this.persistEvery) {
+      this.persist();
+    }
+  }
+
+  /**
+   * 移除超過保存期限的訊息
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAge;
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.enqueuedAt >= cutoff);
+
+    const expired = before - this.entries.length;
+    if (expired > 0) {
+      this.stats.expired += expired;
+      this.pendingRemovals += expired;
+      logger.warn(`離線佇列中 ${expired} 筆訊息已超過保存期限，已丟棄`);
+    }
+  }
+
+  /**
+   * 將目前佇列內容寫回磁碟
+   */
+  persist() {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      const content = this.entries.map(entry => this.serialize(entry) + '\n').join('');
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, this.filePath);
+      this.pendingRemovals = 0;
+    } catch (error) {
+      logger.error('保存離線佇列失敗:', error);
+    }
+  }
+
+  /**
+   * 將佇列記錄序列化為一行JSON，二進位內容以base64保存
+   * @param {Object} entry - 佇列記錄
+   * @returns {string} JSON字串
+   */
+  serialize(entry) {
+    if (!Buffer.isBuffer(entry.payload)) {
+      return JSON.stringify(entry);
+    }
+    return JSON.stringify({ ...entry, payload: entry.payload.toString('base64'), payloadEncoding: 'base64' });
+  }
+
+  /**
+   * 解析一行佇列記錄，還原二進位內容
+   * @param {string} line - JSON字串
+   * @returns {Object} 佇列記錄
+   */
+  deserialize(line) {
+    const { payloadEncoding, ...entry } = JSON.parse(line);
+    if (payloadEncoding === 'base64') {
+      entry.payload = Buffer.from(entry.payload, 'base64');
+    }
+    return entry;
+  }
+
+  /**
+   * 獲取佇列長度
+   * @returns {number} 佇列長度
+   */
+  size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 獲取佇列統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      depth: this.entries.length,
+      oldestEnqueuedAt: this.entries.length > 0
+        ? new Date(this.entries[0].enqueuedAt).toISOString()
+        : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = OfflineQueue;
@@ -1,11 +1,19 @@
 const redis = require('redis');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { loadTlsOptions } = require('../utils/tls');
 
 class RedisService {
   constructor(config) {
     this.config = config;
     this.client = null;
     this.isConnected = false;
+    this.subscriber = null; // 鍵空間通知專用連接
+    this.subscriberLost = false; // 訂閱連接是否中斷
+    this.subscriberStatusHandler = null;
+    this.watchedKeys = new Set();
+    this.watchedPatterns = new Set();
+    this.keyChangeHandler = null;
   }
 
   /**
@@ -13,9 +21,19 @@ class RedisService {
    */
   async connect() {
     try {
-      this.client = redis.createClient({
+      const socket = {
         host: this.config.REDIS_HOST || '127.0.0.1',
-        port: this.config.REDIS_PORT || 6379,
+        port: this.config.REDIS_PORT || 6379
+      };
+
+      // rediss:// 或 REDIS_TLS=true 時以TLS連線
+      if (this.isTlsEnabled()) {
+        Object.assign(socket, { tls: true }, loadTlsOptions(this.config, 'REDIS'));
+      }
+
+      this.client = redis.createClient({
+        url: this.config.REDIS_URL || undefined,
+        socket,
         password: this.config.REDIS_PASSWORD || undefined,
         database: this.config.REDIS_DB || 0,
         retry_strategy: (options) => {
@@ -65,6 +83,17 @@ class RedisService {
     }
   }
 
+  /**
+   * 判斷是否使用TLS連線
+   * @returns {boolean} 是否使用TLS
+   */
+  isTlsEnabled() {
+    if (this.config.REDIS_URL) {
+      return this.config.REDIS_URL.startsWith('rediss://');
+    }
+    return this.config.REDIS_TLS === true;
+  }
+
   /**
    * 讀取感測器資料
    * @param {string} key - Redis鍵名
@@ -76,13 +105,20 @@ class RedisService {
         throw new Error('Redis未連接');
       }
 
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'sensor_list' });
       const data = await this.client.get(key);
+      endTimer();
       if (!data) {
         logger.warn(`Redis中未找到鍵: ${key}`);
         return [];
       }
 
-      const sensorData = JSON.parse(data);
+      let sensorData;
+      try {
+        sensorData = JSON.parse(data);
+      } catch (parseError) {
+        throw new Error(`鍵 ${key} 的內容不是有效的JSON: ${parseError.message}`);
+      }
       logger.debug(`成功讀取感測器資料，共${sensorData.length}個設備`);
       
       return sensorData;
@@ -102,18 +138,23 @@ class RedisService {
         throw new Error('Redis未連接');
       }
 
+      const snKey = this.config.DEVICE_SN_KEY || 'DeviceSN';
+      const ipKey = this.config.DEVICE_IP_KEY || 'ip';
+
       // 同時讀取DeviceSN和ip
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'device_info' });
       const [deviceSN, ip] = await Promise.all([
-        this.client.get('DeviceSN'),
-        this.client.get('ip')
+        this.client.get(snKey),
+        this.client.get(ipKey)
       ]);
+      endTimer();
 
       if (!deviceSN) {
-        throw new Error('Redis中未找到DeviceSN');
+        throw new Error(`Redis中未找到${snKey}`);
       }
 
       if (!ip) {
-        throw new Error('Redis中未找到ip');
+        throw new Error(`Redis中未找到${ipKey}`);
       }
 
       const deviceData = {
@@ -151,6 +192,62 @@ class RedisService {
     }
   }
 
+  /**
+   * 依類型讀取鍵值
+   * @param {string} key - Redis鍵名
+   * @param {string} type - 鍵類型 (string, json, hash)
+   * @returns {Promise<*>} 鍵值，不存在時為null
+   */
+  async readKey(key, type = 'string') {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('Redis未連接');
+      }
+
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'bridge' });
+      if (type === 'hash') {
+        const hash = await this.client.hGetAll(key);
+        endTimer();
+        return Object.keys(hash).length > 0 ? hash : null;
+      }
+
+      const value = await this.client.get(key);
+      endTimer();
+      if (value === null || type !== 'json') {
+        return value;
+      }
+
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error(`讀取鍵 ${key} 失敗:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 以SCAN查找符合樣式的鍵（不會阻塞Redis）
+   * @param {string} pattern - 鍵樣式，例如 "HEATER:*"
+   * @returns {Promise<Array>} 鍵名陣列
+   */
+  async scanKeys(pattern) {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('Redis未連接');
+      }
+
+      const keys = [];
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        keys.push(key);
+      }
+
+      logger.debug(`樣式 ${pattern} 共找到 ${keys.length} 個鍵`);
+      return keys.sort();
+    } catch (error) {
+      logger.error(`查找鍵樣式 ${pattern} 失敗:`, error);
+      throw error;
+    }
+  }
+
   /**
    * 讀取飼養數據
    * @returns {Promise<Object>} 飼養數據物件
@@ -162,7 +259,9 @@ class RedisService {
       }
 
       // 讀取飼養天數
-      const feedDay = await this.client.get('FeedDay');
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'feeding' });
+      const feedDay = await this.client.get(this.config.FEED_DAY_KEY || 'FeedDay');
+      endTimer();
       
       const feedingData = {
         feedDay: feedDay || '0',
@@ -189,7 +288,9 @@ class RedisService {
         throw new Error('Redis未連接');
       }
 
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'sensor_values' });
       const data = await this.client.get(sensorId);
+      endTimer();
       if (!data) {
         logger.debug(`感測器 ${sensorId} 未找到數值資料`);
         return null;
@@ -223,7 +324,9 @@ class RedisService {
       }
 
       // 使用mget批量讀取
+      const endTimer = metrics.redisReadSeconds.startTimer({ operation: 'sensor_values' });
       const values = await this.client.mGet(sensorIds);
+      endTimer();
       const results = [];
 
       for (let i = 0; i < sensorIds.length; i++) {
@@ -252,6 +355,181 @@ class RedisService {
     }
   }
 
+  /**
+   * 啟用鍵空間通知
+   * 若通知設定不足會嘗試以CONFIG SET補上，受限環境下可能失敗
+   * @returns {Promise<boolean>} 鍵空間通知是否可用
+   */
+  async enableKeyspaceNotifications() {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('Redis未連接');
+      }
+
+      const current = await this.client.configGet('notify-keyspace-events');
+      const flags = current['notify-keyspace-events'] || '';
+
+      // 需要 K（鍵空間事件）以及 $（字串指令）與 h（雜湊指令），或 A（全部指令）
+      if (flags.includes('K') && ((flags.includes('$') && flags.includes('h')) || flags.includes('A'))) {
+        logger.info(`Redis鍵空間通知已啟用: ${flags}`);
+        return true;
+      }
+
+      const newFlags = Array.from(new Set(`${flags}K$h`.split(''))).join('');
+      await this.client.configSet('notify-keyspace-events', newFlags);
+      logger.info(`已啟用Redis鍵空間通知: ${newFlags}`);
+      return true;
+
+    } catch (error) {
+      logger.warn('無法啟用Redis鍵空間通知:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 監聽鍵值變更（透過鍵空間通知）
+   * 重複呼叫時會依新的鍵清單及樣式增減訂閱
+   * @param {Array} keys - 要監聽的鍵名陣列
+   * @param {Function} handler - 變更處理函式 (key, event) => void
+   * @param {Array} patterns - 要監聽的鍵樣式（Redis glob），之後才建立的鍵也會收到通知
+   */
+  async watchKeys(keys, handler, patterns = []) {
+    try {
+      if (!this.isConnected || !this.client) {
+        throw new Error('Redis未連接');
+      }
+
+      this.keyChangeHandler = handler;
+
+      if (!this.subscriber) {
+        await this.createSubscriber();
+      }
+
+      const listener = (event, channel) => {
+        const key = channel.substring(channel.indexOf(':') + 1);
+        if (this.keyChangeHandler) {
+          this.keyChangeHandler(key, event);
+        }
+      };
+
+      const nextKeys = new Set(keys);
+      const added = keys.filter(key => !this.watchedKeys.has(key));
+      const removed = Array.from(this.watchedKeys).filter(key => !nextKeys.has(key));
+
+      if (removed.length > 0) {
+        await this.subscriber.unsubscribe(removed.map(key => this.getKeyspaceChannel(key)));
+      }
+
+      if (added.length > 0) {
+        await this.subscriber.subscribe(added.map(key => this.getKeyspaceChannel(key)), listener);
+      }
+
+      const nextPatterns = new Set(patterns);
+      const addedPatterns = patterns.filter(pattern => !this.watchedPatterns.has(pattern));
+      const removedPatterns = Array.from(this.watchedPatterns).filter(pattern => !nextPatterns.has(pattern));
+
+      if (removedPatterns.length > 0) {
+        await this.subscriber.pUnsubscribe(removedPatterns.map(pattern => this.getKeyspaceChannel(pattern)));
+      }
+
+      if (addedPatterns.length > 0) {
+        await this.subscriber.pSubscribe(addedPatterns.map(pattern => this.getKeyspaceChannel(pattern)), listener);
+      }
+
+      this.watchedKeys = nextKeys;
+      this.watchedPatterns = nextPatterns;
+      logger.debug(`監聽鍵值變更，共 ${this.watchedKeys.size} 個鍵（新增 ${added.length}，移除 ${removed.length}）及 ${this.watchedPatterns.size} 個樣式`);
+
+    } catch (error) {
+      logger.error('監聽鍵值變更失敗:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 建立鍵空間通知專用連接
+   * 連接中斷（error、end）時通知 subscriberStatusHandler('lost')，自動重連完成後通知 'restored'
+   */
+  async createSubscriber() {
+    const subscriber = this.client.duplicate();
+    this.subscriber = subscriber;
+    this.subscriberLost = false;
+
+    // 已被 disconnect() 或重新建立取代的連接不再回報狀態
+    const isCurrent = () => this.subscriber === subscriber;
+
+    subscriber.on('error', (err) => {
+      logger.error('Redis訂閱連接錯誤:', err);
+      if (isCurrent()) {
+        this.setSubscriberLost(true);
+      }
+    });
+
+    subscriber.on('end', () => {
+      if (isCurrent()) {
+        this.setSubscriberLost(true);
+      }
+    });
+
+    subscriber.on('ready', () => {
+      if (isCurrent()) {
+        this.setSubscriberLost(false);
+      }
+    });
+
+    await subscriber.connect();
+  }
+
+  /**
+   * 更新訂閱連接狀態，狀態改變時通知處理函式
+   * @param {boolean} lost - 是否中斷
+   */
+  setSubscriberLost(lost) {
+    if (this.subscriberLost === lost) {
+      return;
+    }
+
+    this.subscriberLost = lost;
+    if (lost) {
+      logger.warn('Redis訂閱連接中斷，鍵空間通知暫時無法接收');
+    } else {
+      logger.info('Redis訂閱連接已恢復');
+    }
+
+    if (this.subscriberStatusHandler) {
+      this.subscriberStatusHandler(lost ? 'lost' : 'restored');
+    }
+  }
+
+  /**
+   * 設定訂閱連接狀態處理函式
+   * @param {Function} handler - (status) => void，status為 'lost' 或 'restored'
+   */
+  onSubscriberStatus(handler) {
+    this.subscriberStatusHandler = handler;
+  }
+
+  /**
+   * 獲取鍵空間通知頻道名稱
+   * @param {string} key - Redis鍵名（或鍵樣式）
+   * @returns {string} 頻道名稱
+   */
+  getKeyspaceChannel(key) {
+    return `__keyspace@${this.getDatabase()}__:${key}`;
+  }
+
+  /**
+   * 獲取目前使用的資料庫編號（REDIS_URL中的資料庫優先於REDIS_DB）
+   * @returns {number} 資料庫編號
+   */
+  getDatabase() {
+    const options = this.client && this.client.options;
+    if (options && options.database !== undefined) {
+      return options.database;
+    }
+    return this.config.REDIS_DB || 0;
+  }
+
   /**
    * 檢查Redis連接狀態
    * @returns {boolean} 連接狀態
@@ -260,11 +538,47 @@ class RedisService {
     return this.isConnected && this.client && this.client.isReady;
   }
 
+  /**
+   * 以新的連線配置重新連線，並恢復鍵空間通知的監聽
+   * @param {Object} config - 服務配置
+   * @param {Array} keys - 改變的連線配置鍵
+   */
+  async reconnect(config, keys) {
+    const watchedKeys = Array.from(this.watchedKeys);
+    const watchedPatterns = Array.from(this.watchedPatterns);
+    const handler = this.keyChangeHandler;
+
+    await this.disconnect();
+
+    keys.forEach(key => {
+      this.config[key] = config[key];
+    });
+
+    logger.info('Redis連線配置已變更，重新連接中...');
+    await this.connect();
+
+    if ((watchedKeys.length > 0 || watchedPatterns.length > 0) && handler) {
+      if (!await this.enableKeyspaceNotifications()) {
+        logger.warn('新的Redis伺服器未啟用鍵空間通知，鍵值變更可能不會被處理');
+      }
+      await this.watchKeys(watchedKeys, handler, watchedPatterns);
+    }
+  }
+
   /**
    * 關閉Redis連接
    */
   async disconnect() {
     try {
+      if (this.subscriber) {
+        const subscriber = this.subscriber;
+        this.subscriber = null;
+        this.subscriberLost = false;
+        this.watchedKeys.clear();
+        this.watchedPatterns.clear();
+        await subscriber.quit();
+      }
+
       if (this.client) {
         await this.client.quit();
         logger.info('Redis連接已關閉');
@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+class RollupService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} mqttService - MQTT服務
+   */
+  constructor(config, mqttService) {
+    this.config = config;
+    this.mqttService = mqttService;
+    this.windows = RollupService.parseWindows(config.ROLLUP_WINDOWS || '1m,1h').map(window => ({
+      ...window,
+      start: null, // 目前時間窗的開始時間
+      deviceSN: null,
+      sensors: new Map(), // 感測器序號 -> 代碼 -> 統計
+      timer: null
+    }));
+    this.running = false;
+    this.stats = {
+      published: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * 解析時間窗設定
+   * @param {string} value - 格式: "1m,1h"（單位 s、m、h、d）
+   * @returns {Array} 時間窗陣列 [{name, size}]
+   */
+  static parseWindows(value) {
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+
+    return names.map(name => {
+      const match = /^(\d+)([smhd])$/.exec(name);
+      if (!match || parseInt(match[1]) === 0) {
+        throw new Error(`ROLLUP_WINDOWS格式無效: ${name}，應為數字加單位 s、m、h、d，例如 1m`);
+      }
+
+      const size = parseInt(match[1]) * UNITS[match[2]];
+      if (UNITS.d % size !== 0 && size % UNITS.d !== 0) {
+        throw new Error(`ROLLUP_WINDOWS的時間窗 ${name} 必須能整除一天，才能對齊時鐘邊界`);
+      }
+
+      return { name, size };
+    });
+  }
+
+  /**
+   * 啟動時間窗計時器，於每個時鐘邊界關閉時間窗並發布
+   */
+  start() {
+    this.running = true;
+    this.windows.forEach(window => this.schedule(window));
+    logger.info(`已啟動彙總統計，時間窗: ${this.windows.map(window => window.name).join(', ')}`);
+  }
+
+  /**
+   * 排程下一次時間窗關閉
+   * @param {Object} window - 時間窗
+   */
+  schedule(window) {
+    const now = Date.now();
+    const delay = this.alignStart(window, now) + window.size - now;
+
+    window.timer = setTimeout(async () => {
+      window.timer = null;
+      await this.close(window);
+      if (this.running) {
+        this.schedule(window);
+      }
+    }, delay);
+  }
+
+  /**
+   * 計算時間所屬時間窗的開始時間（對齊UTC時鐘邊界）
+   * @param {Object} window - 時間窗
+   * @param {number} time - 時間
+   * @returns {number} 時間窗開始時間
+   */
+  alignStart(window, time) {
+    return Math.floor(time / window.size) * window.size;
+  }
+
+  /**
+   * 累計一批感測器讀值
+   * @param {string} deviceSN - 閘道器設備序號
+   * @param {Array} sensorValues - 感測器數值資料
+   * @param {number} now - 讀取時間
+   */
+  async add(deviceSN, sensorValues, now = Date.now()) {
+    for (const window of this.windows) {
+      const start = this.alignStart(window, now);
+
+      // 計時器尚未觸發但讀值已屬於下一個時間窗時，先關閉目前的時間窗
+      if (window.start !== null && window.start !== start) {
+        await this.close(window);
+      }
+
+      window.start = start;
+      window.deviceSN = deviceSN;
+
+      sensorValues.forEach(sensorValue => {
+        const values = sensorValue.values && typeof sensorValue.values === 'object' ? sensorValue.values : {};
+        if (!window.sensors.has(sensorValue.sensorId)) {
+          window.sensors.set(sensorValue.sensorId, {});
+        }
+        const codes = window.sensors.get(sensorValue.sensorId);
+
+        Object.keys(values).forEach(code => {
+          const value = typeof values[code] === 'number' ? values[code] : parseFloat(values[code]);
+          if (!Number.isFinite(value)) {
+            return;
+          }
+
+          const stats = codes[code];
+          if (!stats) {
+            codes[code] = { min: value, max: value, sum: value, last: value, count: 1, firstAt: now, lastAt: now };
+            return;
+          }
+
+          stats.min = Math.min(stats.min, value);
+          stats.max = Math.max(stats.max, value);
+          stats.sum += value;
+          stats.last = value;
+          stats.count++;
+          stats.lastAt = now;
+        });
+      });
+    }
+  }
+
+  /**
+   * 關閉時間窗並發布每個感測器的彙總統計
+   * @param {Object} window - 時間窗
+   * @param {boolean} partial - 是否為提前關閉（服務停止時）
+   */
+  async close(window, partial = false) {
+    if (window.start === null) {
+      return;
+    }
+
+    const start = window.start;
+    const deviceSN = window.deviceSN;
+    const sensors = window.sensors;
+
+    window.start = null;
+    window.sensors = new Map();
+
+    for (const [sensorId, codes] of sensors) {
+      if (Object.keys(codes).length === 0) {
+        continue;
+      }
+
+      const rollup = this.buildRollup(window, start, sensorId, codes, partial);
+      try {
+        await this.mqttService.publishRollup(deviceSN, rollup);
+        this.stats.published++;
+      } catch (error) {
+        logger.error(`發布感測器 ${sensorId} ${window.name} 彙總統計失敗:`, error);
+        this.stats.failed++;
+      }
+    }
+
+    logger.debug(`時間窗 ${window.name} (${new Date(start).toISOString()}) 已關閉，共 ${sensors.size} 個感測器`);
+  }
+
+  /**
+   * 建立彙總統計內容
+   * @param {Object} window - 時間窗
+   * @param {number} start - 時間窗開始時間
+   * @param {string} sensorId - 感測器序號
+   * @param {Object} codes - 代碼 -> 累計統計
+   * @param {boolean} partial - 是否為提前關閉
+   * @returns {Object} 彙總統計
+   */
+  buildRollup(window, start, sensorId, codes, partial) {
+    const values = {};
+
+    Object.keys(codes).forEach(code => {
+      const stats = codes[code];
+      values[code] = {
+        min: stats.min,
+        max: stats.max,
+        mean: Math.round(stats.sum / stats.count * 1000) / 1000,
+        last: stats.last,
+        count: stats.count,
+        first_at: new Date(stats.firstAt).toISOString(),
+        last_at: new Date(stats.lastAt).toISOString()
+      };
+    });
+
+    return {
+      sensorId,
+      window: window.name,
+      start: new Date(start).toISOString(),
+      end: new Date(start + window.size).toISOString(),
+      partial,
+      values
+    };
+  }
+
+  /**
+   * 停止計時器並發布尚未結束的時間窗
+   */
+  async stop() {
+    this.running = false;
+
+    for (const window of this.windows) {
+      if (window.timer) {
+        clearTimeout(window.timer);
+        window.timer = null;
+      }
+      await this.close(window, true);
+    }
+  }
+
+  /**
+   * 獲取彙總統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      windows: this.windows.map(window => ({
+        name: window.name,
+        start: window.start !== null ? new Date(window.start).toISOString() : null,
+        sensors: window.sensors.size
+      }))
+    };
+  }
+}
+
+module.exports = RollupService;
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+const SensorProcessor = require('../utils/sensorProcessor');
+const logger = require('../utils/logger');
+const { getUnitByCode } = require('../utils/unit');
+
+const NAMESPACE = 'spBv1.0';
+
+class SparkplugService {
+  /**
+   * @param {Object} config - 服務配置
+   * @param {Object} mqttService - MQTT服務
+   * @param {string} edgeNodeId - Edge Node ID（預設為閘道器DeviceSN）
+   */
+  constructor(config, mqttService, edgeNodeId) {
+    this.config = config;
+    this.mqttService = mqttService;
+    this.groupId = config.SPARKPLUG_GROUP_ID || 'farm';
+    this.edgeNodeId = config.SPARKPLUG_EDGE_NODE_ID || edgeNodeId;
+    this.sensorProcessor = new SensorProcessor();
+    this.bdSeqPath = path.resolve(process.cwd(), config.SPARKPLUG_BDSEQ_PATH || 'data/sparkplug-bdseq.json');
+    this.bdSeq = this.loadBdSeq(); // 每次建立新的MQTT連線遞增，服務重啟後延續上次的值
+    this.seq = 0; // 0-255循環，NBIRTH時歸零
+    this.nodeMetrics = { FeedDay: null };
+    this.devices = new Map(); // 感測器序號 -> { definition, metrics, lastValues }
+  }
+
+  /**
+   * 組合Sparkplug主題
+   * @param {string} messageType - 訊息類型 (NBIRTH, DDATA...)
+   * @param {string} deviceId - 設備ID（節點層級訊息不需要）
+   * @returns {string} MQTT主題
+   */
+  getTopic(messageType, deviceId = null) {
+    const topic = `${NAMESPACE}/${this.groupId}/${messageType}/${this.edgeNodeId}`;
+    return deviceId ? `${topic}/${deviceId}` : topic;
+  }
+
+  /**
+   * 取得NDEATH遺囑訊息（連線時設定為MQTT will）
+   * @returns {Object} MQTT will選項
+   */
+  getDeathWill() {
+    return {
+      topic: this.getTopic('NDEATH'),
+      payload: sparkplug.encodePayload({
+        timestamp: Date.now(),
+        metrics: [{ name: 'bdSeq', type: 'UInt64', value: this.bdSeq }]
+      }),
+      qos: 1,
+      retain: false
+    };
+  }
+
+  /**
+   * 開始新的連線工作階段，遞增bdSeq並回傳新的遺囑
+   * @returns {Object} MQTT will選項
+   */
+  nextSession() {
+    this.bdSeq = this.bdSeq === null ? 0 : (this.bdSeq + 1) % 256;
+    this.persistBdSeq();
+    return this.getDeathWill();
+  }
+
+  /**
+   * 從磁碟載入上次使用的bdSeq（主機應用程式以bdSeq比對NBIRTH與NDEATH，重啟後不可歸零）
+   * @returns {number|null} 上次的bdSeq，沒有紀錄時為null
+   */
+  loadBdSeq() {
+    try {
+      if (!fs.existsSync(this.bdSeqPath)) {
+        return null;
+      }
+
+      const saved = JSON.parse(fs.readFileSync(this.bdSeqPath, 'utf8'));
+      return saved && Number.isInteger(saved.bdSeq) && saved.bdSeq >= 0 && saved.bdSeq < 256 ? saved.bdSeq : null;
+    } catch (error) {
+      logger.error('載入Sparkplug bdSeq失敗:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存目前的bdSeq
+   */
+  persistBdSeq() {
+    try {
+      fs.mkdirSync(path.dirname(this.bdSeqPath), { recursive: true });
+      const tempPath = `${this.bdSeqPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ bdSeq: this.bdSeq }));
+      fs.renameSync(tempPath, this.bdSeqPath);
+    } catch (error) {
+      logger.error('保存Sparkplug bdSeq失敗:', error);
+    }
+  }
+
+  /**
+   * 取得下一個訊息序號
+   * @returns {number} 序號
+   */
+  nextSeq() {
+    const seq = this.seq;
+    this.seq = (this.seq + 1) % 256;
+    return seq;
+  }
+
+  /**
+   * 訂閱節點指令主題（NCMD）
+   */
+  async start() {
+    await this.mqttService.subscribe(this.getTopic('NCMD'), (topic, message) => {
+      this.handleNodeCommand(message);
+    });
+  }
+
+  /**
+   * MQTT連線建立後發布NBIRTH及所有DBIRTH
+   */
+  async onConnect() {
+    try {
+      await this.publishBirth();
+    } catch (error) {
+      logger.error('發布Sparkplug出生訊息失敗:', error);
+    }
+  }
+
+  /**
+   * 發布NBIRTH及全部設備的DBIRTH
+   */
+  async publishBirth() {
+    this.seq = 0;
+
+    const metrics = [
+      { name: 'bdSeq', type: 'UInt64', value: this.bdSeq },
+      { name: 'Node Control/Rebirth', type: 'Boolean', value: false },
+      { name: 'FeedDay', type: 'Int32', value: this.nodeMetrics.FeedDay }
+    ];
+
+    await this.publish(this.getTopic('NBIRTH'), { timestamp: Date.now(), metrics, seq: this.nextSeq() });
+    logger.info(`已發布Sparkplug NBIRTH [${this.getTopic('NBIRTH')}]，bdSeq: ${this.bdSeq}`);
+
+    for (const deviceId of this.devices.keys()) {
+      await this.publishDeviceBirth(deviceId);
+    }
+  }
+
+  /**
+   * 處理節點指令（目前支援 Node Control/Rebirth）
+   * @param {Buffer} message - 訊息內容
+   */
+  handleNodeCommand(message) {
+    try {
+      const payload = sparkplug.decodePayload(message);
+      const rebirth = (payload.metrics || []).find(metric =>
+        metric.name === 'Node Control/Rebirth' && metric.value === true
+      );
+
+      if (rebirth) {
+        logger.info('收到Sparkplug Rebirth指令，重新發布出生訊息');
+        this.publishBirth().catch(error => {
+          logger.error('Sparkplug Rebirth失敗:', error);
+        });
+      }
+    } catch (error) {
+      logger.warn('無法解析Sparkplug NCMD訊息:', error);
+    }
+  }
+
+  /**
+   * 依SENINF更新設備清單：新增或定義變更的設備發布DBIRTH，移除的設備發布DDEATH
+   * @param {Array} rawSensorData - 原始SENINF資料
+   */
+  async updateDevices(rawSensorData) {
+    const sensors = this.sensorProcessor.processSensorData(rawSensorData);
+    const seen = new Set();
+
+    for (const sensor of sensors) {
+      seen.add(sensor.SN);
+      const metrics = this.buildMetricDefinitions(sensor);
+      const definition = JSON.stringify(metrics);
+      const device = this.devices.get(sensor.SN);
+
+      if (device && device.definition === definition) {
+        continue;
+      }
+
+      this.devices.set(sensor.SN, {
+        definition,
+        metrics,
+        lastValues: device ? device.lastValues : {}
+      });
+
+      if (this.mqttService.isReady()) {
+        await this.publishDeviceBirth(sensor.SN);
+      }
+    }
+
+    for (const deviceId of Array.from(this.devices.keys())) {
+      if (!seen.has(deviceId)) {
+        this.devices.delete(deviceId);
+        if (this.mqttService.isReady()) {
+          await this.publish(this.getTopic('DDEATH', deviceId), { timestamp: Date.now(), seq: this.nextSeq() });
+          logger.info(`感測器 ${deviceId} 已從SENINF移除，已發布DDEATH`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 由SENINF數值設定建立指標定義
+   * @param {Object} sensor - 解碼後的感測器資料
+   * @returns {Array} 指標定義 [{ name, code, properties }]
+   */
+  buildMetricDefinitions(sensor) {
+    const usedNames = new Set();
+
+    return sensor.value.filter(value => value.code).map(value => {
+      const unitInfo = getUnitByCode(value.code);
+      let name = value.name || (unitInfo ? unitInfo.name : value.code);
+      if (usedNames.has(name)) {
+        name = `${name}_${value.code}`;
+      }
+      usedNames.add(name);
+
+      const properties = {
+        code: { type: 'String', value: value.code }
+      };
+      if (unitInfo && unitInfo.unit.trim()) {
+        properties.engUnit = { type: 'String', value: unitInfo.unit };
+      }
+      if (value.min !== null) {
+        properties.engLow = { type: 'Double', value: value.min };
+      }
+      if (value.max !== null) {
+        properties.engHigh = { type: 'Double', value: value.max };
+      }
+
+      return { name, code: value.code, properties };
+    });
+  }
+
+  /**
+   * 發布單一設備的DBIRTH
+   * @param {string} deviceId - 感測器序號
+   */
+  async publishDeviceBirth(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return;
+    }
+
+    const metrics = device.metrics.map(metric => ({
+      name: metric.name,
+      type: 'Double',
+      value: this.toMetricValue(device.lastValues[metric.code]),
+      properties: metric.properties
+    }));
+
+    await this.publish(this.getTopic('DBIRTH', deviceId), { timestamp: Date.now(), metrics, seq: this.nextSeq() });
+    logger.debug(`已發布Sparkplug DBIRTH [${deviceId}]，共 ${metrics.length} 個指標`);
+  }
+
+  /**
+   * 發布感測器數值為DDATA（只包含已在DBIRTH中定義的指標）
+   * @param {Array} sensorValues - 感測器數值資料陣列
+   * @returns {Promise<number>} 發布的DDATA數量
+   */
+  async publishDeviceData(sensorValues) {
+    let published = 0;
+
+    for (const sensorValue of sensorValues) {
+      const device = this.devices.get(sensorValue.sensorId);
+      if (!device) {
+        logger.debug(`感測器 ${sensorValue.sensorId} 尚未發布DBIRTH，略過DDATA`);
+        continue;
+      }
+
+      const values = sensorValue.values && typeof sensorValue.values === 'object' ? sensorValue.values : {};
+      const timestamp = new Date(sensorValue.timestamp).getTime();
+      const metrics = device.metrics
+        .filter(metric => metric.code in values)
+        .map(metric => ({
+          name: metric.name,
+          type: 'Double',
+          value: this.toMetricValue(values[metric.code]),
+          timestamp
+        }));
+
+      device.lastValues = { ...device.lastValues, ...values };
+
+      if (metrics.length === 0 || !this.mqttService.isReady()) {
+        continue;
+      }
+
+      await this.publish(this.getTopic('DDATA', sensorValue.sensorId), { timestamp, metrics, seq: this.nextSeq() });
+      published++;
+    }
+
+    return published;
+  }
+
+  /**
+   * 發布節點層級的飼養天數（NDATA）
+   * @param {Object} feedingData - 飼養數據
+   */
+  async publishFeedingData(feedingData) {
+    const feedDay = parseInt(feedingData.feedDay);
+    this.nodeMetrics.FeedDay = isNaN(feedDay) ? null : feedDay;
+
+    if (!this.mqttService.isReady()) {
+      return;
+    }
+
+    await this.publish(this.getTopic('NDATA'), {
+      timestamp: Date.now(),
+      metrics: [{ name: 'FeedDay', type: 'Int32', value: this.nodeMetrics.FeedDay }],
+      seq: this.nextSeq()
+    });
+  }
+
+  /**
+   * 轉換為Double指標值，無法解析時為null（is_null）
+   * @param {*} value - 原始數值
+   * @returns {number|null} 指標值
+   */
+  toMetricValue(value) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * 編碼並發布Sparkplug訊息
+   * @param {string} topic - MQTT主題
+   * @param {Object} payload - Sparkplug payload
+   */
+  async publish(topic, payload) {
+    await this.mqttService.publishSparkplug(topic, sparkplug.encodePayload(payload));
+  }
+}
+
+module.exports = SparkplugService;
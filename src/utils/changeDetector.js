@@ -0,0 +1,138 @@
+const logger = require('./logger');
+const { getDeadbandByCode } = require('./unit');
+
+class ChangeDetector {
+  constructor(config) {
+    this.heartbeatInterval = config.RBE_HEARTBEAT_INTERVAL || 300000; // 5分鐘
+    this.deadbandOverrides = this.parseDeadbands(config.RBE_DEADBANDS);
+    this.lastPublished = new Map(); // 主題 -> { values, publishedAt }
+    this.stats = {
+      published: 0,
+      suppressed: 0,
+      heartbeats: 0
+    };
+  }
+
+  /**
+   * 解析死區覆寫設定
+   * @param {string} value - 格式: "A:0.5,C:100"
+   * @returns {Object} 代碼 -> 死區值
+   */
+  parseDeadbands(value) {
+    const overrides = {};
+    if (!value || typeof value !== 'string') {
+      return overrides;
+    }
+
+    value.split(',').forEach(pair => {
+      const [code, deadband] = pair.split(':').map(part => part && part.trim());
+      const parsed = parseFloat(deadband);
+      if (code && !isNaN(parsed) && parsed >= 0) {
+        overrides[code] = parsed;
+      } else if (pair.trim()) {
+        logger.warn(`無效的死區設定: ${pair}`);
+      }
+    });
+
+    return overrides;
+  }
+
+  /**
+   * 獲取感測器代碼的死區
+   * @param {string} code - 感測器代碼
+   * @returns {number} 死區值
+   */
+  getDeadband(code) {
+    if (this.deadbandOverrides[code] !== undefined) {
+      return this.deadbandOverrides[code];
+    }
+    return getDeadbandByCode(code);
+  }
+
+  /**
+   * 判斷是否需要發布（任一欄位變化超過死區或超過心跳間隔）
+   * @param {string} topic - MQTT主題
+   * @param {Object} values - 感測器數值，鍵為感測器代碼
+   * @returns {boolean} 是否需要發布
+   */
+  shouldPublish(topic, values) {
+    const last = this.lastPublished.get(topic);
+    if (!last) {
+      return true;
+    }
+
+    if (Date.now() - last.publishedAt >= this.heartbeatInterval) {
+      this.stats.heartbeats++;
+      return true;
+    }
+
+    if (this.hasChanged(last.values, values)) {
+      return true;
+    }
+
+    this.stats.suppressed++;
+    return false;
+  }
+
+  /**
+   * 比較兩組數值是否有超過死區的變化
+   * @param {Object} previous - 上次發布的數值
+   * @param {Object} current - 目前數值
+   * @returns {boolean} 是否有變化
+   */
+  hasChanged(previous, current) {
+    const previousKeys = Object.keys(previous || {});
+    const currentKeys = Object.keys(current || {});
+
+    if (previousKeys.length !== currentKeys.length) {
+      return true;
+    }
+
+    return currentKeys.some(code => {
+      if (!(code in previous)) {
+        return true;
+      }
+
+      const oldValue = parseFloat(previous[code]);
+      const newValue = parseFloat(current[code]);
+
+      // 非數值欄位以內容比較
+      if (isNaN(oldValue) || isNaN(newValue)) {
+        return JSON.stringify(previous[code]) !== JSON.stringify(current[code]);
+      }
+
+      const deadband = this.getDeadband(code);
+      if (deadband === 0) {
+        return oldValue !== newValue;
+      }
+      return Math.abs(newValue - oldValue) > deadband;
+    });
+  }
+
+  /**
+   * 記錄已發布的數值
+   * @param {string} topic - MQTT主題
+   * @param {Object} values - 感測器數值
+   */
+  markPublished(topic, values) {
+    this.lastPublished.set(topic, {
+      values: { ...values },
+      publishedAt: Date.now()
+    });
+    this.stats.published++;
+  }
+
+  /**
+   * 獲取統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      trackedTopics: this.lastPublished.size,
+      heartbeatInterval: this.heartbeatInterval,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ChangeDetector;
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { TOPIC_TEMPLATE_KEYS } = require('./topicTemplate');
+
+// 未指定 CONFIG_FILE 時依序尋找的配置檔案
+const DEFAULT_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+// 最上層不轉換為配置鍵的項目
+const RESERVED_KEYS = ['$schema', 'profiles', 'sites'];
+
+// 區段名稱 -> 配置鍵前綴，未列出的區段以名稱轉大寫作為前綴（例如 redis -> REDIS_）
+const SECTION_PREFIXES = {
+  sensors: 'SENSOR',
+  topics: 'TOPIC'
+};
+
+// streams 區段欄位 -> "資料流:數值" 格式的配置鍵
+const STREAM_FIELDS = {
+  qos: 'MQTT_STREAM_QOS',
+  codec: 'MQTT_PAYLOAD_CODECS',
+  priority: 'MQTT_STREAM_PRIORITY',
+  expiry: 'MQTT5_MESSAGE_EXPIRY'
+};
+
+// mqtt.brokers 各代理可設定的項目 (MQTT_BROKER_{NAME}_{SUFFIX})
+const BROKER_SUFFIXES = [
+  'URL', 'CLIENT_ID', 'USERNAME', 'PASSWORD', 'TOPIC_PREFIX', 'PROTOCOL_VERSION',
+  'CA_FILE', 'CERT_FILE', 'KEY_FILE', 'KEY_PASSPHRASE', 'SERVERNAME', 'REJECT_UNAUTHORIZED',
+  'STREAMS', 'PAYLOAD_CODECS', 'MAX_INFLIGHT', 'PUBLISH_TIMEOUT'
+];
+
+/**
+ * 解析命令列參數中的配置選項
+ * @param {Array} argv - 命令列參數
+ * @returns {Object} {config, profile}，支援 --config <路徑>、--profile <名稱> 及 --name=value 形式
+ */
+function parseCliOptions(argv = process.argv.slice(2)) {
+  const options = {};
+
+  argv.forEach((arg, index) => {
+    const match = /^--(config|profile)(?:=(.*))?$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2] !== undefined ? match[2] : argv[index + 1];
+    }
+  });
+
+  return options;
+}
+
+/**
+ * 尋找結構化配置檔案
+ * @param {string} filePath - 指定的檔案路徑（CONFIG_FILE），未指定時尋找目前目錄的預設檔案
+ * @returns {string|null} 檔案絕對路徑，沒有配置檔案時為null
+ */
+function findConfigFile(filePath) {
+  if (filePath) {
+    return path.resolve(process.cwd(), filePath);
+  }
+
+  const found = DEFAULT_FILES
+    .map(name => path.join(process.cwd(), name))
+    .find(candidate => fs.existsSync(candidate));
+
+  return found || null;
+}
+
+/**
+ * 讀取並解析JSON或YAML配置檔案
+ * @param {string} filePath - 檔案路徑
+ * @returns {Object} 配置內容
+ */
+function readConfigFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(ext)) {
+    throw new Error(`不支援的配置檔案格式: ${filePath}（需為 .json、.yaml 或 .yml）`);
+  }
+
+  let document;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    document = ext === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`無法讀取配置檔案 ${filePath}: ${error.message}`);
+  }
+
+  if (document === null || document === undefined) {
+    return {};
+  }
+
+  if (!isPlainObject(document)) {
+    throw new Error(`配置檔案 ${filePath} 的最上層必須是物件`);
+  }
+
+  return document;
+}
+
+/**
+ * 合併配置層，後面的層覆寫前面的層（物件逐層合併，陣列及數值直接取代）
+ * @param {...Object} layers - 配置層
+ * @returns {Object} 合併後的配置
+ */
+function mergeLayers(...layers) {
+  return layers.reduce((merged, layer) => {
+    Object.entries(layer || {}).forEach(([name, value]) => {
+      merged[name] = isPlainObject(value) && isPlainObject(merged[name])
+        ? mergeLayers(merged[name], value)
+        : value;
+    });
+    return merged;
+  }, {});
+}
+
+/**
+ * 將巢狀配置轉換為配置鍵並檢查型別
+ * @param {Object} document - 配置內容（不含 profiles、sites）
+ * @param {Function} getType - 取得配置鍵型別 (key) => 'string'|'number'|'boolean'|null，null表示未知的配置鍵
+ * @returns {Object} {values, errors}，values為配置鍵 -> 數值，errors為錯誤訊息陣列
+ */
+function flattenConfig(document, getType) {
+  const values = {};
+  const errors = [];
+
+  const setValue = (key, value, keyPath) => {
+    // 未填寫的項目視為未設定
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    const type = getType(key);
+    if (!type) {
+      errors.push(`${keyPath}: 不是已知的配置項（${key}）`);
+      return;
+    }
+
+    const { value: checked, error } = checkType(type, value);
+    if (error) {
+      errors.push(`${keyPath} (${key}): ${error}，目前為 ${JSON.stringify(value)}`);
+      return;
+    }
+
+    values[key] = checked;
+  };
+
+  const walk = (node, prefix, parentPath) => {
+    Object.entries(node).forEach(([name, value]) => {
+      if (!prefix && RESERVED_KEYS.includes(name)) {
+        return;
+      }
+
+      const keyPath = parentPath ? `${parentPath}.${name}` : name;
+      const key = prefix
+        ? `${prefix}_${toConfigKey(name)}`
+        : (isPlainObject(value) && SECTION_PREFIXES[name]) || toConfigKey(name);
+
+      if (!prefix && name === 'streams' && isPlainObject(value)) {
+        flattenStreams(value, keyPath, setValue, errors);
+      } else if (key === 'MQTT_BROKERS' && isPlainObject(value)) {
+        flattenBrokers(value, keyPath, setValue, errors);
+      } else if (isPlainObject(value)) {
+        // "資料流:數值" 等清單型配置可寫成物件，其餘物件視為下一層區段
+        if (getType(key) === 'string') {
+          setValue(key, toPairList(value), keyPath);
+        } else {
+          walk(value, key, keyPath);
+        }
+      } else if (Array.isArray(value) && getType(key) === 'string') {
+        setValue(key, value.join(','), keyPath);
+      } else {
+        setValue(key, value, keyPath);
+      }
+    });
+  };
+
+  walk(document, '', '');
+  return { values, errors };
+}
+
+/**
+ * 轉換 streams 區段（各資料流的QoS、編碼、優先順序、有效期限、主題及主題別名）
+ * @param {Object} streams - 資料流 -> 設定
+ * @param {string} basePath - 區段路徑
+ * @param {Function} setValue - 設定配置鍵
+ * @param {Array} errors - 錯誤訊息陣列
+ */
+function flattenStreams(streams, basePath, setValue, errors) {
+  const lists = {};
+  const aliasStreams = [];
+
+  Object.entries(streams).forEach(([stream, settings]) => {
+    const streamPath = `${basePath}.${stream}`;
+    if (!isPlainObject(settings)) {
+      errors.push(`${streamPath}: 必須是物件`);
+      return;
+    }
+
+    Object.entries(settings).forEach(([field, value]) => {
+      const fieldPath = `${streamPath}.${field}`;
+      if (value === null || value === undefined) {
+        return;
+      }
+
+      if (STREAM_FIELDS[field]) {
+        lists[STREAM_FIELDS[field]] = [...(lists[STREAM_FIELDS[field]] || []), `${stream}:${value}`];
+      } else if (field === 'topic') {
+        if (TOPIC_TEMPLATE_KEYS[stream]) {
+          setValue(TOPIC_TEMPLATE_KEYS[stream], value, fieldPath);
+        } else {
+          errors.push(`${fieldPath}: 資料流 ${stream} 沒有主題模板`);
+        }
+      } else if (field === 'topicAlias') {
+        if (typeof value !== 'boolean') {
+          errors.push(`${fieldPath}: 必須為true或false，目前為 ${JSON.stringify(value)}`);
+        } else if (value) {
+          aliasStreams.push(stream);
+        }
+      } else {
+        errors.push(`${fieldPath}: 不是已知的資料流設定（可用: ${[...Object.keys(STREAM_FIELDS), 'topic', 'topicAlias'].join(', ')}）`);
+      }
+    });
+  });
+
+  Object.entries(lists).forEach(([key, pairs]) => setValue(key, pairs.join(','), basePath));
+
+  if (aliasStreams.length > 0) {
+    setValue('MQTT5_TOPIC_ALIAS_STREAMS', aliasStreams.join(','), basePath);
+  }
+}
+
+/**
+ * 轉換 mqtt.brokers 區段，代理名稱 -> MQTT_BROKERS，各項設定 -> MQTT_BROKER_{NAME}_*
+ * @param {Object} brokers - 代理名稱 -> 設定
+ * @param {string} basePath - 區段路徑
+ * @param {Function} setValue - 設定配置鍵
+ * @param {Array} errors - 錯誤訊息陣列
+ */
+function flattenBrokers(brokers, basePath, setValue, errors) {
+  setValue('MQTT_BROKERS', Object.keys(brokers).join(','), basePath);
+
+  Object.entries(brokers).forEach(([name, settings]) => {
+    const brokerPath = `${basePath}.${name}`;
+    if (!isPlainObject(settings)) {
+      errors.push(`${brokerPath}: 必須是物件`);
+      return;
+    }
+
+    Object.entries(settings).forEach(([field, value]) => {
+      const fieldPath = `${brokerPath}.${field}`;
+      const suffix = toConfigKey(field);
+
+      if (!BROKER_SUFFIXES.includes(suffix)) {
+        errors.push(`${fieldPath}: 不是已知的代理設定`);
+        return;
+      }
+
+      const key = `MQTT_BROKER_${name.toUpperCase()}_${suffix}`;
+      if (Array.isArray(value)) {
+        setValue(key, value.join(','), fieldPath);
+      } else if (isPlainObject(value)) {
+        setValue(key, toPairList(value), fieldPath);
+      } else {
+        setValue(key, value, fieldPath);
+      }
+    });
+  });
+}
+
+/**
+ * 檢查並轉換數值型別
+ * @param {string} type - 配置鍵型別
+ * @param {*} value - 數值
+ * @returns {Object} {value, error}
+ */
+function checkType(type, value) {
+  if (type === 'number') {
+    return Number.isInteger(value) ? { value } : { error: '必須為整數' };
+  }
+
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { error: '必須為true或false' };
+  }
+
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return { value: String(value) };
+  }
+
+  return { error: '必須為字串' };
+}
+
+/**
+ * 將物件轉換為 "名稱:數值" 清單，數值為陣列時以冒號連接（例如 ALARM_LIMITS 的下限:上限）
+ * @param {Object} value - 物件
+ * @returns {string} 以逗號分隔的清單
+ */
+function toPairList(value) {
+  return Object.entries(value)
+    .map(([name, item]) => `${name}:${Array.isArray(item) ? item.map(part => part === null ? '' : part).join(':') : item}`)
+    .join(',');
+}
+
+/**
+ * 將配置名稱轉換為配置鍵格式（brokerUrl、broker_url -> BROKER_URL）
+ * @param {string} name - 配置名稱
+ * @returns {string} 配置鍵
+ */
+function toConfigKey(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[-.]/g, '_').toUpperCase();
+}
+
+/**
+ * 判斷是否為一般物件
+ * @param {*} value - 數值
+ * @returns {boolean} 是否為一般物件
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  parseCliOptions,
+  findConfigFile,
+  readConfigFile,
+  mergeLayers,
+  flattenConfig,
+  isPlainObject
+};
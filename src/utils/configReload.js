@@ -0,0 +1,94 @@
+const { TOPIC_TEMPLATE_KEYS } = require('./topicTemplate');
+
+// 不需重新連線即可套用的配置
+const LIVE_KEYS = ['POLL_INTERVAL', 'LOG_LEVEL'];
+
+// 主題配置，下一次發布即使用新主題（指令主題已訂閱，需重新啟動服務）
+const TOPIC_KEYS = [
+  ...Object.values(TOPIC_TEMPLATE_KEYS).filter(key => key !== 'TOPIC_COMMAND'),
+  'DEVICE_TOPIC_PREFIX',
+  'SITE_ID'
+];
+
+// 狀態主題相關配置，改變時需重新連線以更新遺囑
+const STATUS_TOPIC_KEYS = ['TOPIC_STATUS', 'DEVICE_TOPIC_PREFIX', 'SITE_ID'];
+
+// MQTT連線配置
+const MQTT_CONNECTION_KEYS = [
+  'MQTT_BROKER_URL',
+  'MQTT_CLIENT_ID',
+  'MQTT_USERNAME',
+  'MQTT_PASSWORD',
+  'MQTT_PROTOCOL_VERSION',
+  'MQTT_CA_FILE',
+  'MQTT_CERT_FILE',
+  'MQTT_KEY_FILE',
+  'MQTT_KEY_PASSPHRASE',
+  'MQTT_SERVERNAME',
+  'MQTT_REJECT_UNAUTHORIZED'
+];
+
+// 其他代理可覆寫的連線及主題配置 (MQTT_BROKER_{NAME}_{SUFFIX})
+const BROKER_CONNECTION_PATTERN = /^MQTT_BROKER_[A-Z0-9]+_(URL|CLIENT_ID|USERNAME|PASSWORD|PROTOCOL_VERSION|CA_FILE|CERT_FILE|KEY_FILE|KEY_PASSPHRASE|SERVERNAME|REJECT_UNAUTHORIZED)$/;
+const BROKER_TOPIC_PATTERN = /^MQTT_BROKER_[A-Z0-9]+_TOPIC_PREFIX$/;
+
+// Redis連線配置皆以 REDIS_ 開頭
+const REDIS_CONNECTION_PATTERN = /^REDIS_/;
+
+/**
+ * 比較兩份配置，列出改變的配置鍵
+ * @param {Object} previous - 目前配置
+ * @param {Object} next - 重新載入的配置
+ * @returns {Array} 變更 [{key, from, to}]，依配置鍵排序
+ */
+function diffConfig(previous, next) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return Array.from(keys)
+    .filter(key => previous[key] !== next[key])
+    .sort()
+    .map(key => ({ key, from: previous[key], to: next[key] }));
+}
+
+/**
+ * 依套用方式分類改變的配置鍵
+ * @param {Array} keys - 改變的配置鍵
+ * @returns {Object} {live, topics, redis, mqtt, restart}，restart為需重新啟動服務才會生效的配置
+ */
+function classifyChanges(keys) {
+  const groups = { live: [], topics: [], redis: [], mqtt: [], restart: [] };
+
+  keys.forEach(key => {
+    if (LIVE_KEYS.includes(key)) {
+      groups.live.push(key);
+    } else if (TOPIC_KEYS.includes(key) || BROKER_TOPIC_PATTERN.test(key)) {
+      groups.topics.push(key);
+    } else if (REDIS_CONNECTION_PATTERN.test(key)) {
+      groups.redis.push(key);
+    } else if (MQTT_CONNECTION_KEYS.includes(key) || BROKER_CONNECTION_PATTERN.test(key)) {
+      groups.mqtt.push(key);
+    } else {
+      groups.restart.push(key);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * 判斷配置鍵能否在執行中套用
+ * @param {string} key - 配置鍵
+ * @returns {boolean} 是否可即時套用
+ */
+function isReloadable(key) {
+  return classifyChanges([key]).restart.length === 0;
+}
+
+module.exports = {
+  TOPIC_KEYS,
+  STATUS_TOPIC_KEYS,
+  MQTT_CONNECTION_KEYS,
+  diffConfig,
+  classifyChanges,
+  isReloadable
+};
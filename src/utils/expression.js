@@ -0,0 +1,343 @@
+// 安全的算式解析器，供SENINF的calc欄位使用（不使用eval，只支援數值運算）
+
+const MAX_LENGTH = 500;
+
+// 可用函式 -> [最少參數, 最多參數, 實作]
+const FUNCTIONS = {
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  log: [1, 1, Math.log],
+  log10: [1, 1, Math.log10],
+  exp: [1, 1, Math.exp],
+  pow: [2, 2, Math.pow],
+  round: [1, 2, (value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }],
+  min: [1, Infinity, Math.min],
+  max: [1, Infinity, Math.max],
+  avg: [1, Infinity, (...values) => values.reduce((sum, value) => sum + value, 0) / values.length],
+  clamp: [3, 3, (value, min, max) => Math.min(Math.max(value, min), max)]
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// 運算子優先順序（數字越大越優先）
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6,
+  '^': 8
+};
+
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '(', ')', ',', '?', ':'];
+
+/**
+ * 將算式切分為記號
+ * @param {string} source - 算式
+ * @returns {Array} 記號陣列 {type, value, position}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // 數字（支援小數及科學記號）
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+
+    // 感測器數值參照 {代碼} 或 {感測器序號.代碼}
+    if (char === '{') {
+      const end = source.indexOf('}', index);
+      const reference = end === -1 ? null : /^([A-Za-z0-9_-]+\.)?([A-Za-z0-9]+)$/.exec(source.slice(index + 1, end).trim());
+      if (!reference) {
+        throw new Error(`位置 ${index} 的參照格式無效，應為 {代碼} 或 {感測器序號.代碼}`);
+      }
+      tokens.push({
+        type: 'reference',
+        sensorId: reference[1] ? reference[1].slice(0, -1) : null,
+        code: reference[2],
+        position: index
+      });
+      index = end + 1;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: index });
+      index += identifier[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    throw new Error(`位置 ${index} 有無法辨識的字元: ${char}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * 解析算式為語法樹
+ * 支援 + - * / % ^、比較、&& || !、條件 a ? b : c、函式呼叫、
+ * x（此代碼的原始讀值）及 {代碼}、{感測器序號.代碼} 參照
+ * @param {string} source - 算式
+ * @returns {Object} 語法樹
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('算式不可為空');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`算式長度不可超過 ${MAX_LENGTH} 字元`);
+  }
+
+  // 以運算子開頭的簡寫（例如 "*0.1"、"+2"）視為對原始讀值運算
+  const trimmed = source.trim();
+  const normalized = /^[*/%^+]/.test(trimmed) ? `x ${trimmed}` : trimmed;
+
+  const tokens = tokenize(normalized);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new Error(token ? `位置 ${token.position} 預期 ${value}` : `算式不完整，缺少 ${value}`);
+    }
+    position++;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('算式不完整');
+    }
+    position++;
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'reference') {
+      return { type: 'reference', sensorId: token.sensorId, code: token.code };
+    }
+
+    if (token.type === 'identifier') {
+      if (isOperator('(')) {
+        // 只接受自有屬性，避免 constructor、toString 等原型屬性被當成函式
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!definition) {
+          throw new Error(`不支援的函式: ${token.value}`);
+        }
+        position++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseTernary());
+          while (isOperator(',')) {
+            position++;
+            args.push(parseTernary());
+          }
+        }
+        expect(')');
+        if (args.length < definition[0] || args.length > definition[1]) {
+          throw new Error(`函式 ${token.value} 的參數數量錯誤`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (token.value === 'x') {
+        return { type: 'input' };
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return { type: 'number', value: CONSTANTS[token.value] };
+      }
+      throw new Error(`未知的名稱: ${token.value}（其他感測器數值請使用 {代碼} 或 {感測器序號.代碼}）`);
+    }
+
+    if (token.value === '(') {
+      const node = parseTernary();
+      expect(')');
+      return node;
+    }
+
+    if (['-', '+', '!'].includes(token.value)) {
+      // 一元運算子優先於乘除但低於次方（-x^2 = -(x^2)）
+      return { type: 'unary', operator: token.value, operand: parseBinary(7) };
+    }
+
+    throw new Error(`位置 ${token.position} 有非預期的 ${token.value}`);
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parsePrimary();
+
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[peek().value] >= minPrecedence) {
+      const operator = peek().value;
+      const precedence = BINARY_PRECEDENCE[operator];
+      position++;
+      // 次方為右結合
+      const right = parseBinary(operator === '^' ? precedence : precedence + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+
+    return left;
+  };
+
+  const parseTernary = () => {
+    const condition = parseBinary(1);
+    if (!isOperator('?')) {
+      return condition;
+    }
+    position++;
+    const consequent = parseTernary();
+    expect(':');
+    const alternate = parseTernary();
+    return { type: 'conditional', condition, consequent, alternate };
+  };
+
+  const ast = parseTernary();
+  if (position < tokens.length) {
+    throw new Error(`位置 ${tokens[position].position} 有多餘的 ${tokens[position].value}`);
+  }
+
+  return ast;
+}
+
+/**
+ * 計算語法樹
+ * @param {Object} node - 語法樹
+ * @param {Object} scope - {input, resolve(sensorId, code)}，resolve找不到數值時回傳null
+ * @returns {number} 計算結果
+ */
+function evaluateExpression(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'input':
+      if (scope.input === null || scope.input === undefined) {
+        throw new Error('此數值沒有原始讀值，不可使用 x');
+      }
+      return scope.input;
+
+    case 'reference': {
+      const value = scope.resolve(node.sensorId, node.code);
+      if (value === null || value === undefined) {
+        throw new Error(`找不到 {${node.sensorId ? `${node.sensorId}.` : ''}${node.code}} 的數值`);
+      }
+      return value;
+    }
+
+    case 'unary': {
+      const operand = evaluateExpression(node.operand, scope);
+      if (node.operator === '!') {
+        return operand ? 0 : 1;
+      }
+      return node.operator === '-' ? -operand : operand;
+    }
+
+    case 'binary': {
+      const left = evaluateExpression(node.left, scope);
+
+      // 邏輯運算子短路求值
+      if (node.operator === '&&') {
+        return left && evaluateExpression(node.right, scope) ? 1 : 0;
+      }
+      if (node.operator === '||') {
+        return left || evaluateExpression(node.right, scope) ? 1 : 0;
+      }
+
+      const right = evaluateExpression(node.right, scope);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/':
+          if (right === 0) {
+            throw new Error('除以零');
+          }
+          return left / right;
+        case '%':
+          if (right === 0) {
+            throw new Error('除以零');
+          }
+          return left % right;
+        case '^': return Math.pow(left, right);
+        case '<': return left < right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        case '>=': return left >= right ? 1 : 0;
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        default:
+          throw new Error(`不支援的運算子: ${node.operator}`);
+      }
+    }
+
+    case 'conditional':
+      return evaluateExpression(node.condition, scope)
+        ? evaluateExpression(node.consequent, scope)
+        : evaluateExpression(node.alternate, scope);
+
+    case 'call':
+      return FUNCTIONS[node.name][2](...node.args.map(arg => evaluateExpression(arg, scope)));
+
+    default:
+      throw new Error(`無效的語法樹節點: ${node.type}`);
+  }
+}
+
+/**
+ * 取得語法樹中的所有感測器數值參照
+ * @param {Object} node - 語法樹
+ * @returns {Array} 參照陣列 [{sensorId, code}]，sensorId為null表示同一感測器
+ */
+function getReferences(node) {
+  switch (node.type) {
+    case 'reference':
+      return [{ sensorId: node.sensorId, code: node.code }];
+    case 'unary':
+      return getReferences(node.operand);
+    case 'binary':
+      return [...getReferences(node.left), ...getReferences(node.right)];
+    case 'conditional':
+      return [...getReferences(node.condition), ...getReferences(node.consequent), ...getReferences(node.alternate)];
+    case 'call':
+      return node.args.flatMap(getReferences);
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  parseExpression,
+  evaluateExpression,
+  getReferences
+};
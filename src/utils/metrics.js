@@ -0,0 +1,134 @@
+const client = require('prom-client');
+
+// 服務專用的registry，不使用prom-client的全域registry
+const register = new client.Registry();
+
+const metrics = {
+  register,
+
+  // 發布結果: published, failed, timeout, dropped, superseded, offline, rejected, suppressed
+  messages: new client.Counter({
+    name: 'mqtt_push_messages_total',
+    help: '各代理及資料流的訊息數量，依發布結果區分',
+    labelNames: ['broker', 'stream', 'outcome'],
+    registers: [register]
+  }),
+
+  errors: new client.Counter({
+    name: 'mqtt_push_errors_total',
+    help: '各處理階段發生的錯誤數量',
+    labelNames: ['stage'],
+    registers: [register]
+  }),
+
+  // 處理結果: completed, failed, skipped
+  cycles: new client.Counter({
+    name: 'mqtt_push_cycles_total',
+    help: '輪詢及事件處理次數，依結果區分',
+    labelNames: ['result'],
+    registers: [register]
+  }),
+
+  mqttReconnects: new client.Counter({
+    name: 'mqtt_push_mqtt_reconnects_total',
+    help: 'MQTT重新連線次數',
+    labelNames: ['broker'],
+    registers: [register]
+  }),
+
+  redisReadSeconds: new client.Histogram({
+    name: 'mqtt_push_redis_read_seconds',
+    help: 'Redis讀取時間（秒）',
+    labelNames: ['operation'],
+    buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+    registers: [register]
+  }),
+
+  processingSeconds: new client.Histogram({
+    name: 'mqtt_push_processing_seconds',
+    help: '各處理階段的時間（秒），cycle為整次處理',
+    labelNames: ['stage'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+  }),
+
+  publishAckSeconds: new client.Histogram({
+    name: 'mqtt_push_publish_ack_seconds',
+    help: '送出訊息到收到代理確認的時間（秒）',
+    labelNames: ['broker', 'stream'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+  }),
+
+  mqttConnected: new client.Gauge({
+    name: 'mqtt_push_mqtt_connected',
+    help: 'MQTT代理是否已連接（1: 已連接, 0: 未連接）',
+    labelNames: ['broker'],
+    registers: [register]
+  }),
+
+  mqttReconnectAttempts: new client.Gauge({
+    name: 'mqtt_push_mqtt_reconnect_attempts',
+    help: '目前連續的手動重連嘗試次數',
+    labelNames: ['broker'],
+    registers: [register]
+  }),
+
+  redisConnected: new client.Gauge({
+    name: 'mqtt_push_redis_connected',
+    help: 'Redis是否已連接（1: 已連接, 0: 未連接）',
+    registers: [register]
+  }),
+
+  // 來源: seninf（感測器列表）, values（讀到數值的感測器）
+  cycleSensors: new client.Gauge({
+    name: 'mqtt_push_cycle_sensors',
+    help: '最近一次處理的感測器數量',
+    labelNames: ['source'],
+    registers: [register]
+  }),
+
+  publishInFlight: new client.Gauge({
+    name: 'mqtt_push_publish_in_flight',
+    help: '等待代理確認的訊息數量',
+    labelNames: ['broker'],
+    registers: [register]
+  }),
+
+  publishQueued: new client.Gauge({
+    name: 'mqtt_push_publish_queued',
+    help: '發布排程中等待送出的訊息數量',
+    labelNames: ['broker', 'priority'],
+    registers: [register]
+  }),
+
+  offlineQueueDepth: new client.Gauge({
+    name: 'mqtt_push_offline_queue_depth',
+    help: '離線佇列中待補發的訊息數量',
+    labelNames: ['broker'],
+    registers: [register]
+  }),
+
+  lastPublishTimestamp: new client.Gauge({
+    name: 'mqtt_push_last_publish_timestamp_seconds',
+    help: '最近一次成功處理並發布感測器資料的時間（Unix秒）',
+    registers: [register]
+  })
+};
+
+let defaultMetricsEnabled = false;
+
+/**
+ * 啟用Node.js程序的預設指標（CPU、記憶體、事件迴圈延遲等）
+ * @param {Object} labels - 所有指標共用的標籤，例如 {site}
+ */
+metrics.enableDefaultMetrics = (labels = {}) => {
+  if (defaultMetricsEnabled) {
+    return;
+  }
+  defaultMetricsEnabled = true;
+  register.setDefaultLabels(labels);
+  client.collectDefaultMetrics({ register });
+};
+
+module.exports = metrics;
@@ -0,0 +1,121 @@
+const zlib = require('zlib');
+const { Encoder } = require('cbor-x');
+const { Packr } = require('msgpackr');
+
+// 不使用record擴充，其他語言的標準CBOR/MessagePack解碼器才能解讀
+const cborEncoder = new Encoder({ useRecords: false });
+const msgpackEncoder = new Packr({ useRecords: false });
+
+// 編碼格式 -> {contentType, encode(json, message)}
+const FORMATS = {
+  json: { contentType: 'application/json', encode: (json) => json },
+  cbor: { contentType: 'application/cbor', encode: (json, message) => cborEncoder.encode(message) },
+  msgpack: { contentType: 'application/msgpack', encode: (json, message) => msgpackEncoder.pack(message) }
+};
+
+// 可設定編碼的資料流（status、指令回應及Home Assistant探索固定為JSON）
+const CODEC_STREAMS = ['seninf', 'sensor_value', 'feeding', 'registration', 'alarm', 'sensor_status', 'rollup', 'bridge', 'validation', 'snapshot'];
+
+const JSON_CODEC = { name: 'json', format: 'json', gzip: false };
+
+/**
+ * 解析編碼名稱
+ * @param {string} name - json、cbor、msgpack，可加上 +gzip，例如 "cbor+gzip"
+ * @returns {Object} 編碼 {name, format, gzip}
+ */
+function parseCodec(name) {
+  const match = /^(json|cbor|msgpack)(\+gzip)?$/.exec(name);
+  if (!match) {
+    throw new Error(`無效的編碼: ${name}，必須為json、cbor或msgpack，可加上+gzip`);
+  }
+  return { name, format: match[1], gzip: Boolean(match[2]) };
+}
+
+/**
+ * 解析各資料流的編碼設定
+ * @param {string} value - 格式: "seninf:cbor+gzip,sensor_value:msgpack"
+ * @returns {Object} 資料流 -> 編碼
+ */
+function parseCodecList(value) {
+  const codecs = {};
+  if (!value || typeof value !== 'string') {
+    return codecs;
+  }
+
+  value.split(',').filter(pair => pair.trim()).forEach(pair => {
+    const [stream, name] = pair.split(':').map(part => part && part.trim());
+    if (!CODEC_STREAMS.includes(stream)) {
+      throw new Error(`資料流 ${stream} 不支援設定編碼，可設定: ${CODEC_STREAMS.join('、')}`);
+    }
+    codecs[stream] = parseCodec(name);
+  });
+
+  return codecs;
+}
+
+/**
+ * 編碼訊息內容
+ * 以JSON序列化後的內容編碼，與JSON格式的資料模型一致（略過undefined、Date轉為字串）
+ * @param {Object} codec - 編碼
+ * @param {Object} message - 訊息內容
+ * @returns {Object} {payload, jsonSize}，payload為JSON字串或Buffer
+ */
+function encodePayload(codec, message) {
+  const json = JSON.stringify(message);
+  let payload = codec.format === 'json' ? json : FORMATS[codec.format].encode(json, JSON.parse(json));
+
+  if (codec.gzip) {
+    payload = zlib.gzipSync(payload);
+  }
+
+  return { payload, jsonSize: Buffer.byteLength(json) };
+}
+
+/**
+ * 計算訊息以各種編碼發布的大小（供比較選擇編碼）
+ * @param {Object} message - 訊息內容
+ * @returns {Object} 編碼名稱 -> 位元組數
+ */
+function measureCodecs(message) {
+  const sizes = {};
+
+  Object.keys(FORMATS).forEach(format => {
+    [false, true].forEach(gzip => {
+      const codec = { format, gzip };
+      sizes[gzip ? `${format}+gzip` : format] = Buffer.byteLength(encodePayload(codec, message).payload);
+    });
+  });
+
+  return sizes;
+}
+
+/**
+ * 獲取編碼的主題後綴，JSON不加後綴
+ * @param {Object} codec - 編碼
+ * @returns {string} 後綴，例如 "cbor"、"msgpack.gz"、"json.gz"
+ */
+function getTopicSuffix(codec) {
+  if (codec.format === 'json' && !codec.gzip) {
+    return '';
+  }
+  return codec.gzip ? `${codec.format}.gz` : codec.format;
+}
+
+/**
+ * 獲取編碼的MQTT 5內容類型
+ * @param {Object} codec - 編碼
+ * @returns {string} 內容類型
+ */
+function getContentType(codec) {
+  return FORMATS[codec.format].contentType;
+}
+
+module.exports = {
+  CODEC_STREAMS,
+  JSON_CODEC,
+  parseCodecList,
+  encodePayload,
+  measureCodecs,
+  getTopicSuffix,
+  getContentType
+};
@@ -0,0 +1,292 @@
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// 優先等級，依序發布（同等級內維持先進先出）
+const PRIORITY_CLASSES = ['high', 'normal', 'bulk', 'backfill'];
+
+// 資料流 -> 預設優先等級（backfill為歷史補發及離線佇列補發）
+const DEFAULT_PRIORITIES = {
+  status: 'high',
+  command_response: 'high',
+  registration: 'high',
+  alarm: 'high',
+  sensor_status: 'high',
+  seninf: 'normal',
+  feeding: 'normal',
+  rollup: 'normal',
+  bridge: 'normal',
+  discovery: 'normal',
+  validation: 'normal',
+  sparkplug: 'normal',
+  sensor_value: 'bulk',
+  snapshot: 'bulk',
+  backfill: 'backfill'
+};
+
+// 同一主題較新的讀值可取代尚未送出的舊讀值
+const SUPERSEDABLE_STREAMS = ['seninf', 'sensor_value', 'feeding', 'snapshot'];
+
+class PublishScheduler {
+  /**
+   * @param {Object} config - 代理配置
+   * @param {Function} send - 實際發布函式 (topic, payload, options, callback) => void
+   */
+  constructor(config, send) {
+    this.send = send;
+    this.broker = config.MQTT_BROKER_NAME || 'default';
+    this.maxInFlight = config.MQTT_MAX_INFLIGHT !== undefined ? config.MQTT_MAX_INFLIGHT : 20; // 0表示不限制
+    this.timeout = config.MQTT_PUBLISH_TIMEOUT !== undefined ? config.MQTT_PUBLISH_TIMEOUT : 30000; // 0表示不逾時
+    this.maxQueued = config.MQTT_PUBLISH_QUEUE_MAX || 10000;
+    this.supersededPolicy = config.MQTT_SUPERSEDED_POLICY || 'coalesce'; // keep: 全部發布, drop: 捨棄舊讀值, coalesce: 以新讀值取代舊讀值
+    this.priorities = { ...DEFAULT_PRIORITIES, ...PublishScheduler.parsePriorities(config.MQTT_STREAM_PRIORITY) };
+    this.queues = {}; // 優先等級 -> 等待發布的訊息
+    PRIORITY_CLASSES.forEach(priority => {
+      this.queues[priority] = [];
+    });
+    this.pending = new Map(); // 主題 -> 尚未送出的可取代讀值
+    this.inFlight = 0;
+    this.dispatching = false;
+    this.overflowing = false;
+    this.stats = {
+      sent: 0,
+      acked: 0,
+      failed: 0,
+      timeouts: 0,
+      superseded: 0,
+      dropped: 0,
+      peakQueued: 0
+    };
+  }
+
+  /**
+   * 解析資料流優先等級設定
+   * @param {string} value - 格式: "rollup:high,bridge:bulk"
+   * @returns {Object} 資料流 -> 優先等級
+   */
+  static parsePriorities(value) {
+    const priorities = {};
+    if (!value || typeof value !== 'string') {
+      return priorities;
+    }
+
+    value.split(',').filter(pair => pair.trim()).forEach(pair => {
+      const [stream, priority] = pair.split(':').map(part => part && part.trim());
+      if (!stream || !PRIORITY_CLASSES.includes(priority)) {
+        throw new Error(`無效的優先等級設定: ${pair}，優先等級必須為${PRIORITY_CLASSES.join('、')}`);
+      }
+      priorities[stream] = priority;
+    });
+
+    return priorities;
+  }
+
+  /**
+   * 排入發布，有可用的發布窗口時立即送出
+   * @param {string} stream - 資料流名稱（決定優先等級及是否可被取代）
+   * @param {string} topic - MQTT主題
+   * @param {string|Buffer} payload - 訊息內容
+   * @param {Object} options - 發布選項
+   * @param {Function} callback - 完成回呼 (error) => void，收到確認、失敗或逾時時呼叫
+   */
+  publish(stream, topic, payload, options, callback) {
+    const item = {
+      stream,
+      priority: this.priorities[stream] || 'normal',
+      topic,
+      payload,
+      options,
+      callbacks: [callback]
+    };
+
+    if (!this.supersede(item)) {
+      this.queues[item.priority].push(item);
+      if (SUPERSEDABLE_STREAMS.includes(stream)) {
+        this.pending.set(topic, item);
+      }
+      this.enforceLimit();
+    }
+
+    this.stats.peakQueued = Math.max(this.stats.peakQueued, this.size());
+    this.dispatch();
+  }
+
+  /**
+   * 同一主題已有尚未送出的讀值時依策略處理，舊讀值的呼叫者在新讀值送出後一併完成
+   * @param {Object} item - 新的訊息
+   * @returns {boolean} 新讀值是否已併入佇列中的訊息
+   */
+  supersede(item) {
+    const queued = this.supersededPolicy !== 'keep' && SUPERSEDABLE_STREAMS.includes(item.stream)
+      ? this.pending.get(item.topic)
+      : null;
+    if (!queued) {
+      return false;
+    }
+
+    this.stats.superseded++;
+    metrics.messages.inc({ broker: this.broker, stream: queued.stream, outcome: 'superseded' });
+    item.callbacks = [...queued.callbacks, ...item.callbacks];
+    // 保留已分配給此主題的別名
+    const topicAlias = queued.options.properties && queued.options.properties.topicAlias;
+    if (topicAlias) {
+      item.options = { ...item.options, properties: { ...item.options.properties, topicAlias } };
+    }
+
+    if (this.supersededPolicy === 'coalesce') {
+      // 新讀值取代舊讀值，保留原本的排隊位置
+      Object.assign(queued, { payload: item.payload, options: item.options, callbacks: item.callbacks });
+      logger.debug(`尚未送出的讀值已由較新的讀值取代 [${item.topic}]`);
+      return true;
+    }
+
+    // drop: 捨棄舊讀值，新讀值排到佇列尾端
+    const queue = this.queues[queued.priority];
+    queue.splice(queue.indexOf(queued), 1);
+    this.pending.delete(item.topic);
+    logger.debug(`已捨棄尚未送出的舊讀值 [${item.topic}]`);
+    return false;
+  }
+
+  /**
+   * 佇列超過上限時丟棄最低優先等級中最舊的訊息
+   */
+  enforceLimit() {
+    while (this.size() > this.maxQueued) {
+      const priority = [...PRIORITY_CLASSES].reverse().find(name => this.queues[name].length > 0);
+      const dropped = this.queues[priority].shift();
+      if (this.pending.get(dropped.topic) === dropped) {
+        this.pending.delete(dropped.topic);
+      }
+
+      this.stats.dropped++;
+      metrics.messages.inc({ broker: this.broker, stream: dropped.stream, outcome: 'dropped' });
+      if (!this.overflowing) {
+        this.overflowing = true;
+        logger.warn(`發布佇列已滿 (${this.maxQueued})，開始丟棄最低優先等級的最舊訊息，目前發布中 ${this.inFlight} 則`);
+      }
+      dropped.callbacks.forEach(callback => callback(new Error(`發布佇列已滿，已丟棄訊息 [${dropped.topic}]`)));
+    }
+  }
+
+  /**
+   * 在發布窗口允許的範圍內依優先等級送出訊息
+   */
+  dispatch() {
+    // 發布回呼可能同步觸發，由目前的迴圈繼續送出
+    if (this.dispatching) {
+      return;
+    }
+
+    this.dispatching = true;
+    try {
+      while (this.maxInFlight === 0 || this.inFlight < this.maxInFlight) {
+        const priority = PRIORITY_CLASSES.find(name => this.queues[name].length > 0);
+        if (!priority) {
+          break;
+        }
+
+        const item = this.queues[priority].shift();
+        if (this.pending.get(item.topic) === item) {
+          this.pending.delete(item.topic);
+        }
+        this.sendItem(item);
+      }
+    } finally {
+      this.dispatching = false;
+    }
+
+    if (this.overflowing && this.size() < this.maxQueued / 2) {
+      this.overflowing = false;
+      logger.info(`發布佇列已恢復，目前等待 ${this.size()} 則`);
+    }
+  }
+
+  /**
+   * 送出訊息，收到確認、失敗或逾時後釋放發布窗口
+   * @param {Object} item - 訊息
+   */
+  sendItem(item) {
+    let settled = false;
+    let timer = null;
+    const endTimer = metrics.publishAckSeconds.startTimer({ broker: this.broker, stream: item.stream });
+
+    const finish = (error, timedOut = false) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      this.inFlight--;
+
+      if (timedOut) {
+        this.stats.timeouts++;
+      } else if (error) {
+        this.stats.failed++;
+      } else {
+        this.stats.acked++;
+        endTimer();
+      }
+      metrics.messages.inc({
+        broker: this.broker,
+        stream: item.stream,
+        outcome: timedOut ? 'timeout' : (error ? 'failed' : 'published')
+      });
+
+      item.callbacks.forEach(callback => callback(error));
+      this.dispatch();
+    };
+
+    this.inFlight++;
+    this.stats.sent++;
+
+    if (this.timeout > 0) {
+      timer = setTimeout(() => {
+        finish(new Error(`發布逾時，${this.timeout}ms內未收到確認 [${item.topic}]`), true);
+      }, this.timeout);
+    }
+
+    try {
+      this.send(item.topic, item.payload, item.options, error => finish(error || null));
+    } catch (error) {
+      finish(error);
+    }
+  }
+
+  /**
+   * 清空等待中的訊息（關閉連線時呼叫）
+   * @param {Error} error - 傳給等待中呼叫者的錯誤
+   */
+  clear(error) {
+    const items = PRIORITY_CLASSES.flatMap(priority => this.queues[priority].splice(0));
+    this.pending.clear();
+    items.forEach(item => item.callbacks.forEach(callback => callback(error)));
+  }
+
+  /**
+   * 獲取等待發布的訊息數量
+   * @returns {number} 訊息數量
+   */
+  size() {
+    return PRIORITY_CLASSES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  /**
+   * 獲取發布排程統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    const queued = {};
+    PRIORITY_CLASSES.forEach(priority => {
+      queued[priority] = this.queues[priority].length;
+    });
+
+    return {
+      inFlight: this.inFlight,
+      maxInFlight: this.maxInFlight,
+      queued,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = PublishScheduler;
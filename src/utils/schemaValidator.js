@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const logger = require('./logger');
+
+const SCHEMA_DIR = path.resolve(__dirname, '../../schemas');
+
+// Redis輸入資料 -> schema
+const INPUT_SCHEMAS = {
+  seninf: 'seninf.input.schema.json',
+  sensor_value: 'sensor-value.input.schema.json'
+};
+
+// 輸出資料流 -> schema（discovery由Home Assistant定義、Sparkplug B為protobuf，不在驗證範圍）
+const OUTPUT_SCHEMAS = {
+  seninf: 'seninf.schema.json',
+  sensor_value: 'sensor-value.schema.json',
+  feeding: 'feeding.schema.json',
+  registration: 'registration.schema.json',
+  status: 'status.schema.json',
+  command_response: 'command-response.schema.json',
+  alarm: 'alarm.schema.json',
+  sensor_status: 'sensor-status.schema.json',
+  rollup: 'rollup.schema.json',
+  bridge: 'bridge-envelope.schema.json',
+  snapshot: 'snapshot.schema.json'
+};
+
+// 只表示「未符合任一條件」的彙總錯誤
+const SUMMARY_KEYWORDS = ['anyOf', 'oneOf', 'if'];
+
+class SchemaValidator {
+  constructor(config) {
+    this.mode = config.SCHEMA_VALIDATION || 'off'; // report: 只回報, strict: 略過無效資料
+    // date-time 由schema中的pattern檢查，不需額外載入格式套件
+    this.ajv = new Ajv({ allErrors: true, strict: false, formats: { 'date-time': true } });
+    this.lastErrors = new Map(); // "方向:來源:感測器序號" -> 最近一次的錯誤內容
+    this.stats = {
+      validated: 0,
+      invalid: 0,
+      dropped: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * 載入schemas目錄中的所有schema（schema無效時拒絕啟動）
+   */
+  load() {
+    fs.readdirSync(SCHEMA_DIR)
+      .filter(name => name.endsWith('.schema.json'))
+      .forEach(name => {
+        this.ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8')));
+      });
+
+    // 預先編譯，$ref參照錯誤在啟動時即可發現
+    [...Object.values(INPUT_SCHEMAS), ...Object.values(OUTPUT_SCHEMAS)].forEach(name => {
+      if (!this.ajv.getSchema(name)) {
+        throw new Error(`找不到schema: ${name}`);
+      }
+    });
+  }
+
+  /**
+   * 是否略過未通過驗證的資料
+   * @returns {boolean} SCHEMA_VALIDATION是否為strict
+   */
+  isStrict() {
+    return this.mode === 'strict';
+  }
+
+  /**
+   * 依schema驗證資料
+   * @param {string} schemaName - schema檔名（即$id）
+   * @param {*} data - 要驗證的資料
+   * @returns {Array} 錯誤陣列 [{field, message, keyword}]，通過驗證時為空陣列
+   */
+  validate(schemaName, data) {
+    const validate = this.ajv.getSchema(schemaName);
+    this.stats.validated++;
+
+    if (validate(data)) {
+      return [];
+    }
+
+    this.stats.invalid++;
+    return this.formatErrors(validate.errors);
+  }
+
+  /**
+   * 將Ajv錯誤整理為每個欄位一筆
+   * @param {Array} errors - Ajv錯誤
+   * @returns {Array} 錯誤陣列 [{field, message, keyword}]，field為JSON Pointer
+   */
+  formatErrors(errors) {
+    // propertyNames的錯誤已由欄位名稱本身的錯誤說明；有詳細錯誤時省略彙總錯誤
+    const relevant = errors.filter(error => error.keyword !== 'propertyNames');
+    const detailed = relevant.filter(error => !SUMMARY_KEYWORDS.includes(error.keyword));
+    const fields = new Map();
+
+    (detailed.length > 0 ? detailed : relevant).forEach(error => {
+      // 缺少的欄位及無效的欄位名稱直接指向該欄位
+      let field = error.instancePath;
+      if (error.keyword === 'required') {
+        field += `/${error.params.missingProperty}`;
+      } else if (error.propertyName !== undefined) {
+        field += `/${error.propertyName}`;
+      }
+
+      if (!fields.has(field)) {
+        fields.set(field, []);
+      }
+      fields.get(field).push(error);
+    });
+
+    return Array.from(fields, ([field, fieldErrors]) => ({
+      field: field || '/',
+      message: Array.from(new Set(fieldErrors.map(error => error.message))).join('; '),
+      keyword: fieldErrors[0].keyword
+    }));
+  }
+
+  /**
+   * 驗證Redis中的SENINF感測器列表
+   * @param {*} sensorDataArray - 解析後的SENINF內容
+   * @param {string} key - Redis鍵名
+   * @returns {Object} {data, reports}，strict模式的data不含未通過驗證的感測器
+   */
+  validateSeninf(sensorDataArray, key) {
+    const errors = this.validate(INPUT_SCHEMAS.seninf, sensorDataArray);
+    const reports = [];
+
+    // 整體格式錯誤（例如不是陣列）
+    const rootErrors = errors.filter(error => !/^\/\d+(\/|$)/.test(error.field));
+    if (this.track(`input:${key}:`, rootErrors, `Redis鍵 ${key}`)) {
+      reports.push(this.buildReport('input', key, null, rootErrors));
+    }
+    if (rootErrors.length > 0) {
+      if (this.isStrict()) {
+        this.stats.dropped++;
+      }
+      return { data: this.isStrict() ? [] : sensorDataArray, reports };
+    }
+
+    const invalid = new Set();
+    sensorDataArray.forEach((sensor, index) => {
+      const sensorErrors = errors.filter(error => error.field === `/${index}` || error.field.startsWith(`/${index}/`));
+      const sensorId = sensor && typeof sensor.SN === 'string' ? sensor.SN : null;
+
+      if (sensorErrors.length > 0) {
+        invalid.add(index);
+      }
+      if (this.track(`input:${key}:${sensorId !== null ? sensorId : `#${index}`}`, sensorErrors, `Redis鍵 ${key} 的感測器 ${sensorId || `#${index}`}`)) {
+        reports.push(this.buildReport('input', key, sensorId, sensorErrors));
+      }
+    });
+
+    if (!this.isStrict() || invalid.size === 0) {
+      return { data: sensorDataArray, reports };
+    }
+
+    this.stats.dropped += invalid.size;
+    return { data: sensorDataArray.filter((sensor, index) => !invalid.has(index)), reports };
+  }
+
+  /**
+   * 驗證Redis中的感測器數值
+   * @param {Array} sensorValues - 感測器數值資料 [{sensorId, values, timestamp}]
+   * @returns {Object} {data, reports}，strict模式的data不含未通過驗證的數值
+   */
+  validateSensorValues(sensorValues) {
+    const reports = [];
+    const data = [];
+
+    sensorValues.forEach(sensorValue => {
+      const errors = this.validate(INPUT_SCHEMAS.sensor_value, sensorValue.values);
+      if (this.track(`input:${sensorValue.sensorId}:${sensorValue.sensorId}`, errors, `Redis鍵 ${sensorValue.sensorId}`)) {
+        reports.push(this.buildReport('input', sensorValue.sensorId, sensorValue.sensorId, errors));
+      }
+
+      if (errors.length === 0 || !this.isStrict()) {
+        data.push(sensorValue);
+        return;
+      }
+
+      // 只略過無效的代碼；整體格式錯誤時略過整個感測器
+      const codes = errors.map(error => this.decodePointer(error.field.split('/')[1] || ''));
+      const values = sensorValue.values && typeof sensorValue.values === 'object' && !Array.isArray(sensorValue.values)
+        ? sensorValue.values
+        : {};
+      const remaining = codes.includes('')
+        ? {}
+        : Object.keys(values).filter(code => !codes.includes(code)).reduce((result, code) => ({ ...result, [code]: values[code] }), {});
+
+      this.stats.dropped++;
+      if (Object.keys(remaining).length > 0) {
+        data.push({ ...sensorValue, values: remaining });
+      }
+    });
+
+    return { data, reports };
+  }
+
+  /**
+   * 驗證發布內容
+   * @param {string} stream - 資料流名稱
+   * @param {string} topic - MQTT主題
+   * @param {Object} message - 發布內容
+   * @returns {Object} {publish, report}，publish為false時不發布（strict模式）
+   */
+  validateOutput(stream, topic, message) {
+    const schemaName = OUTPUT_SCHEMAS[stream];
+    if (!schemaName) {
+      return { publish: true, report: null };
+    }
+
+    const errors = this.validate(schemaName, message);
+    const notify = this.track(`output:${stream}:${topic}`, errors, `主題 ${topic} 的 ${stream} 訊息`);
+    if (errors.length === 0) {
+      return { publish: true, report: null };
+    }
+
+    if (this.isStrict()) {
+      this.stats.dropped++;
+    }
+
+    const sensorId = message && typeof message.sensorId === 'string' ? message.sensorId : null;
+    return {
+      publish: !this.isStrict(),
+      report: notify ? this.buildReport('output', stream, sensorId, errors, topic) : null
+    };
+  }
+
+  /**
+   * 記錄驗證結果，相同錯誤只回報一次，恢復時記錄日誌
+   * @param {string} key - "方向:來源:感測器序號"
+   * @param {Array} errors - 錯誤陣列
+   * @param {string} description - 日誌中的資料描述
+   * @returns {boolean} 是否需要發布驗證報告
+   */
+  track(key, errors, description) {
+    if (errors.length === 0) {
+      if (this.lastErrors.delete(key)) {
+        logger.info(`${description} 已通過schema驗證`);
+      }
+      return false;
+    }
+
+    const content = JSON.stringify(errors);
+    if (this.lastErrors.get(key) === content) {
+      return false;
+    }
+
+    this.lastErrors.set(key, content);
+    logger.warn(`${description} 未通過schema驗證: ${errors.map(error => `${error.field} ${error.message}`).join(', ')}`);
+    return true;
+  }
+
+  /**
+   * 建立驗證報告
+   * @param {string} direction - input 或 output
+   * @param {string} source - Redis鍵名或資料流名稱
+   * @param {string|null} sensorId - 感測器序號
+   * @param {Array} errors - 錯誤陣列
+   * @param {string|null} topic - MQTT主題（輸出驗證）
+   * @returns {Object} 驗證報告
+   */
+  buildReport(direction, source, sensorId, errors, topic = null) {
+    return {
+      direction,
+      source,
+      sensorId,
+      ...(topic ? { topic } : {}),
+      action: this.isStrict() ? 'dropped' : 'reported',
+      errors
+    };
+  }
+
+  /**
+   * 解碼JSON Pointer的欄位名稱
+   * @param {string} segment - JSON Pointer片段
+   * @returns {string} 欄位名稱
+   */
+  decodePointer(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  /**
+   * 獲取驗證統計資訊
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      ...this.stats,
+      failing: Array.from(this.lastErrors.keys())
+    };
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,183 @@
+const logger = require('./logger');
+
+class SensorHealthTracker {
+  constructor(config) {
+    this.staleTimeout = config.SENSOR_STALE_TIMEOUT !== undefined ? config.SENSOR_STALE_TIMEOUT : 600000; // 10分鐘
+    this.missingTimeout = config.SENSOR_MISSING_TIMEOUT !== undefined ? config.SENSOR_MISSING_TIMEOUT : 60000; // 1分鐘
+    this.sensors = new Map(); // 感測器序號 -> { status, lastSeen, lastChange, absentSince, codes }
+  }
+
+  /**
+   * 記錄讀取結果，更新每個感測器及代碼的最後變化時間
+   * @param {Array} expectedIds - 應該有數值的感測器序號
+   * @param {Array} sensorValues - 實際讀取到的感測器數值資料
+   * @param {number} now - 目前時間
+   */
+  record(expectedIds, sensorValues, now = Date.now()) {
+    const present = new Set();
+
+    for (const sensorValue of sensorValues) {
+      const entry = this.getEntry(sensorValue.sensorId);
+      const values = sensorValue.values && typeof sensorValue.values === 'object' ? sensorValue.values : {};
+      present.add(sensorValue.sensorId);
+
+      entry.lastSeen = now;
+      entry.absentSince = null;
+
+      Object.keys(values).forEach(code => {
+        const previous = entry.codes[code];
+        if (!previous || previous.value !== values[code]) {
+          entry.codes[code] = { value: values[code], changedAt: now };
+          entry.lastChange = now;
+        }
+      });
+    }
+
+    // Redis中沒有數值的感測器開始計算缺失時間
+    for (const sensorId of expectedIds) {
+      if (present.has(sensorId)) {
+        continue;
+      }
+      const entry = this.getEntry(sensorId);
+      if (entry.absentSince === null) {
+        entry.absentSince = now;
+      }
+    }
+  }
+
+  /**
+   * 標記感測器的Redis鍵已被刪除或過期
+   * @param {string} sensorId - 感測器序號
+   * @param {number} now - 目前時間
+   */
+  markAbsent(sensorId, now = Date.now()) {
+    const entry = this.sensors.get(sensorId);
+    if (entry && entry.absentSince === null) {
+      entry.absentSince = now;
+    }
+  }
+
+  /**
+   * 移除已不在SENINF中的感測器
+   * @param {Array} sensorIds - SENINF中的感測器序號
+   */
+  prune(sensorIds) {
+    const valid = new Set(sensorIds);
+    for (const sensorId of Array.from(this.sensors.keys())) {
+      if (!valid.has(sensorId)) {
+        this.sensors.delete(sensorId);
+      }
+    }
+  }
+
+  /**
+   * 重新計算所有感測器狀態
+   * @param {number} now - 目前時間
+   * @returns {Array} 狀態變化 [{sensorId, previous, status, ...}]
+   */
+  evaluate(now = Date.now()) {
+    const changes = [];
+
+    for (const [sensorId, entry] of this.sensors) {
+      const status = this.computeStatus(entry, now);
+      if (status === entry.status) {
+        continue;
+      }
+
+      const previous = entry.status;
+      entry.status = status;
+      changes.push({ ...this.describe(sensorId, now), previous });
+
+      if (previous !== null) {
+        logger.info(`感測器 ${sensorId} 狀態變更: ${previous} -> ${status}`);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 計算單一感測器狀態
+   * @param {Object} entry - 感測器追蹤資料
+   * @param {number} now - 目前時間
+   * @returns {string} online、stale 或 missing
+   */
+  computeStatus(entry, now) {
+    if (entry.absentSince !== null && now - entry.absentSince >= this.missingTimeout) {
+      return 'missing';
+    }
+    if (this.staleTimeout > 0 && entry.lastChange !== null && now - entry.lastChange >= this.staleTimeout) {
+      return 'stale';
+    }
+    // 尚未超過缺失時限時維持原狀態
+    if (entry.absentSince !== null && entry.lastSeen === null) {
+      return entry.status;
+    }
+    return 'online';
+  }
+
+  /**
+   * 獲取感測器狀態描述
+   * @param {string} sensorId - 感測器序號
+   * @param {number} now - 目前時間
+   * @returns {Object} 狀態描述
+   */
+  describe(sensorId, now = Date.now()) {
+    const entry = this.sensors.get(sensorId);
+    const staleCodes = this.staleTimeout > 0
+      ? Object.keys(entry.codes).filter(code => now - entry.codes[code].changedAt >= this.staleTimeout)
+      : [];
+
+    return {
+      sensorId,
+      status: entry.status,
+      lastSeen: entry.lastSeen !== null ? new Date(entry.lastSeen).toISOString() : null,
+      lastChange: entry.lastChange !== null ? new Date(entry.lastChange).toISOString() : null,
+      staleCodes
+    };
+  }
+
+  /**
+   * 獲取感測器目前狀態
+   * @param {string} sensorId - 感測器序號
+   * @returns {string|null} online、stale、missing，尚未追蹤時為null
+   */
+  getStatus(sensorId) {
+    const entry = this.sensors.get(sensorId);
+    return entry ? entry.status : null;
+  }
+
+  /**
+   * 取得或建立感測器追蹤資料
+   * @param {string} sensorId - 感測器序號
+   * @returns {Object} 感測器追蹤資料
+   */
+  getEntry(sensorId) {
+    if (!this.sensors.has(sensorId)) {
+      this.sensors.set(sensorId, {
+        status: null,
+        lastSeen: null,
+        lastChange: null,
+        absentSince: null,
+        codes: {}
+      });
+    }
+    return this.sensors.get(sensorId);
+  }
+
+  /**
+   * 獲取各狀態的感測器數量
+   * @returns {Object} 統計資訊
+   */
+  getStats() {
+    const stats = { online: 0, stale: 0, missing: 0 };
+    for (const entry of this.sensors.values()) {
+      if (entry.status) {
+        stats[entry.status]++;
+      }
+    }
+    return stats;
+  }
+}
+
+module.exports = SensorHealthTracker;
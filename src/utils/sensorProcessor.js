@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const { getUnitByCode } = require('./unit');
 
 class SensorProcessor {
   constructor() {
@@ -240,6 +241,62 @@ class SensorProcessor {
     }
   }
 
+  /**
+   * 建立自我描述的感測器數值內容（結合SENINF設定及unit.js單位）
+   * @param {Object} sensorValue - 感測器數值資料 {sensorId, values}
+   * @param {Object|null} sensor - 處理後的SENINF感測器資料
+   * @returns {Object} 感測器數值內容 {sensorId, sensor, values}
+   */
+  enrichSensorValue(sensorValue, sensor) {
+    const values = sensorValue.values && typeof sensorValue.values === 'object' ? sensorValue.values : {};
+    const configs = sensor ? sensor.value : [];
+    const enriched = {};
+
+    Object.keys(values).forEach(code => {
+      const unitInfo = getUnitByCode(code);
+      const valueConfig = configs.find(config => config.code === code) || null;
+      const value = this.parseNumber(values[code]);
+      const min = valueConfig ? valueConfig.min : null;
+      const max = valueConfig ? valueConfig.max : null;
+
+      enriched[code] = {
+        value: value !== null ? value : values[code],
+        unit: unitInfo ? unitInfo.unit.trim() : null,
+        type: unitInfo ? unitInfo.name : null,
+        label: valueConfig && valueConfig.name ? valueConfig.name : null,
+        min,
+        max,
+        in_range: this.isInRange(value, min, max)
+      };
+    });
+
+    return {
+      sensorId: sensorValue.sensorId,
+      sensor: sensor ? {
+        serial_number: sensor.SN,
+        name: sensor.name,
+        description: sensor.DES,
+        address: sensor.ADDRESS,
+        profile: sensor.profile
+      } : null,
+      values: enriched
+    };
+  }
+
+  /**
+   * 檢查數值是否在設定範圍內
+   * @param {number|null} value - 數值
+   * @param {number|null} min - 最小值
+   * @param {number|null} max - 最大值
+   * @returns {boolean|null} 是否在範圍內，無法判斷時為null
+   */
+  isInRange(value, min, max) {
+    if (value === null || (min === null && max === null)) {
+      return null;
+    }
+    return (min === null || value >= min) && (max === null || value <= max);
+  }
+
   /**
    * 批量處理並格式化感測器資料
    * @param {Array} sensorDataArray - 原始感測器資料陣列
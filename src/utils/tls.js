@@ -0,0 +1,46 @@
+const fs = require('fs');
+
+/**
+ * 依配置前綴讀取TLS選項（MQTT_ 或 REDIS_）
+ * @param {Object} config - 服務配置
+ * @param {string} prefix - 配置前綴，例如 'MQTT' 或 'REDIS'
+ * @returns {Object} TLS選項 {ca, cert, key, passphrase, servername, rejectUnauthorized}
+ */
+function loadTlsOptions(config, prefix) {
+  const options = {};
+
+  if (config[`${prefix}_CA_FILE`]) {
+    options.ca = fs.readFileSync(config[`${prefix}_CA_FILE`]);
+  }
+  if (config[`${prefix}_CERT_FILE`]) {
+    options.cert = fs.readFileSync(config[`${prefix}_CERT_FILE`]);
+  }
+  if (config[`${prefix}_KEY_FILE`]) {
+    options.key = fs.readFileSync(config[`${prefix}_KEY_FILE`]);
+  }
+  if (config[`${prefix}_KEY_PASSPHRASE`]) {
+    options.passphrase = config[`${prefix}_KEY_PASSPHRASE`];
+  }
+  if (config[`${prefix}_SERVERNAME`]) {
+    options.servername = config[`${prefix}_SERVERNAME`];
+  }
+
+  // 預設驗證伺服器憑證，只有明確設定為false時才關閉
+  options.rejectUnauthorized = config[`${prefix}_REJECT_UNAUTHORIZED`] !== false;
+
+  return options;
+}
+
+/**
+ * 獲取TLS相關的檔案配置鍵
+ * @param {string} prefix - 配置前綴
+ * @returns {Array} 配置鍵陣列
+ */
+function getTlsFileKeys(prefix) {
+  return [`${prefix}_CA_FILE`, `${prefix}_CERT_FILE`, `${prefix}_KEY_FILE`];
+}
+
+module.exports = {
+  loadTlsOptions,
+  getTlsFileKeys
+};
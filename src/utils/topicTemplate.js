@@ -0,0 +1,121 @@
+// 資料流 -> 主題模板配置鍵
+const TOPIC_TEMPLATE_KEYS = {
+  seninf: 'TOPIC_SENINF',
+  sensor_value: 'TOPIC_SENSOR_VALUE',
+  feeding: 'TOPIC_FEEDING',
+  registration: 'DEVICE_REGISTRATION_TOPIC',
+  status: 'TOPIC_STATUS',
+  command: 'TOPIC_COMMAND',
+  alarm: 'TOPIC_ALARM',
+  sensor_status: 'TOPIC_SENSOR_STATUS',
+  rollup: 'TOPIC_ROLLUP',
+  validation: 'TOPIC_VALIDATION',
+  snapshot: 'TOPIC_SNAPSHOT'
+};
+
+// 各資料流可使用的佔位符
+const ALLOWED_PLACEHOLDERS = {
+  seninf: ['prefix', 'site', 'deviceSN'],
+  sensor_value: ['prefix', 'site', 'deviceSN', 'sensorSN', 'sensorCode'],
+  feeding: ['prefix', 'site', 'deviceSN'],
+  registration: ['prefix', 'site', 'deviceSN'],
+  status: ['prefix', 'site'],
+  command: ['prefix', 'site', 'deviceSN'],
+  alarm: ['prefix', 'site', 'deviceSN', 'sensorSN', 'sensorCode'],
+  sensor_status: ['prefix', 'site', 'deviceSN', 'sensorSN'],
+  rollup: ['prefix', 'site', 'deviceSN', 'sensorSN', 'window'],
+  validation: ['prefix', 'site'],
+  snapshot: ['prefix', 'site', 'deviceSN'],
+  bridge: ['prefix', 'site', 'deviceSN', 'name', 'key', 'match']
+};
+
+// 各資料流必須包含的佔位符（避免不同設備或感測器發布到同一主題）
+const REQUIRED_PLACEHOLDERS = {
+  sensor_value: ['sensorSN'],
+  sensor_status: ['sensorSN'],
+  rollup: ['sensorSN', 'window'],
+  command: ['deviceSN']
+};
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z]+)\}/g;
+
+/**
+ * 取得模板中使用的佔位符
+ * @param {string} template - 主題模板
+ * @returns {Array} 佔位符名稱陣列
+ */
+function getPlaceholders(template) {
+  return Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/**
+ * 依內容替換模板中的佔位符
+ * @param {string} template - 主題模板，例如 "{prefix}/{deviceSN}/seninf"
+ * @param {Object} context - 佔位符數值 {prefix, site, deviceSN, sensorSN, sensorCode}
+ * @returns {string} MQTT主題
+ */
+function renderTopic(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = context[name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`主題模板 ${template} 缺少佔位符 {${name}} 的數值`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * 驗證主題模板
+ * @param {string} stream - 資料流名稱
+ * @param {string} template - 主題模板
+ * @param {Object} config - 服務配置（檢查 {site} 是否已設定 SITE_ID）
+ * @param {string} key - 錯誤訊息中顯示的設定名稱，預設為資料流的配置鍵
+ * @returns {Array} 錯誤訊息陣列，空陣列表示有效
+ */
+function validateTopicTemplate(stream, template, config, key = TOPIC_TEMPLATE_KEYS[stream]) {
+  const errors = [];
+
+  if (!template || typeof template !== 'string') {
+    return [`${key}不可為空`];
+  }
+
+  if (/[+#]/.test(template)) {
+    errors.push(`${key}不可包含萬用字元 + 或 #`);
+  }
+
+  if (template.startsWith('/') || template.endsWith('/') || template.includes('//')) {
+    errors.push(`${key}不可有空白的主題層級`);
+  }
+
+  if (template.startsWith('$')) {
+    errors.push(`${key}不可以 $ 開頭`);
+  }
+
+  const placeholders = getPlaceholders(template);
+  const unknown = placeholders.filter(name => !ALLOWED_PLACEHOLDERS[stream].includes(name));
+  if (unknown.length > 0) {
+    errors.push(`${key}不支援佔位符: ${unknown.map(name => `{${name}}`).join(', ')}`);
+  }
+
+  const missing = (REQUIRED_PLACEHOLDERS[stream] || []).filter(name => !placeholders.includes(name));
+  if (missing.length > 0) {
+    errors.push(`${key}必須包含佔位符: ${missing.map(name => `{${name}}`).join(', ')}`);
+  }
+
+  if (/[{}]/.test(template.replace(PLACEHOLDER_PATTERN, ''))) {
+    errors.push(`${key}的佔位符格式無效`);
+  }
+
+  if (placeholders.includes('site') && !config.SITE_ID) {
+    errors.push(`${key}使用了 {site}，但未設定SITE_ID`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  TOPIC_TEMPLATE_KEYS,
+  getPlaceholders,
+  renderTopic,
+  validateTopicTemplate
+};
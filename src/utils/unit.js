@@ -205,6 +205,44 @@ let unit = [
     }
 ];
 
+// 各感測器代碼的預設死區，數值變化未超過此值時不重新發布（0表示任何變化都發布）
+let deadbands = {
+    "A": 0.2,
+    "B": 1,
+    "C": 50,
+    "D": 1,
+    "E": 5,
+    "F": 5,
+    "G": 5,
+    "H": 0.5,
+    "I": 10,
+    "J": 0.2,
+    "K": 0.1,
+    "L": 0.1,
+    "M": 1,
+    "N": 0,
+    "O": 10,
+    "P": 0.1,
+    "Q": 10,
+    "R": 0.1,
+    "S": 1,
+    "9": 0,
+    "T": 0,
+    "X": 0.1,
+    "W": 1,
+    "Z": 0.1,
+    "Y": 10,
+    "U": 0.01,
+    "V": 5,
+    "a": 0.1,
+    "b": 10,
+    "c": 0,
+    "d": 10,
+    "e": 0.1,
+    "f": 0.01,
+    "g": 0
+};
+
 /**
  * 根據代碼獲取感測器類型資訊
  * @param {string} code - 感測器代碼
@@ -231,9 +269,20 @@ function getUnitByName(name) {
     return unit.find(u => u.name === name) || null;
 }
 
+/**
+ * 根據代碼獲取預設死區
+ * @param {string} code - 感測器代碼
+ * @returns {number} 死區值，未定義的代碼回傳0
+ */
+function getDeadbandByCode(code) {
+    return deadbands[code] !== undefined ? deadbands[code] : 0;
+}
+
 module.exports = {
     unit,
+    deadbands,
     getUnitByCode,
     getAllUnits,
-    getUnitByName
+    getUnitByName,
+    getDeadbandByCode
 };
@@ -0,0 +1,97 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const AdminServer = require('../src/services/adminServer');
+
+describe('AdminServer', () => {
+  let pushService;
+  let server;
+
+  /**
+   * 以模擬的請求及回應物件呼叫請求處理
+   * @param {string} method - 請求方法
+   * @param {string} url - 請求路徑
+   * @returns {Promise<Object>} {status, body}
+   */
+  const request = async (method, url) => {
+    const res = { writeHead: jest.fn(), end: jest.fn() };
+    await server.handleRequest({ method, url }, res);
+    return { status: res.writeHead.mock.calls[0][0], body: JSON.parse(res.end.mock.calls[0][0]) };
+  };
+
+  beforeEach(() => {
+    pushService = {
+      config: { getSafeConfig: () => ({ MQTT_PASSWORD: '***' }) },
+      healthCheck: jest.fn(() => ({ status: 'healthy', services: { redis: true, mqtt: true } })),
+      getStats: jest.fn(() => ({ totalPublished: 3 })),
+      getActiveAlarms: jest.fn(() => []),
+      queryHistory: jest.fn().mockResolvedValue([{ sensorId: 'S1' }]),
+      manualRegisterDevice: jest.fn().mockResolvedValue(true),
+      publishNow: jest.fn().mockResolvedValue(true),
+      pausePolling: jest.fn(),
+      resumePolling: jest.fn(),
+      reloadConfig: jest.fn().mockResolvedValue({ applied: [], skipped: [] })
+    };
+    server = new AdminServer({}, pushService);
+  });
+
+  test('Redis與MQTT皆就緒時健康檢查回傳200，否則503', async () => {
+    expect((await request('GET', '/health')).status).toBe(200);
+
+    pushService.healthCheck.mockReturnValue({ status: 'healthy', services: { redis: true, mqtt: false } });
+    expect(await request('GET', '/health')).toMatchObject({ status: 503, body: { services: { mqtt: false } } });
+  });
+
+  test('查詢路由回傳統計、配置及警報，路徑結尾的斜線不影響', async () => {
+    expect(await request('GET', '/stats/')).toEqual({ status: 200, body: { totalPublished: 3 } });
+    expect(await request('GET', '/config')).toEqual({ status: 200, body: { MQTT_PASSWORD: '***' } });
+    expect(await request('GET', '/alarms')).toEqual({ status: 200, body: [] });
+  });
+
+  test('歷史查詢傳入查詢參數，參數錯誤時回傳400', async () => {
+    expect(await request('GET', '/history?sensorId=S1&from=0')).toEqual({ status: 200, body: [{ sensorId: 'S1' }] });
+    expect(pushService.queryHistory).toHaveBeenCalledWith({ sensorId: 'S1', from: '0' });
+
+    pushService.queryHistory.mockRejectedValue(new Error('from必須為ISO時間或毫秒時間戳'));
+    expect(await request('GET', '/history')).toEqual({ status: 400, body: { success: false, error: 'from必須為ISO時間或毫秒時間戳' } });
+  });
+
+  test('處理進行中時立即發布回傳409', async () => {
+    expect(await request('POST', '/publish')).toEqual({ status: 200, body: { success: true } });
+
+    pushService.publishNow.mockResolvedValue(false);
+    expect((await request('POST', '/publish')).status).toBe(409);
+  });
+
+  test('註冊失敗回傳500，配置無效時重新載入回傳422', async () => {
+    pushService.manualRegisterDevice.mockResolvedValue(false);
+    expect((await request('POST', '/register')).status).toBe(500);
+
+    expect(await request('POST', '/config/reload')).toEqual({ status: 200, body: { success: true, applied: [], skipped: [] } });
+    pushService.reloadConfig.mockResolvedValue(null);
+    expect((await request('POST', '/config/reload')).status).toBe(422);
+  });
+
+  test('暫停及恢復輪詢', async () => {
+    expect((await request('POST', '/polling/pause')).body).toEqual({ success: true, paused: true });
+    expect((await request('POST', '/polling/resume')).body).toEqual({ success: true, paused: false });
+    expect(pushService.pausePolling).toHaveBeenCalledTimes(1);
+    expect(pushService.resumePolling).toHaveBeenCalledTimes(1);
+  });
+
+  test('未知路徑回傳404，不支援的方法回傳405', async () => {
+    expect(await request('GET', '/unknown')).toEqual({ status: 404, body: { error: '找不到路徑' } });
+    expect(await request('GET', '/publish')).toEqual({ status: 405, body: { error: '不支援的請求方法' } });
+  });
+
+  test('處理失敗時回傳500及錯誤訊息', async () => {
+    pushService.getStats.mockImplementation(() => {
+      throw new Error('統計失敗');
+    });
+
+    expect(await request('GET', '/stats')).toEqual({ status: 500, body: { success: false, error: '統計失敗' } });
+  });
+
+  test('無效的請求路徑回傳400', async () => {
+    expect(await request('GET', '//')).toEqual({ status: 400, body: { error: '無效的請求路徑' } });
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const AlarmService = require('../src/services/alarmService');
+
+describe('AlarmService', () => {
+  let dir;
+  let mqttService;
+
+  const createService = (config = {}) => new AlarmService({
+    ALARM_STATE_PATH: path.join(dir, 'alarm-state.json'),
+    ALARM_MIN_DURATION: 0,
+    ...config
+  }, mqttService);
+
+  const reading = (value, sensorId = 'S1', code = 'A') => [{ sensorId, values: { [code]: value } }];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alarm-'));
+    mqttService = { publishAlarmEvent: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('超出上限時觸發警報並發布raise事件', async () => {
+    const service = createService({ ALARM_LIMITS: 'A:-5:35' });
+    const events = await service.evaluate('GW', reading(36), new Map());
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event: 'raise', alarmId: 'S1_A', direction: 'high', limit: 35, value: 36, active: true });
+    expect(mqttService.publishAlarmEvent).toHaveBeenCalledWith('GW', events[0]);
+  });
+
+  test('回到範圍內但未超過遲滯值時維持警報', async () => {
+    const service = createService({ ALARM_LIMITS: 'A:-5:35', ALARM_HYSTERESIS: 'A:1' });
+    await service.evaluate('GW', reading(36), new Map());
+
+    expect(await service.evaluate('GW', reading(34.5), new Map())).toEqual([]);
+    expect(service.getActiveAlarms()).toHaveLength(1);
+
+    const events = await service.evaluate('GW', reading(34), new Map());
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event: 'clear', active: false });
+    expect(service.getActiveAlarms()).toHaveLength(0);
+  });
+
+  test('低於下限的警報依下限加遲滯值解除', async () => {
+    const service = createService({ ALARM_LIMITS: 'A:-5:35', ALARM_HYSTERESIS: 'A:2' });
+    await service.evaluate('GW', reading(-6), new Map());
+
+    expect(await service.evaluate('GW', reading(-4), new Map())).toEqual([]);
+    expect((await service.evaluate('GW', reading(-3), new Map()))[0].event).toBe('clear');
+  });
+
+  test('超限未持續到最短時間時不觸發，期間回到範圍內則取消', () => {
+    const service = createService({ ALARM_LIMITS: 'A::35', ALARM_MIN_DURATION: 1000 });
+    const limits = { min: null, max: 35 };
+
+    expect(service.evaluateValue('S1', 'A', 36, limits, null, 0)).toEqual([]);
+    expect(service.alarms.get('S1_A').status).toBe('pending');
+
+    expect(service.evaluateValue('S1', 'A', 30, limits, null, 500)).toEqual([]);
+    expect(service.alarms.has('S1_A')).toBe(false);
+
+    service.evaluateValue('S1', 'A', 36, limits, null, 1000);
+    const events = service.evaluateValue('S1', 'A', 37, limits, null, 2000);
+    expect(events.map(event => event.event)).toEqual(['raise']);
+  });
+
+  test('感測器專屬上下限優先於代碼設定及SENINF設定', () => {
+    const service = createService({ ALARM_LIMITS: 'A:0:10,S2.A:0:50' });
+    const sensor = { value: [{ code: 'A', min: 0, max: 100 }] };
+
+    expect(service.getLimits('S1', 'A', sensor)).toEqual({ min: 0, max: 10 });
+    expect(service.getLimits('S2', 'A', sensor)).toEqual({ min: 0, max: 50 });
+    expect(service.getLimits('S1', 'B', { value: [{ code: 'B', min: 1, max: 5 }] })).toEqual({ min: 1, max: 5 });
+  });
+
+  test('確認警報後發布ack事件，進行中的警報在重啟後保留', async () => {
+    const service = createService({ ALARM_LIMITS: 'A::35' });
+    await service.evaluate('GW', reading(36), new Map());
+
+    const event = await service.acknowledge('GW', 'S1', 'A', 'operator');
+    expect(event).toMatchObject({ event: 'ack', acknowledged: true, acknowledgedBy: 'operator' });
+    await expect(service.acknowledge('GW', 'S1', 'B')).rejects.toThrow('找不到進行中的警報');
+
+    const restored = createService({ ALARM_LIMITS: 'A::35' });
+    expect(restored.getActiveAlarms()).toHaveLength(1);
+    expect(restored.getActiveAlarms()[0].acknowledged).toBe(true);
+  });
+
+  describe('reconcile', () => {
+    const seninf = (values) => new Map([['S1', { SN: 'S1', name: '後溫度', value: values }]]);
+
+    test('感測器或代碼已移除時解除重啟後載入的警報', async () => {
+      const service = createService();
+      await service.evaluate('GW', [...reading(36), ...reading(90, 'S1', 'C')], seninf([{ code: 'A', min: null, max: 35 }, { code: 'C', min: null, max: 80 }]));
+      mqttService.publishAlarmEvent.mockClear();
+
+      const restored = createService();
+      const events = await restored.reconcile('GW', seninf([{ code: 'C', min: null, max: 80 }]));
+      expect(events).toEqual([expect.objectContaining({ event: 'clear', alarmId: 'S1_A', active: false })]);
+      expect(mqttService.publishAlarmEvent).toHaveBeenCalledWith('GW', events[0]);
+
+      expect((await restored.reconcile('GW', new Map()))[0]).toMatchObject({ event: 'clear', alarmId: 'S1_C' });
+      expect(createService().getActiveAlarms()).toEqual([]);
+    });
+
+    test('上限放寬後以最後數值重新評估並解除', async () => {
+      const service = createService();
+      await service.evaluate('GW', reading(36), seninf([{ code: 'A', min: null, max: 35 }]));
+
+      const events = await service.reconcile('GW', seninf([{ code: 'A', min: null, max: 40 }]));
+      expect(events).toEqual([expect.objectContaining({ event: 'clear', limit: 40, value: 36 })]);
+      expect(service.getActiveAlarms()).toEqual([]);
+    });
+
+    test('上限收緊後維持警報並保存新的上限', async () => {
+      const service = createService();
+      await service.evaluate('GW', reading(36), seninf([{ code: 'A', min: null, max: 35 }]));
+
+      expect(await service.reconcile('GW', seninf([{ code: 'A', min: null, max: 30 }]))).toEqual([]);
+      expect(service.getActiveAlarms()[0].limit).toBe(30);
+      expect(await service.evaluate('GW', reading(32), seninf([{ code: 'A', min: null, max: 30 }]))).toEqual([]);
+      expect(createService().getActiveAlarms()[0].limit).toBe(30);
+    });
+
+    test('該方向不再設限時解除警報，上下限未變時不發布事件', async () => {
+      const service = createService();
+      await service.evaluate('GW', reading(36), seninf([{ code: 'A', min: null, max: 35 }]));
+
+      expect(await service.reconcile('GW', seninf([{ code: 'A', min: null, max: 35 }]))).toEqual([]);
+      expect((await service.reconcile('GW', seninf([{ code: 'A', min: 0, max: null }])))[0]).toMatchObject({ event: 'clear' });
+    });
+
+    test('覆寫設定優先於SENINF的上下限', async () => {
+      const service = createService({ ALARM_LIMITS: 'A::35' });
+      await service.evaluate('GW', reading(36), seninf([{ code: 'A', min: null, max: null }]));
+
+      expect(await service.reconcile('GW', seninf([{ code: 'A', min: null, max: 50 }]))).toEqual([]);
+      expect(service.getActiveAlarms()).toHaveLength(1);
+    });
+
+    test('上限放寬後取消尚未觸發的警報', async () => {
+      const service = createService({ ALARM_MIN_DURATION: 60000 });
+      await service.evaluate('GW', reading(36), seninf([{ code: 'A', min: null, max: 35 }]));
+      expect(service.alarms.get('S1_A').status).toBe('pending');
+
+      await service.reconcile('GW', seninf([{ code: 'A', min: null, max: 40 }]));
+      expect(service.alarms.has('S1_A')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const BridgeService = require('../src/services/bridgeService');
+
+describe('BridgeService', () => {
+  let dir;
+  let redisValues;
+  let redisService;
+  let mqttService;
+
+  const MAPPINGS = [
+    { name: 'line1-temp', key: 'plc:line1:temp', parse: 'number', topic: '{prefix}/{deviceSN}/plc/{name}', payload: 'value', qos: 1, retain: true },
+    { name: 'line2', pattern: 'plc:line2:*', type: 'hash', parse: 'number', fields: ['temp', 'run'], topic: '{prefix}/{deviceSN}/plc/line2/{match}' },
+    { name: 'recipe', key: 'plc:recipe', type: 'json', topic: '{prefix}/{deviceSN}/recipe' }
+  ];
+
+  const writeMappings = (content) => fs.writeFileSync(path.join(dir, 'bridge.json'), JSON.stringify(content));
+  const createService = () => new BridgeService({ BRIDGE_MAPPINGS_FILE: 'bridge.json' }, redisService, mqttService);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    redisValues = {
+      'plc:line1:temp': '21.5',
+      'plc:line2:a': { temp: '30', run: '1', extra: 'x' },
+      'plc:recipe': { step: 2 }
+    };
+    redisService = {
+      readKey: jest.fn(async (key) => (key in redisValues ? redisValues[key] : null)),
+      scanKeys: jest.fn(async () => ['plc:line2:a', 'plc:line2:b'])
+    };
+    mqttService = { publishBridgeValue: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadMappings', () => {
+    test('接受陣列或mappings物件並補上預設值', () => {
+      writeMappings({ mappings: [MAPPINGS[2]] });
+
+      expect(createService().mappings).toEqual([{
+        name: 'recipe',
+        key: 'plc:recipe',
+        pattern: null,
+        type: 'json',
+        parse: 'json',
+        fields: null,
+        topic: '{prefix}/{deviceSN}/recipe',
+        payload: 'envelope',
+        qos: undefined,
+        retain: undefined
+      }]);
+    });
+
+    test('檔案無法讀取或缺少mappings陣列時拋出錯誤', () => {
+      expect(() => createService()).toThrow('無法讀取Redis鍵映射檔案');
+
+      writeMappings({ items: [] });
+      expect(() => createService()).toThrow('必須包含mappings陣列');
+    });
+
+    test('一次列出所有無效設定', () => {
+      writeMappings([
+        { name: 'a b', key: 'k', pattern: 'p:*', topic: '{prefix}/{deviceSN}/a' },
+        { name: 'dup', key: 'k1', type: 'list', parse: 'date', payload: 'raw', fields: [], qos: 3, retain: 'yes', topic: '{prefix}/#' },
+        { name: 'dup', pattern: 'p:*', topic: '{prefix}/{deviceSN}/p' }
+      ]);
+
+      let message;
+      try {
+        createService();
+      } catch (error) {
+        message = error.message;
+      }
+
+      [
+        'mappings[0] (a b) 的name只能包含英文字母、數字、底線及連字號',
+        'mappings[0] (a b) 必須設定key或pattern其中之一',
+        'mappings[1] (dup) 的type必須為 string、json、hash',
+        'mappings[1] (dup) 的parse必須為 string、number、boolean、json',
+        'mappings[1] (dup) 的payload必須為 envelope、value',
+        'mappings[1] (dup) 的fields必須為非空陣列',
+        'mappings[1] (dup) 的qos必須為0、1或2',
+        'mappings[1] (dup) 的retain必須為true或false',
+        'mappings[1] (dup) 的topic不可包含萬用字元 + 或 #',
+        'mappings[2] (dup) 的name重複',
+        'mappings[2] (dup) 使用pattern時topic必須包含 {key} 或 {match}'
+      ].forEach(error => expect(message).toContain(error));
+    });
+  });
+
+  test('glob樣式轉為正規表示式並擷取萬用字元部分', () => {
+    const regExp = BridgeService.patternToRegExp('plc.line?:*');
+
+    expect(regExp.exec('plc.line2:temp').slice(1)).toEqual(['2', 'temp']);
+    expect(regExp.test('plcXline2:temp')).toBe(false);
+  });
+
+  test('依key或pattern查找映射，並列出鍵及樣式', () => {
+    writeMappings(MAPPINGS);
+    const service = createService();
+
+    expect(service.findMapping('plc:line1:temp').name).toBe('line1-temp');
+    expect(service.findMapping('plc:line2:b').name).toBe('line2');
+    expect(service.findMapping('plc:line3:a')).toBeNull();
+    expect(service.getKeys()).toEqual(['plc:line1:temp', 'plc:recipe']);
+    expect(service.getPatterns()).toEqual(['plc:line2:*']);
+  });
+
+  test('依parse轉換數值，無法轉換時為null', () => {
+    writeMappings(MAPPINGS);
+    const service = createService();
+
+    expect(service.parseValue('21.5', 'number')).toBe(21.5);
+    expect(service.parseValue('abc', 'number')).toBeNull();
+    expect(service.parseValue(' ON ', 'boolean')).toBe(true);
+    expect(service.parseValue('0', 'boolean')).toBe(false);
+    expect(service.parseValue('{"a":1}', 'json')).toEqual({ a: 1 });
+    expect(service.parseValue('{', 'json')).toBeNull();
+    expect(service.parseValue('21.5', 'string')).toBe('21.5');
+  });
+
+  test('讀取hash時轉換每個欄位、只保留fields，並以萬用字元部分作為match', async () => {
+    writeMappings(MAPPINGS);
+    const service = createService();
+
+    expect(await service.read(service.mappings[1], 'plc:line2:a')).toEqual({
+      mapping: service.mappings[1],
+      key: 'plc:line2:a',
+      match: 'a',
+      value: { temp: 30, run: 1 }
+    });
+    expect(await service.read(service.mappings[0], 'plc:line1:temp')).toMatchObject({ match: 'plc:line1:temp', value: 21.5 });
+    expect(await service.read(service.mappings[1], 'plc:line2:b')).toBeNull();
+  });
+
+  test('以SCAN展開pattern後發布存在的鍵，略過不存在的鍵及單一失敗', async () => {
+    writeMappings(MAPPINGS);
+    const service = createService();
+    mqttService.publishBridgeValue.mockImplementation(async (deviceSN, item) => {
+      if (item.key === 'plc:recipe') throw new Error('發布失敗');
+    });
+
+    expect(await service.publish('GW')).toBe(2);
+    expect(redisService.scanKeys).toHaveBeenCalledWith('plc:line2:*');
+    expect(service.patternKeys.get('line2')).toEqual(['plc:line2:a', 'plc:line2:b']);
+    expect(mqttService.publishBridgeValue.mock.calls.map(([deviceSN, item]) => `${deviceSN} ${item.key}`)).toEqual([
+      'GW plc:line1:temp',
+      'GW plc:line2:a',
+      'GW plc:recipe'
+    ]);
+  });
+
+  test('指定鍵時只發布有映射的鍵', async () => {
+    writeMappings(MAPPINGS);
+    const service = createService();
+
+    expect(await service.publish('GW', ['plc:line1:temp', 'S1'])).toBe(1);
+    expect(redisService.scanKeys).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ChangeDetector = require('../src/utils/changeDetector');
+
+describe('ChangeDetector', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('第一次出現的主題一律發布', () => {
+    const detector = new ChangeDetector({});
+    expect(detector.shouldPublish('t', { A: 25 })).toBe(true);
+  });
+
+  test('變化未超過代碼預設死區時略過', () => {
+    const detector = new ChangeDetector({});
+    detector.markPublished('t', { A: 25 });
+
+    expect(detector.shouldPublish('t', { A: 25.1 })).toBe(false);
+    expect(detector.shouldPublish('t', { A: 25.3 })).toBe(true);
+    expect(detector.getStats().suppressed).toBe(1);
+  });
+
+  test('RBE_DEADBANDS覆寫代碼預設死區，無效設定被略過', () => {
+    const detector = new ChangeDetector({ RBE_DEADBANDS: 'A:1,B:x' });
+    expect(detector.deadbandOverrides).toEqual({ A: 1 });
+
+    detector.markPublished('t', { A: 25 });
+    expect(detector.shouldPublish('t', { A: 25.8 })).toBe(false);
+  });
+
+  test('死區為0的代碼任何變化皆發布', () => {
+    const detector = new ChangeDetector({ RBE_DEADBANDS: 'A:0' });
+    detector.markPublished('t', { A: 25 });
+
+    expect(detector.shouldPublish('t', { A: 25 })).toBe(false);
+    expect(detector.shouldPublish('t', { A: 25.01 })).toBe(true);
+  });
+
+  test('代碼增減或非數值內容改變時發布', () => {
+    const detector = new ChangeDetector({});
+    detector.markPublished('t', { A: 25, S: 'on' });
+
+    expect(detector.shouldPublish('t', { A: 25 })).toBe(true);
+    expect(detector.shouldPublish('t', { A: 25, S: 'off' })).toBe(true);
+    expect(detector.shouldPublish('t', { A: 25, S: 'on' })).toBe(false);
+  });
+
+  test('超過心跳間隔時即使數值未變化也發布', () => {
+    const detector = new ChangeDetector({ RBE_HEARTBEAT_INTERVAL: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    detector.markPublished('t', { A: 25 });
+
+    now.mockReturnValue(10999);
+    expect(detector.shouldPublish('t', { A: 25 })).toBe(false);
+
+    now.mockReturnValue(11000);
+    expect(detector.shouldPublish('t', { A: 25 })).toBe(true);
+    expect(detector.getStats().heartbeats).toBe(1);
+  });
+
+  test('只有標記為已發布的數值會成為比較基準', () => {
+    const detector = new ChangeDetector({});
+    detector.markPublished('t', { A: 25 });
+
+    // 未呼叫markPublished（例如未通過嚴格驗證而未送出），基準仍為25
+    expect(detector.shouldPublish('t', { A: 26 })).toBe(true);
+    expect(detector.shouldPublish('t', { A: 26 })).toBe(true);
+  });
+});
+
+describe('MqttService 例外回報', () => {
+  const MqttService = require('../src/services/mqttService');
+
+  test('未通過嚴格驗證而未發布的數值不更新比較基準', async () => {
+    const service = Object.create(MqttService.prototype);
+    service.name = 'primary';
+    service.changeDetector = new ChangeDetector({});
+    service.splitBySensorCode = values => values;
+    service.getSensorValueTopic = (deviceName, sensorId) => `${deviceName}/${sensorId}`;
+    service.publishSensorValue = jest.fn(async (deviceName, sensorId) => sensorId !== 'rejected');
+
+    await service.publishBatchSensorValues('dev', [
+      { sensorId: 'rejected', values: { A: 25 } },
+      { sensorId: 'sent', values: { A: 25 } }
+    ]);
+
+    expect(service.changeDetector.lastPublished.has('dev/rejected')).toBe(false);
+    expect(service.changeDetector.lastPublished.has('dev/sent')).toBe(true);
+  });
+});
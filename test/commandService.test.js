@@ -0,0 +1,113 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const CommandService = require('../src/services/commandService');
+
+describe('CommandService', () => {
+  let mqttService;
+  let pushService;
+  let responses;
+
+  const createService = (config = {}) => new CommandService(config, mqttService, pushService);
+  const send = (service, request) => service.handleCommand(Buffer.from(typeof request === 'string' ? request : JSON.stringify(request)));
+
+  beforeEach(() => {
+    responses = [];
+    mqttService = {
+      getTopic: jest.fn(() => 'device/GW/cmd'),
+      subscribe: jest.fn().mockResolvedValue(),
+      publishCommandResponse: jest.fn(async (topic, response) => {
+        responses.push({ topic, ...response });
+      })
+    };
+    pushService = {
+      publishNow: jest.fn().mockResolvedValue(true),
+      setPollInterval: jest.fn(),
+      getStats: jest.fn(() => ({ cycles: 3 })),
+      acknowledgeAlarm: jest.fn(async (sensorId, code, by) => ({ event: 'ack', sensorId, code, by }))
+    };
+  });
+
+  test('訂閱設備指令主題，回應發布到 /response', async () => {
+    const service = createService();
+    await service.start('GW');
+
+    expect(mqttService.getTopic).toHaveBeenCalledWith('command', { deviceSN: 'GW' });
+    expect(mqttService.subscribe).toHaveBeenCalledWith('device/GW/cmd', expect.any(Function));
+
+    await send(service, { id: 'req-1', command: 'get_stats' });
+    expect(responses).toEqual([{ topic: 'device/GW/cmd/response', id: 'req-1', command: 'get_stats', success: true, result: { cycles: 3 } }]);
+  });
+
+  test('回應帶回請求的id，未提供id時為null', async () => {
+    const service = createService();
+    await send(service, { id: 'abc', command: 'set_poll_interval', params: { interval: 10000 } });
+    await send(service, { command: 'set_poll_interval', params: { interval: 500 } });
+
+    expect(pushService.setPollInterval).toHaveBeenCalledWith(10000);
+    expect(responses[0]).toMatchObject({ id: 'abc', success: true, result: { pollInterval: 10000 } });
+    expect(responses[1]).toMatchObject({ id: null, success: false, error: expect.stringContaining('不小於1000') });
+  });
+
+  test('無法解析的指令及未知指令回應失敗', async () => {
+    const service = createService();
+    await send(service, 'not json');
+    await send(service, { id: 1, command: 'reboot' });
+
+    expect(responses[0]).toMatchObject({ id: null, command: null, success: false, error: '指令格式無效，必須為JSON' });
+    expect(responses[1]).toMatchObject({ id: 1, success: false, error: '未知指令: reboot' });
+  });
+
+  test('原型屬性名稱不視為指令', async () => {
+    const service = createService();
+    for (const command of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      await send(service, { id: command, command });
+    }
+
+    expect(responses.map(response => response.success)).toEqual([false, false, false, false]);
+    expect(responses.every(response => response.error.startsWith('未知指令'))).toBe(true);
+  });
+
+  test('publish_now經由互斥保護執行，處理進行中時回應失敗', async () => {
+    const service = createService();
+    await send(service, { id: 1, command: 'publish_now' });
+    pushService.publishNow.mockResolvedValue(false);
+    await send(service, { id: 2, command: 'publish_now' });
+
+    expect(responses[0]).toMatchObject({ success: true, result: { published: true } });
+    expect(responses[1]).toMatchObject({ success: false, error: '處理進行中，請稍後再試' });
+  });
+
+  test('ack_alarm缺少參數時回應失敗', async () => {
+    const service = createService();
+    await send(service, { id: 1, command: 'ack_alarm', params: { sensorId: 'S1', code: 'A', by: 'op' } });
+    await send(service, { id: 2, command: 'ack_alarm', params: { sensorId: 'S1' } });
+
+    expect(pushService.acknowledgeAlarm).toHaveBeenCalledWith('S1', 'A', 'op');
+    expect(responses[1]).toMatchObject({ success: false, error: '確認警報需要sensorId和code' });
+  });
+
+  describe('COMMAND_TOKEN', () => {
+    test('設定後只執行帶相同token的指令', async () => {
+      const service = createService({ COMMAND_TOKEN: 's3cret' });
+      await send(service, { id: 1, command: 'get_stats' });
+      await send(service, { id: 2, command: 'get_stats', token: 'wrong' });
+      await send(service, { id: 3, command: 'get_stats', token: 12345 });
+      await send(service, { id: 4, command: 'get_stats', token: 's3cret' });
+
+      expect(responses.map(response => [response.id, response.success])).toEqual([[1, false], [2, false], [3, false], [4, true]]);
+      expect(responses[0].error).toBe('未授權的指令');
+      expect(pushService.getStats).toHaveBeenCalledTimes(1);
+    });
+
+    test('未設定時不檢查token', () => {
+      expect(createService().isAuthorized(undefined)).toBe(true);
+    });
+  });
+
+  test('回應發布失敗時不拋出錯誤', async () => {
+    mqttService.publishCommandResponse.mockRejectedValue(new Error('MQTT未連接'));
+    const service = createService();
+
+    await expect(send(service, { id: 1, command: 'get_stats' })).resolves.toBeUndefined();
+  });
+});
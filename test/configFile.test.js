@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCliOptions, readConfigFile, mergeLayers, flattenConfig } = require('../src/utils/configFile');
+const Config = require('../src/utils/config');
+
+const TYPES = {
+  REDIS_HOST: 'string',
+  REDIS_PORT: 'number',
+  MQTT_BROKER_URL: 'string',
+  MQTT_BROKERS: 'string',
+  MQTT_RETAIN_STREAMS: 'string',
+  MQTT_STREAM_QOS: 'string',
+  MQTT_STREAM_PRIORITY: 'string',
+  MQTT5_TOPIC_ALIAS_STREAMS: 'string',
+  TOPIC_SENSOR_VALUE: 'string',
+  SENSOR_DATA_KEY: 'string',
+  ALARM_ENABLED: 'boolean',
+  ALARM_LIMITS: 'string',
+  POLL_INTERVAL: 'number'
+};
+const getType = key => (/^MQTT_BROKER_[A-Z0-9]+_/.test(key) ? 'string' : TYPES[key] || null);
+
+describe('configFile', () => {
+  test('解析命令列的 --config 及 --profile', () => {
+    expect(parseCliOptions(['--config', 'site.yaml', '--profile=prod', '--other'])).toEqual({ config: 'site.yaml', profile: 'prod' });
+    expect(parseCliOptions([])).toEqual({});
+  });
+
+  test('逐層合併物件，陣列及數值直接取代', () => {
+    expect(mergeLayers(
+      { redis: { host: 'a', port: 1 }, mqtt: { retainStreams: ['status', 'alarm'] } },
+      { redis: { host: 'b' }, mqtt: { retainStreams: ['status'] } }
+    )).toEqual({ redis: { host: 'b', port: 1 }, mqtt: { retainStreams: ['status'] } });
+  });
+
+  test('將區段轉換為配置鍵', () => {
+    const { values, errors } = flattenConfig({
+      redis: { host: '127.0.0.1', port: 6379 },
+      mqtt: { brokerUrl: 'mqtt://localhost:1883', retainStreams: ['status', 'alarm'] },
+      sensors: { dataKey: 'SENINF' },
+      topics: { sensorValue: '{prefix}/{deviceSN}/{sensorSN}' },
+      alarm: { enabled: true, limits: { A: [-5, 35], 'S1.C': [null, 3000] } },
+      pollInterval: 5000,
+      profiles: { dev: { pollInterval: 1000 } }
+    }, getType);
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      REDIS_HOST: '127.0.0.1',
+      REDIS_PORT: 6379,
+      MQTT_BROKER_URL: 'mqtt://localhost:1883',
+      MQTT_RETAIN_STREAMS: 'status,alarm',
+      SENSOR_DATA_KEY: 'SENINF',
+      TOPIC_SENSOR_VALUE: '{prefix}/{deviceSN}/{sensorSN}',
+      ALARM_ENABLED: true,
+      ALARM_LIMITS: 'A:-5:35,S1.C::3000',
+      POLL_INTERVAL: 5000
+    });
+  });
+
+  test('streams 及 mqtt.brokers 區段轉換為清單型配置', () => {
+    const { values, errors } = flattenConfig({
+      streams: {
+        sensor_value: { qos: 0, priority: 'bulk', topicAlias: true, topic: '{prefix}/{deviceSN}/v/{sensorSN}' },
+        alarm: { qos: 2, priority: 'high' }
+      },
+      mqtt: { brokers: { cloud: { url: 'mqtts://cloud:8883', streams: ['seninf', 'alarm'] } } }
+    }, getType);
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      MQTT_STREAM_QOS: 'sensor_value:0,alarm:2',
+      MQTT_STREAM_PRIORITY: 'sensor_value:bulk,alarm:high',
+      MQTT5_TOPIC_ALIAS_STREAMS: 'sensor_value',
+      TOPIC_SENSOR_VALUE: '{prefix}/{deviceSN}/v/{sensorSN}',
+      MQTT_BROKERS: 'cloud',
+      MQTT_BROKER_CLOUD_URL: 'mqtts://cloud:8883',
+      MQTT_BROKER_CLOUD_STREAMS: 'seninf,alarm'
+    });
+  });
+
+  test('列出所有未知的配置項及型別錯誤', () => {
+    const { errors } = flattenConfig({
+      redis: { port: '6379', hots: 'x' },
+      alarm: { enabled: 'yes' },
+      streams: { alarm: { qos: 1, colour: 'red' }, feeding: 'fast' },
+      mqtt: { brokers: { cloud: { address: 'x' } } }
+    }, getType);
+
+    expect(errors).toEqual([
+      'redis.port (REDIS_PORT): 必須為整數，目前為 "6379"',
+      'redis.hots: 不是已知的配置項（REDIS_HOTS）',
+      'alarm.enabled (ALARM_ENABLED): 必須為true或false，目前為 "yes"',
+      expect.stringContaining('streams.alarm.colour: 不是已知的資料流設定'),
+      'streams.feeding: 必須是物件',
+      'mqtt.brokers.cloud.address: 不是已知的代理設定'
+    ]);
+  });
+
+  describe('readConfigFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-file-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('讀取YAML及JSON，空白檔案視為沒有設定', () => {
+      fs.writeFileSync(path.join(dir, 'a.yaml'), 'redis:\n  host: x\n');
+      fs.writeFileSync(path.join(dir, 'b.json'), '{"redis": {"port": 1}}');
+      fs.writeFileSync(path.join(dir, 'c.yml'), '');
+
+      expect(readConfigFile(path.join(dir, 'a.yaml'))).toEqual({ redis: { host: 'x' } });
+      expect(readConfigFile(path.join(dir, 'b.json'))).toEqual({ redis: { port: 1 } });
+      expect(readConfigFile(path.join(dir, 'c.yml'))).toEqual({});
+    });
+
+    test('格式錯誤時拋出包含檔案路徑的錯誤', () => {
+      fs.writeFileSync(path.join(dir, 'bad.json'), '{');
+      fs.writeFileSync(path.join(dir, 'list.yaml'), '- a\n- b\n');
+
+      expect(() => readConfigFile(path.join(dir, 'config.toml'))).toThrow('不支援的配置檔案格式');
+      expect(() => readConfigFile(path.join(dir, 'bad.json'))).toThrow('無法讀取配置檔案');
+      expect(() => readConfigFile(path.join(dir, 'list.yaml'))).toThrow('最上層必須是物件');
+    });
+  });
+});
+
+describe('Config 結構化配置檔案', () => {
+  const ENV_KEYS = ['CONFIG_FILE', 'CONFIG_PROFILE', 'SITE_ID', 'POLL_INTERVAL'];
+  let dir;
+  let savedEnv;
+
+  const writeFile = (name, content) => fs.writeFileSync(path.join(dir, name), content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-structured-'));
+    savedEnv = {};
+    ENV_KEYS.forEach(key => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('依序套用檔案、設定檔及場域覆寫，環境變數優先，config.env只補未設定的項目', () => {
+    writeFile('config.yaml', [
+      'pollInterval: 5000',
+      'logLevel: info',
+      'device:',
+      '  topicPrefix: device',
+      'profiles:',
+      '  prod:',
+      '    pollInterval: 10000',
+      '    logLevel: warn',
+      'sites:',
+      '  barn-2:',
+      '    device:',
+      '      topicPrefix: barn2'
+    ].join('\n'));
+    writeFile('config.env', 'LOG_LEVEL=debug\nSENSOR_DATA_KEY=SENSORS\n');
+    process.env.CONFIG_PROFILE = 'prod';
+    process.env.SITE_ID = 'barn-2';
+    process.env.POLL_INTERVAL = '20000';
+
+    const config = Config.createNew();
+    expect(config.get('CONFIG_FILE')).toBe(path.join(dir, 'config.yaml'));
+    expect(config.get('POLL_INTERVAL')).toBe(20000);
+    expect(config.get('LOG_LEVEL')).toBe('warn');
+    expect(config.get('DEVICE_TOPIC_PREFIX')).toBe('barn2');
+    expect(config.get('SENSOR_DATA_KEY')).toBe('SENSORS');
+  });
+
+  test('一次列出檔案及config.env中的所有錯誤', () => {
+    writeFile('config.yaml', 'pollInterval: fast\nredis:\n  hots: x\n');
+    writeFile('config.env', 'REDIS_PORT=abc\n');
+
+    let error;
+    try {
+      Config.createNew();
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toContain('配置有 3 項錯誤');
+    expect(error.message).toContain('config.yaml: pollInterval (POLL_INTERVAL): 必須為整數');
+    expect(error.message).toContain('config.yaml: redis.hots: 不是已知的配置項');
+    expect(error.message).toContain('config.env:1: REDIS_PORT 必須為整數');
+  });
+
+  test('找不到指定的設定檔時拒絕啟動', () => {
+    writeFile('config.yaml', 'profiles:\n  dev:\n    logLevel: debug\n');
+    process.env.CONFIG_PROFILE = 'staging';
+
+    expect(() => Config.createNew()).toThrow('找不到設定檔 staging（可用: dev）');
+  });
+
+  test('CONFIG_FILE及CONFIG_PROFILE不可寫在配置檔案中', () => {
+    writeFile('config.json', JSON.stringify({ configProfile: 'dev' }));
+
+    expect(() => Config.createNew()).toThrow('CONFIG_PROFILE只能由環境變數或命令列參數設定');
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { diffConfig, classifyChanges, isReloadable } = require('../src/utils/configReload');
+const Config = require('../src/utils/config');
+
+describe('configReload', () => {
+  test('列出改變、新增及移除的配置鍵', () => {
+    expect(diffConfig({ A: 1, B: 'x', C: true }, { A: 1, B: 'y', D: 2 })).toEqual([
+      { key: 'B', from: 'x', to: 'y' },
+      { key: 'C', from: true, to: undefined },
+      { key: 'D', from: undefined, to: 2 }
+    ]);
+  });
+
+  test('依套用方式分類配置鍵', () => {
+    expect(classifyChanges([
+      'POLL_INTERVAL',
+      'TOPIC_SENSOR_VALUE',
+      'MQTT_BROKER_CLOUD_TOPIC_PREFIX',
+      'REDIS_HOST',
+      'MQTT_PASSWORD',
+      'MQTT_BROKER_CLOUD_URL',
+      'TOPIC_COMMAND',
+      'ALARM_ENABLED'
+    ])).toEqual({
+      live: ['POLL_INTERVAL'],
+      topics: ['TOPIC_SENSOR_VALUE', 'MQTT_BROKER_CLOUD_TOPIC_PREFIX'],
+      redis: ['REDIS_HOST'],
+      mqtt: ['MQTT_PASSWORD', 'MQTT_BROKER_CLOUD_URL'],
+      restart: ['TOPIC_COMMAND', 'ALARM_ENABLED']
+    });
+  });
+
+  test('需重新啟動的配置不可即時套用', () => {
+    expect(isReloadable('LOG_LEVEL')).toBe(true);
+    expect(isReloadable('DEVICE_TOPIC_PREFIX')).toBe(true);
+    expect(isReloadable('MQTT_BROKER_CLOUD_STREAMS')).toBe(false);
+    expect(isReloadable('OUTPUT_PROFILE')).toBe(false);
+  });
+});
+
+describe('Config.reload', () => {
+  let dir;
+
+  const writeEnv = (lines) => fs.writeFileSync(path.join(dir, 'config.env'), lines.join('\n') + '\n');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-reload-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('只套用可即時套用的變更，其餘維持目前數值', () => {
+    writeEnv(['POLL_INTERVAL=5000', 'OUTPUT_PROFILE=json']);
+    const config = Config.createNew();
+
+    writeEnv(['POLL_INTERVAL=10000', 'OUTPUT_PROFILE=sparkplug']);
+    const { applied, skipped } = config.reload(isReloadable);
+
+    expect(applied).toEqual([{ key: 'POLL_INTERVAL', from: 5000, to: 10000 }]);
+    expect(skipped).toEqual([{ key: 'OUTPUT_PROFILE', from: 'json', to: 'sparkplug' }]);
+    expect(config.get('POLL_INTERVAL')).toBe(10000);
+    expect(config.get('OUTPUT_PROFILE')).toBe('json');
+  });
+
+  test('未設定用戶端ID時重新載入不會產生變更', () => {
+    writeEnv(['POLL_INTERVAL=5000']);
+    const config = Config.createNew();
+
+    expect(config.reload()).toEqual({ applied: [], skipped: [] });
+  });
+
+  test('新配置驗證失敗時拋出錯誤並保留目前配置', () => {
+    writeEnv(['POLL_INTERVAL=5000']);
+    const config = Config.createNew();
+
+    writeEnv(['POLL_INTERVAL=fast']);
+    expect(() => config.reload()).toThrow('POLL_INTERVAL 必須為整數');
+    expect(config.get('POLL_INTERVAL')).toBe(5000);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DiscoveryService = require('../src/services/discoveryService');
+
+describe('DiscoveryService', () => {
+  let mqttService;
+  let published;
+
+  const SENINF = [
+    { SN: 'S1', ADDRESS: '1', DES: '後溫度', value: [{ code: 'A', name: '' }, { code: 'B', name: '舍內濕度' }] },
+    { SN: 'S2', ADDRESS: '2', name: '開關', value: [{ code: 'Q' }, { name: '無代碼' }] }
+  ];
+
+  beforeEach(() => {
+    published = new Map();
+    mqttService = {
+      isReady: jest.fn(() => true),
+      subscribe: jest.fn().mockResolvedValue(),
+      getSensorValueTopic: (deviceSN, sensorId, code) => `device/${deviceSN}/${sensorId}/${code}`,
+      getStatusTopic: () => 'device/GW/status',
+      publishDiscoveryConfig: jest.fn(async (topic, discoveryConfig) => {
+        published.set(topic, discoveryConfig);
+      })
+    };
+  });
+
+  test('每個感測器數值發布一個sensor實體，略過沒有代碼的數值', async () => {
+    const service = new DiscoveryService({}, mqttService);
+    await service.publishDiscovery('GW', SENINF);
+
+    expect(Array.from(published.keys())).toEqual([
+      'homeassistant/sensor/GW/S1_A/config',
+      'homeassistant/sensor/GW/S1_B/config',
+      'homeassistant/sensor/GW/S2_Q/config'
+    ]);
+  });
+
+  test('配置包含名稱、唯一ID、狀態主題、可用性及設備資訊', async () => {
+    const service = new DiscoveryService({}, mqttService);
+    await service.publishDiscovery('GW', SENINF);
+
+    expect(published.get('homeassistant/sensor/GW/S1_A/config')).toEqual({
+      name: '後溫度 溫度',
+      unique_id: 'GW_S1_A',
+      object_id: 'GW_S1_A',
+      state_topic: 'device/GW/S1/A',
+      value_template: "{{ value_json['A'] }}",
+      availability_topic: 'device/GW/status',
+      availability_template: '{{ value_json.status }}',
+      payload_available: 'online',
+      payload_not_available: 'offline',
+      device: {
+        identifiers: ['GW'],
+        name: '閘道器 GW',
+        model: 'mqtt-push-service',
+        manufacturer: 'mqtt-push-service'
+      },
+      unit_of_measurement: '°C',
+      device_class: 'temperature',
+      state_class: 'measurement'
+    });
+    expect(published.get('homeassistant/sensor/GW/S1_B/config')).toMatchObject({ name: '後溫度 舍內濕度', unit_of_measurement: '%', device_class: 'humidity' });
+
+    // 沒有對應device_class的單位只設定state_class
+    const weight = published.get('homeassistant/sensor/GW/S2_Q/config');
+    expect(weight).toMatchObject({ name: '開關 重量', unit_of_measurement: 'g', state_class: 'measurement' });
+    expect(weight.device_class).toBeUndefined();
+  });
+
+  test('enriched格式的數值模板讀取values中的value', async () => {
+    const service = new DiscoveryService({ SENSOR_VALUE_FORMAT: 'enriched', HA_DISCOVERY_PREFIX: 'ha' }, mqttService);
+    await service.publishDiscovery('GW', SENINF);
+
+    expect(published.get('ha/sensor/GW/S1_A/config').value_template).toBe("{{ value_json['values']['A']['value'] }}");
+  });
+
+  test('只發布有變更的配置，並以空內容移除已不存在的實體', async () => {
+    const service = new DiscoveryService({}, mqttService);
+    await service.publishDiscovery('GW', SENINF);
+    mqttService.publishDiscoveryConfig.mockClear();
+
+    await service.publishDiscovery('GW', SENINF);
+    expect(mqttService.publishDiscoveryConfig).not.toHaveBeenCalled();
+
+    await service.publishDiscovery('GW', [SENINF[0]]);
+    expect(mqttService.publishDiscoveryConfig.mock.calls).toEqual([['homeassistant/sensor/GW/S2_Q/config', null]]);
+  });
+
+  test('Home Assistant重新上線後重新發布全部配置', async () => {
+    const service = new DiscoveryService({}, mqttService);
+    await service.start();
+    await service.publishDiscovery('GW', SENINF);
+    mqttService.publishDiscoveryConfig.mockClear();
+
+    const [topic, handler] = mqttService.subscribe.mock.calls[0];
+    expect(topic).toBe('homeassistant/status');
+    handler(topic, Buffer.from('online'));
+
+    await service.publishDiscovery('GW', SENINF);
+    expect(mqttService.publishDiscoveryConfig).toHaveBeenCalledTimes(3);
+  });
+
+  test('MQTT未就緒時不發布', async () => {
+    mqttService.isReady.mockReturnValue(false);
+    const service = new DiscoveryService({}, mqttService);
+    await service.publishDiscovery('GW', SENINF);
+
+    expect(mqttService.publishDiscoveryConfig).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+const { parseExpression, evaluateExpression, getReferences } = require('../src/utils/expression');
+
+const evaluate = (source, input = null, values = {}) => evaluateExpression(parseExpression(source), {
+  input,
+  resolve: (sensorId, code) => values[sensorId ? `${sensorId}.${code}` : code]
+});
+
+describe('expression', () => {
+  test('運算子優先順序、右結合次方及一元負號', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluate('-2 ^ 2')).toBe(-4);
+    expect(evaluate('7 % 4')).toBe(3);
+  });
+
+  test('比較、邏輯及條件運算', () => {
+    expect(evaluate('3 > 2 && 1 == 1')).toBe(1);
+    expect(evaluate('!(3 > 2) || 0')).toBe(0);
+    expect(evaluate('x > 10 ? 1 : 2', 11)).toBe(1);
+    expect(evaluate('x > 10 ? 1 : 2', 5)).toBe(2);
+  });
+
+  test('以運算子開頭的簡寫對原始讀值運算', () => {
+    expect(evaluate('*0.1', 250)).toBe(25);
+    expect(evaluate('+2', 3)).toBe(5);
+  });
+
+  test('函式及常數', () => {
+    expect(evaluate('round(x, 1)', 3.14159)).toBe(3.1);
+    expect(evaluate('avg(1, 2, 3)')).toBe(2);
+    expect(evaluate('clamp(x, 0, 100)', 120)).toBe(100);
+    expect(evaluate('pi')).toBe(Math.PI);
+  });
+
+  test('感測器數值參照', () => {
+    const ast = parseExpression('{A} - {16A0885024.B}');
+    expect(getReferences(ast)).toEqual([
+      { sensorId: null, code: 'A' },
+      { sensorId: '16A0885024', code: 'B' }
+    ]);
+    expect(evaluate('{A} - {16A0885024.B}', null, { A: 30, '16A0885024.B': 12 })).toBe(18);
+    expect(() => evaluate('{A} + 1')).toThrow('找不到 {A} 的數值');
+  });
+
+  test('原型屬性名稱不可作為函式或常數', () => {
+    expect(() => parseExpression('constructor(1)')).toThrow('不支援的函式: constructor');
+    expect(() => parseExpression('toString()')).toThrow('不支援的函式: toString');
+    expect(() => parseExpression('__proto__(1)')).toThrow('不支援的函式: __proto__');
+    expect(() => parseExpression('constructor')).toThrow('未知的名稱: constructor');
+    expect(() => parseExpression('valueOf + 1')).toThrow('未知的名稱: valueOf');
+  });
+
+  test('語法錯誤在解析時回報', () => {
+    expect(() => parseExpression('')).toThrow('算式不可為空');
+    expect(() => parseExpression('1 +')).toThrow('算式不完整');
+    expect(() => parseExpression('(1 + 2')).toThrow('缺少 )');
+    expect(() => parseExpression('1 2')).toThrow('多餘的');
+    expect(() => parseExpression('abs(1, 2)')).toThrow('參數數量錯誤');
+    expect(() => parseExpression('y + 1')).toThrow('未知的名稱: y');
+    expect(() => parseExpression('1 $ 2')).toThrow('無法辨識的字元');
+    expect(() => parseExpression('1+'.repeat(300) + '1')).toThrow('算式長度不可超過');
+  });
+
+  test('沒有原始讀值時不可使用x', () => {
+    expect(() => evaluate('x + 1')).toThrow('不可使用 x');
+  });
+});
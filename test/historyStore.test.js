@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const HistoryStore = require('../src/services/historyStore');
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.UTC(2024, 0, 1, 0);
+
+describe('HistoryStore', () => {
+  let dir;
+
+  const createStore = (config = {}) => new HistoryStore({ HISTORY_PATH: dir, HISTORY_MAX_AGE: 24 * HOUR, ...config });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+    jest.spyOn(Date, 'now').mockReturnValue(BASE + 3 * HOUR);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('每小時寫入一個檔案，檔名為UTC時段', () => {
+    const store = createStore();
+    store.recordValues([{ sensorId: 'S1', values: { A: 1 } }], BASE + 10);
+    store.recordValues([{ sensorId: 'S1', values: { A: 2 } }], BASE + HOUR + 10);
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['2024010100.jsonl', '2024010101.jsonl']);
+    expect(store.getStats()).toMatchObject({ segments: 2, recorded: 2, oldest: new Date(BASE).toISOString() });
+  });
+
+  test('超過容量上限時刪除最舊的檔案，保留目前時段', () => {
+    const store = createStore({ HISTORY_MAX_SIZE: 100 });
+    store.recordValues([{ sensorId: 'S1', values: { A: 1 } }], BASE);
+    store.recordValues([{ sensorId: 'S1', values: { A: 2 } }], BASE + HOUR);
+    store.recordValues([{ sensorId: 'S1', values: { A: 3 } }], BASE + 2 * HOUR);
+
+    expect(fs.readdirSync(dir)).toEqual(['2024010102.jsonl']);
+    expect(store.getStats().removedSegments).toBe(2);
+  });
+
+  test('載入及進入新時段時刪除超過保存期限的檔案', () => {
+    fs.writeFileSync(path.join(dir, '2023123000.jsonl'), '{}\n');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'x');
+    const store = createStore();
+    expect(store.segments.map(segment => segment.name)).toEqual([]);
+
+    store.recordValues([{ sensorId: 'S1', values: { A: 1 } }], BASE);
+    store.recordValues([{ sensorId: 'S1', values: { A: 2 } }], BASE + 25 * HOUR);
+    expect(fs.readdirSync(dir).sort()).toEqual(['2024010201.jsonl', 'notes.txt']);
+  });
+
+  test('內容與上一次相同的seninf不重複記錄', async () => {
+    const store = createStore();
+    store.recordSeninf([{ sensorId: 'S1' }], BASE);
+    store.recordSeninf([{ sensorId: 'S1' }], BASE + 1);
+    store.recordSeninf([{ sensorId: 'S2' }], BASE + 2);
+
+    expect(store.getStats().snapshots).toBe(2);
+    expect(await store.query({ type: 'seninf', from: BASE })).toEqual([
+      { timestamp: new Date(BASE).toISOString(), data: [{ sensorId: 'S1' }] },
+      { timestamp: new Date(BASE + 2).toISOString(), data: [{ sensorId: 'S2' }] }
+    ]);
+  });
+
+  describe('query', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.recordValues([{ sensorId: 'S1', values: { A: 1 } }, { sensorId: 'S2', values: { B: 1 } }], BASE);
+      store.recordValues([{ sensorId: 'S1', values: { A: 2 } }], BASE + HOUR);
+      store.recordValues([{ sensorId: 'S1', values: { A: 3 } }], BASE + 2 * HOUR);
+    });
+
+    test('依時間範圍及感測器篩選，跨檔案依時間排序', async () => {
+      const records = await store.query({ sensorId: 'S1', from: BASE, to: BASE + HOUR });
+
+      expect(records).toEqual([
+        { timestamp: new Date(BASE).toISOString(), sensorId: 'S1', values: { A: 1 } },
+        { timestamp: new Date(BASE + HOUR).toISOString(), sensorId: 'S1', values: { A: 2 } }
+      ]);
+    });
+
+    test('達到limit筆後停止讀取其餘檔案', async () => {
+      const createReadStream = jest.spyOn(fs, 'createReadStream');
+
+      const records = await store.query({ from: BASE, limit: 2 });
+      expect(records.map(record => record.sensorId)).toEqual(['S1', 'S2']);
+      expect(createReadStream).toHaveBeenCalledTimes(1);
+    });
+
+    test('略過寫入中斷的不完整記錄及無法讀取的檔案', async () => {
+      fs.appendFileSync(path.join(dir, '2024010101.jsonl'), '{"t":');
+      fs.rmSync(path.join(dir, '2024010102.jsonl'));
+
+      const records = await store.query({ sensorId: 'S1', from: BASE });
+      expect(records.map(record => record.values.A)).toEqual([1, 2]);
+    });
+  });
+
+  test('查詢時間接受ISO字串及毫秒時間戳', () => {
+    expect(HistoryStore.parseTime('2024-01-01T00:00:00Z', 'from')).toBe(BASE);
+    expect(HistoryStore.parseTime(String(BASE), 'from')).toBe(BASE);
+    expect(() => HistoryStore.parseTime('yesterday', 'from')).toThrow('from必須為ISO時間或毫秒時間戳');
+    expect(() => HistoryStore.parseTime(undefined, 'to')).toThrow('to必須為ISO時間或毫秒時間戳');
+  });
+});
@@ -0,0 +1,275 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const MqttPushService = require('../src/index');
+
+describe('MqttPushService 事件驅動模式', () => {
+  /**
+   * 建立只含事件驅動模式所需狀態的服務實例
+   * @param {Object} values - 配置數值
+   * @returns {MqttPushService} 服務實例
+   */
+  const createService = (values = {}) => {
+    const settings = {
+      INPUT_MODE: 'event',
+      POLL_INTERVAL: 5000,
+      EVENT_DEBOUNCE: 100,
+      SENSOR_DATA_KEY: 'SENINF',
+      FEED_DAY_KEY: 'FEEDDAY',
+      DEVICE_SN_KEY: 'DEVSN',
+      DEVICE_IP_KEY: 'DEVIP',
+      ...values
+    };
+    const service = Object.create(MqttPushService.prototype);
+    Object.assign(service, {
+      config: { get: key => settings[key], set: (key, value) => { settings[key] = value; } },
+      isRunning: true,
+      isPaused: false,
+      inputMode: 'event',
+      pollTimer: null,
+      healthTimer: null,
+      eventTimer: null,
+      pendingKeys: new Set(),
+      sensorHealth: null,
+      bridgeService: null,
+      stats: { errors: 0, errorsByStage: {} },
+      redisService: {
+        subscriberLost: false,
+        enableKeyspaceNotifications: jest.fn().mockResolvedValue(true),
+        onSubscriberStatus: jest.fn(),
+        watchKeys: jest.fn().mockResolvedValue()
+      }
+    });
+    service.processChangedKeys = jest.fn().mockResolvedValue();
+    service.getSensorIds = jest.fn().mockResolvedValue(['S1', 'S2']);
+    service.publishNow = jest.fn().mockResolvedValue(true);
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('合併EVENT_DEBOUNCE內的變更後一次處理', () => {
+    const service = createService();
+    service.handleKeyChange('S1', 'hset');
+    service.handleKeyChange('S2', 'hset');
+    service.handleKeyChange('S1', 'hset');
+
+    jest.advanceTimersByTime(99);
+    expect(service.processChangedKeys).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(service.processChangedKeys).toHaveBeenCalledTimes(1);
+    expect(Array.from(service.processChangedKeys.mock.calls[0][0])).toEqual(['S1', 'S2']);
+    expect(service.pendingKeys.size).toBe(0);
+  });
+
+  test('刪除或過期的鍵不處理，並標記感測器缺失', () => {
+    const service = createService();
+    service.sensorHealth = { markAbsent: jest.fn() };
+    service.handleKeyChange('S1', 'del');
+    service.handleKeyChange('S2', 'expired');
+
+    jest.advanceTimersByTime(100);
+    expect(service.processChangedKeys).not.toHaveBeenCalled();
+    expect(service.sensorHealth.markAbsent.mock.calls).toEqual([['S1'], ['S2']]);
+  });
+
+  test('暫停時忽略變更通知', () => {
+    const service = createService();
+    service.isPaused = true;
+    service.handleKeyChange('S1', 'hset');
+
+    jest.advanceTimersByTime(100);
+    expect(service.processChangedKeys).not.toHaveBeenCalled();
+  });
+
+  test('監聽固定鍵、感測器及映射鍵，映射的pattern以鍵樣式訂閱', async () => {
+    const service = createService();
+    service.bridgeService = { getKeys: () => ['plc:line1:temp', 'S1'], getPatterns: () => ['plc:line2:*'] };
+
+    await service.watchChangedKeys();
+    expect(service.redisService.watchKeys).toHaveBeenCalledWith(
+      ['SENINF', 'FEEDDAY', 'DEVSN', 'DEVIP', 'S1', 'S2', 'plc:line1:temp'],
+      expect.any(Function),
+      ['plc:line2:*']
+    );
+
+    service.redisService.watchKeys.mock.calls[0][1]('S2', 'hset');
+    expect(service.pendingKeys.has('S2')).toBe(true);
+  });
+
+  test('訂閱連接中斷時改用定期輪詢並停止獨立的狀態檢查', () => {
+    const service = createService();
+    service.healthTimer = setInterval(() => {}, 5000);
+    service.startPolling = jest.fn(() => { service.pollTimer = setInterval(() => {}, 5000); });
+
+    service.handleSubscriberStatus('lost');
+    expect(service.inputMode).toBe('poll');
+    expect(service.startPolling).toHaveBeenCalledTimes(1);
+    expect(service.healthTimer).toBeNull();
+    expect(service.stats.errorsByStage.event_mode).toBe(1);
+
+    // 重複通知不再啟動輪詢
+    service.handleSubscriberStatus('lost');
+    expect(service.startPolling).toHaveBeenCalledTimes(1);
+  });
+
+  test('暫停時訂閱連接中斷不啟動輪詢', () => {
+    const service = createService();
+    service.isPaused = true;
+    service.startPolling = jest.fn();
+
+    service.handleSubscriberStatus('lost');
+    expect(service.inputMode).toBe('poll');
+    expect(service.startPolling).not.toHaveBeenCalled();
+  });
+
+  test('訂閱連接恢復後停止輪詢，回到事件驅動模式並完整處理一次', async () => {
+    const service = createService();
+    service.inputMode = 'poll';
+    service.pollTimer = setInterval(() => {}, 5000);
+
+    await service.restoreEventMode();
+    expect(service.inputMode).toBe('event');
+    expect(service.pollTimer).toBeNull();
+    expect(service.redisService.watchKeys).toHaveBeenCalled();
+    expect(service.publishNow).toHaveBeenCalledTimes(1);
+  });
+
+  test('恢復前再次中斷時維持輪詢', async () => {
+    const service = createService();
+    service.inputMode = 'poll';
+    service.pollTimer = setInterval(() => {}, 5000);
+    service.redisService.subscriberLost = true;
+
+    await service.restoreEventMode();
+    expect(service.inputMode).toBe('poll');
+    expect(service.pollTimer).not.toBeNull();
+    expect(service.publishNow).not.toHaveBeenCalled();
+  });
+
+  test('設定為輪詢模式時不因訂閱恢復切換模式', () => {
+    const service = createService({ INPUT_MODE: 'poll' });
+    service.inputMode = 'poll';
+    service.restoreEventMode = jest.fn();
+
+    service.handleSubscriberStatus('restored');
+    expect(service.restoreEventMode).not.toHaveBeenCalled();
+  });
+});
+
+describe('MqttPushService.restartPolling', () => {
+  const createService = () => {
+    const settings = { POLL_INTERVAL: 5000 };
+    const service = Object.create(MqttPushService.prototype);
+    Object.assign(service, {
+      config: { get: key => settings[key], set: (key, value) => { settings[key] = value; } },
+      pollTimer: null,
+      healthTimer: null,
+      redisService: { isReady: () => true, getDeviceInfo: jest.fn().mockResolvedValue({ deviceSN: 'GW' }) }
+    });
+    service.checkSensorHealth = jest.fn().mockResolvedValue();
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('事件驅動模式修改間隔時狀態檢查以新的間隔重新計時', () => {
+    const service = createService();
+    service.startHealthCheck();
+
+    service.setPollInterval(20000);
+    expect(service.pollTimer).toBeNull();
+
+    jest.advanceTimersByTime(19999);
+    expect(service.redisService.getDeviceInfo).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(service.redisService.getDeviceInfo).toHaveBeenCalledTimes(1);
+  });
+
+  test('未啟動輪詢及狀態檢查時不啟動', () => {
+    const service = createService();
+    service.startPolling = jest.fn();
+    service.startHealthCheck = jest.fn();
+
+    service.restartPolling();
+    expect(service.startPolling).not.toHaveBeenCalled();
+    expect(service.startHealthCheck).not.toHaveBeenCalled();
+  });
+});
+
+describe('MqttPushService 感測器數值發布方式', () => {
+  const SENSOR_VALUES = [{ sensorId: 'S1', values: { A: 20 } }, { sensorId: 'S2', values: { B: 60 } }];
+
+  const createService = (layout) => {
+    const settings = { SENSOR_VALUE_LAYOUT: layout, SENSOR_VALUE_FORMAT: 'flat' };
+    const service = Object.create(MqttPushService.prototype);
+    Object.assign(service, {
+      config: { get: key => settings[key] },
+      isRunning: true,
+      snapshotCycle: 0,
+      stats: { errors: 0, errorsByStage: {} },
+      redisService: {
+        isReady: () => true,
+        getDeviceInfo: jest.fn().mockResolvedValue({ deviceSN: 'GW' }),
+        getBatchSensorValues: jest.fn(async sensorIds => SENSOR_VALUES.filter(sensorValue => sensorIds.includes(sensorValue.sensorId)))
+      },
+      mqttService: {
+        canPublish: () => true,
+        publishBatchSensorValues: jest.fn().mockResolvedValue([]),
+        publishSnapshot: jest.fn().mockResolvedValue()
+      }
+    });
+    service.getSensorIds = jest.fn().mockResolvedValue(['S1', 'S2']);
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('topic只發布個別主題', async () => {
+    const service = createService('topic');
+    await service.processIndividualSensorValues();
+
+    expect(service.mqttService.publishBatchSensorValues).toHaveBeenCalledWith('GW', SENSOR_VALUES);
+    expect(service.mqttService.publishSnapshot).not.toHaveBeenCalled();
+  });
+
+  test('snapshot只發布快照，每次讀取遞增cycleId，事件驅動的部分讀取標示partial', async () => {
+    const service = createService('snapshot');
+    await service.processIndividualSensorValues();
+    await service.processIndividualSensorValues(['S2']);
+
+    expect(service.mqttService.publishBatchSensorValues).not.toHaveBeenCalled();
+    expect(service.mqttService.publishSnapshot.mock.calls).toEqual([
+      ['GW', { cycleId: 1, partial: false, sensorValues: SENSOR_VALUES }],
+      ['GW', { cycleId: 2, partial: true, sensorValues: [SENSOR_VALUES[1]] }]
+    ]);
+  });
+
+  test('both同時發布個別主題及快照', async () => {
+    const service = createService('both');
+    await service.processIndividualSensorValues();
+
+    expect(service.mqttService.publishBatchSensorValues).toHaveBeenCalledTimes(1);
+    expect(service.mqttService.publishSnapshot).toHaveBeenCalledWith('GW', expect.objectContaining({ cycleId: 1 }));
+  });
+});
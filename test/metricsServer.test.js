@@ -0,0 +1,57 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const MetricsServer = require('../src/services/metricsServer');
+const metrics = require('../src/utils/metrics');
+
+describe('MetricsServer', () => {
+  let pushService;
+  let server;
+
+  /**
+   * 以模擬的請求及回應物件呼叫請求處理
+   * @param {string} method - 請求方法
+   * @param {string} url - 請求路徑
+   * @returns {Promise<Object>} {status, contentType, body}
+   */
+  const request = async (method, url) => {
+    const res = { writeHead: jest.fn(), end: jest.fn() };
+    await server.handleRequest({ method, url }, res);
+    const [status, headers] = res.writeHead.mock.calls[0];
+    return { status, contentType: headers['Content-Type'], body: res.end.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    pushService = {
+      updateMetrics: jest.fn(() => {
+        metrics.redisConnected.set(1);
+        metrics.mqttConnected.set({ broker: 'default' }, 1);
+      })
+    };
+    server = new MetricsServer({}, pushService);
+  });
+
+  test('GET /metrics更新指標後以Prometheus文字格式回傳', async () => {
+    const response = await request('GET', '/metrics/');
+
+    expect(pushService.updateMetrics).toHaveBeenCalledTimes(1);
+    expect(response.status).toBe(200);
+    expect(response.contentType).toBe(metrics.register.contentType);
+    expect(response.body).toContain('mqtt_push_redis_connected 1');
+    expect(response.body).toContain('mqtt_push_mqtt_connected{broker="default"} 1');
+  });
+
+  test('無效的請求路徑回傳400，其他路徑404，非GET請求405', async () => {
+    expect(await request('GET', '//[')).toMatchObject({ status: 400, body: '無效的請求路徑\n' });
+    expect((await request('GET', '/health')).status).toBe(404);
+    expect((await request('POST', '/metrics')).status).toBe(405);
+    expect(pushService.updateMetrics).not.toHaveBeenCalled();
+  });
+
+  test('產生指標失敗時回傳500', async () => {
+    pushService.updateMetrics.mockImplementation(() => {
+      throw new Error('統計失敗');
+    });
+
+    expect(await request('GET', '/metrics')).toEqual({ status: 500, contentType: 'text/plain; charset=utf-8', body: '統計失敗\n' });
+  });
+});
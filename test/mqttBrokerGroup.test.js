@@ -0,0 +1,139 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const MqttBrokerGroup = require('../src/services/mqttBrokerGroup');
+
+describe('MqttBrokerGroup', () => {
+  const BASE_CONFIG = {
+    MQTT_BROKER_URL: 'mqtts://local:8883',
+    MQTT_CLIENT_ID: 'gw-1',
+    MQTT_USERNAME: 'local-user',
+    MQTT_PASSWORD: 'local-pass',
+    MQTT_CA_FILE: '/etc/ssl/local-ca.pem',
+    MQTT_CERT_FILE: '/etc/ssl/local.pem',
+    MQTT_KEY_FILE: '/etc/ssl/local.key',
+    MQTT_KEY_PASSPHRASE: 'phrase',
+    MQTT_SERVERNAME: 'local',
+    MQTT_PROTOCOL_VERSION: 4,
+    MQTT_MAX_INFLIGHT: 20,
+    MQTT_PUBLISH_TIMEOUT: 30000,
+    MQTT_REJECT_UNAUTHORIZED: true,
+    DEVICE_TOPIC_PREFIX: 'device',
+    OFFLINE_QUEUE_PATH: 'data/offline-queue.jsonl'
+  };
+
+  describe('buildBrokerConfigs', () => {
+    test('只有主要代理時沿用MQTT_*設定並啟用全部資料流', () => {
+      const [primary, ...others] = MqttBrokerGroup.buildBrokerConfigs(BASE_CONFIG);
+
+      expect(others).toEqual([]);
+      expect(primary).toMatchObject({ ...BASE_CONFIG, MQTT_BROKER_NAME: 'default' });
+      expect(primary.MQTT_STREAMS.split(',')).toEqual(MqttBrokerGroup.getStreamNames());
+    });
+
+    test('其他代理以MQTT_BROKER_{NAME}_*覆寫，並轉換字串型別', () => {
+      const [, cloud] = MqttBrokerGroup.buildBrokerConfigs({
+        ...BASE_CONFIG,
+        MQTT_BROKERS: 'cloud',
+        MQTT_BROKER_CLOUD_URL: 'mqtts://cloud:8883',
+        MQTT_BROKER_CLOUD_USERNAME: 'cloud-user',
+        MQTT_BROKER_CLOUD_TOPIC_PREFIX: 'farm',
+        MQTT_BROKER_CLOUD_STREAMS: 'alarm,snapshot',
+        MQTT_BROKER_CLOUD_PROTOCOL_VERSION: '5',
+        MQTT_BROKER_CLOUD_MAX_INFLIGHT: '5',
+        MQTT_BROKER_CLOUD_REJECT_UNAUTHORIZED: 'false',
+        MQTT_BROKER_CLOUD_PASSWORD: ''
+      });
+
+      expect(cloud).toMatchObject({
+        MQTT_BROKER_NAME: 'cloud',
+        MQTT_BROKER_URL: 'mqtts://cloud:8883',
+        MQTT_CLIENT_ID: 'gw-1-cloud',
+        MQTT_USERNAME: 'cloud-user',
+        DEVICE_TOPIC_PREFIX: 'farm',
+        MQTT_STREAMS: 'alarm,snapshot',
+        MQTT_PROTOCOL_VERSION: 5,
+        MQTT_MAX_INFLIGHT: 5,
+        MQTT_PUBLISH_TIMEOUT: 30000,
+        MQTT_REJECT_UNAUTHORIZED: false,
+        OFFLINE_QUEUE_PATH: 'data/offline-queue-cloud.jsonl'
+      });
+    });
+
+    test('其他代理不沿用主要代理的帳號密碼及TLS檔案', () => {
+      const [, cloud] = MqttBrokerGroup.buildBrokerConfigs({
+        ...BASE_CONFIG,
+        MQTT_BROKERS: 'cloud',
+        MQTT_BROKER_CLOUD_URL: 'mqtts://cloud:8883',
+        MQTT_BROKER_CLOUD_CA_FILE: '/etc/ssl/cloud-ca.pem'
+      });
+
+      ['MQTT_USERNAME', 'MQTT_PASSWORD', 'MQTT_CERT_FILE', 'MQTT_KEY_FILE', 'MQTT_KEY_PASSPHRASE', 'MQTT_SERVERNAME'].forEach(key => {
+        expect(cloud[key]).toBeUndefined();
+      });
+      expect(cloud.MQTT_CA_FILE).toBe('/etc/ssl/cloud-ca.pem');
+      expect(cloud.MQTT_REJECT_UNAUTHORIZED).toBe(true);
+    });
+  });
+
+  describe('發布', () => {
+    let group;
+    let primary;
+    let cloud;
+
+    beforeEach(() => {
+      group = new MqttBrokerGroup({
+        ...BASE_CONFIG,
+        MQTT_BROKERS: 'cloud',
+        MQTT_BROKER_CLOUD_URL: 'mqtts://cloud:8883',
+        MQTT_BROKER_CLOUD_STREAMS: 'alarm,sensor_value'
+      });
+      [primary, cloud] = group.brokers;
+      [primary, cloud].forEach(broker => {
+        broker.publishAlarmEvent = jest.fn().mockResolvedValue();
+        broker.publishRollup = jest.fn().mockResolvedValue();
+        broker.publishBatchSensorValues = jest.fn().mockResolvedValue([{ status: 'fulfilled', value: broker.name }]);
+        broker.republishSensorValues = jest.fn().mockResolvedValue(0);
+      });
+    });
+
+    test('只發布到啟用該資料流的代理', async () => {
+      await group.publishAlarmEvent('GW', { code: 'A' });
+      await group.publishRollup('GW', { sensorId: 'S1' });
+
+      expect(primary.publishAlarmEvent).toHaveBeenCalledWith('GW', { code: 'A' });
+      expect(cloud.publishAlarmEvent).toHaveBeenCalledWith('GW', { code: 'A' });
+      expect(primary.publishRollup).toHaveBeenCalledTimes(1);
+      expect(cloud.publishRollup).not.toHaveBeenCalled();
+    });
+
+    test('單一代理失敗不影響其他代理，全部失敗時拋出錯誤', async () => {
+      cloud.publishAlarmEvent.mockRejectedValue(new Error('cloud離線'));
+      await expect(group.publishAlarmEvent('GW', {})).resolves.toBeUndefined();
+
+      primary.publishAlarmEvent.mockRejectedValue(new Error('local離線'));
+      await expect(group.publishAlarmEvent('GW', {})).rejects.toThrow('local離線');
+    });
+
+    test('合併各代理的發布結果，失敗的代理以rejected表示', async () => {
+      cloud.publishBatchSensorValues.mockRejectedValue(new Error('cloud離線'));
+
+      const results = await group.publishBatchSensorValues('GW', []);
+      expect(results).toEqual([{ status: 'fulfilled', value: 'default' }, { status: 'rejected', reason: expect.any(Error) }]);
+    });
+
+    test('補發數量取各代理中最多者', async () => {
+      primary.republishSensorValues.mockResolvedValue(3);
+      cloud.republishSensorValues.mockResolvedValue(5);
+
+      expect(await group.republishSensorValues('GW', [])).toBe(5);
+    });
+
+    test('任一代理連接即視為就緒，狀態依代理名稱列出', () => {
+      cloud.isConnected = true;
+      cloud.client = { connected: true };
+
+      expect(group.isReady()).toBe(true);
+      expect(Object.keys(group.getBrokerStatus())).toEqual(['default', 'cloud']);
+    });
+  });
+});
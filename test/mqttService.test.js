@@ -0,0 +1,225 @@
+const { EventEmitter } = require('events');
+const mqtt = require('mqtt');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+
+const MqttService = require('../src/services/mqttService');
+
+describe('MqttService 資料流發布', () => {
+  let published;
+
+  /**
+   * 建立已連線的MQTT服務，發布的訊息記錄在published
+   * @param {Object} config - 配置
+   * @returns {MqttService} MQTT服務
+   */
+  const createService = (config = {}) => {
+    const service = new MqttService({ MQTT_CLIENT_ID: 'gw-1', DEVICE_TOPIC_PREFIX: 'device', ...config });
+    service.isConnected = true;
+    service.client = {
+      connected: true,
+      publish: jest.fn((topic, payload, options, callback) => {
+        published.push({ topic, payload, options });
+        callback();
+      })
+    };
+    return service;
+  };
+
+  beforeEach(() => {
+    published = [];
+  });
+
+  describe('publishStream', () => {
+    test('依資料流設定編碼並發布', async () => {
+      const service = createService({ MQTT_STREAM_QOS: 'alarm:2', MQTT_RETAIN_STREAMS: 'alarm' });
+
+      expect(await service.publishStream('alarm', 'device/GW/alarm', { code: 'A' })).toBe(true);
+      expect(published).toEqual([{ topic: 'device/GW/alarm', payload: '{"code":"A"}', options: { qos: 2, retain: true } }]);
+    });
+
+    test('字串內容直接發布，options覆寫資料流設定', async () => {
+      const service = createService({ MQTT_RETAIN_STREAMS: 'bridge' });
+
+      await service.publishStream('bridge', 'plc/temp', '21.5', { options: { retain: false } });
+      expect(published[0]).toEqual({ topic: 'plc/temp', payload: '21.5', options: { qos: 1, retain: false } });
+    });
+
+    test('MQTT 5 時使用者屬性帶入發布情境', async () => {
+      const service = createService({ MQTT_PROTOCOL_VERSION: 5 });
+
+      await service.publishStream('rollup', 'device/GW/rollup', { v: 1 }, { deviceSN: 'GW', sensorCode: 'A' });
+      expect(published[0].options.properties).toEqual({
+        contentType: 'application/json',
+        userProperties: { stream: 'rollup', schemaVersion: '1', deviceSN: 'GW', sensorCode: 'A' }
+      });
+    });
+
+    test('嚴格驗證未通過時不發布', async () => {
+      const service = createService();
+      service.checkPayload = jest.fn(() => false);
+
+      expect(await service.publishStream('alarm', 'device/GW/alarm', { code: 'A' })).toBe(false);
+      expect(published).toEqual([]);
+    });
+
+    test('離線時寫入離線佇列', async () => {
+      const service = createService();
+      service.client.connected = false;
+      service.offlineQueue = { size: () => 0, enqueue: jest.fn() };
+
+      expect(await service.publishStream('alarm', 'device/GW/alarm', { code: 'A' })).toBe(true);
+      expect(service.offlineQueue.enqueue).toHaveBeenCalledWith('device/GW/alarm', '{"code":"A"}', { qos: 1, retain: false });
+      expect(service.client.publish).not.toHaveBeenCalled();
+    });
+
+    test('未連線且沒有離線佇列時拋出錯誤', async () => {
+      const service = createService();
+      service.isConnected = false;
+
+      await expect(service.publishStream('alarm', 'device/GW/alarm', { code: 'A' })).rejects.toThrow('MQTT未連接');
+    });
+  });
+
+  describe('publishBridgeValue', () => {
+    const mapping = { name: 'line1', topic: '{prefix}/{deviceSN}/plc/{name}' };
+
+    test('envelope格式包含名稱、鍵名及時間戳', async () => {
+      const service = createService();
+      await service.publishBridgeValue('GW', { mapping, key: 'plc:line1', value: { temp: 21.5 } });
+
+      expect(published[0].topic).toBe('device/GW/plc/line1');
+      expect(JSON.parse(published[0].payload)).toMatchObject({ name: 'line1', key: 'plc:line1', value: { temp: 21.5 }, published_by: 'gw-1' });
+    });
+
+    test('value格式只發布數值，映射的QoS及保留設定優先', async () => {
+      const service = createService({ MQTT_PAYLOAD_CODECS: 'bridge:msgpack' });
+      await service.publishBridgeValue('GW', { mapping: { ...mapping, payload: 'value', qos: 0, retain: true }, key: 'plc:line1', value: 21.5 });
+
+      expect(published[0]).toEqual({ topic: 'device/GW/plc/line1', payload: '21.5', options: { qos: 0, retain: true } });
+    });
+  });
+
+  test('警報事件發布到感測器及代碼的主題', async () => {
+    const service = createService({ TOPIC_ALARM: '{prefix}/{deviceSN}/alarm/{sensorSN}/{sensorCode}', MQTT_PROTOCOL_VERSION: 5 });
+    await service.publishAlarmEvent('GW', { event: 'raised', sensorId: 'S1', code: 'A', value: 40 });
+
+    expect(published[0].topic).toBe('device/GW/alarm/S1/A');
+    expect(JSON.parse(published[0].payload)).toMatchObject({ event: 'raised', sensorId: 'S1', deviceSN: 'GW', published_by: 'gw-1' });
+    expect(published[0].options.properties.userProperties).toMatchObject({ stream: 'alarm', deviceSN: 'GW', sensorCode: 'A' });
+  });
+
+  test('感測器狀態以上下線事件發布', async () => {
+    const service = createService({ TOPIC_SENSOR_STATUS: '{prefix}/{deviceSN}/status/{sensorSN}' });
+    await service.publishSensorStatus('GW', { sensorId: 'S1', status: 'stale', previous: 'online' });
+
+    expect(published[0].topic).toBe('device/GW/status/S1');
+    expect(JSON.parse(published[0].payload)).toMatchObject({ event: 'offline', sensorId: 'S1', status: 'stale', previous: 'online', deviceSN: 'GW' });
+  });
+
+  test('彙總統計發布到時間窗的主題', async () => {
+    const service = createService({ TOPIC_ROLLUP: '{prefix}/{deviceSN}/rollup/{window}/{sensorSN}' });
+    await service.publishRollup('GW', { sensorId: 'S1', window: '1m', partial: false, values: { A: { avg: 20 } } });
+
+    expect(published[0].topic).toBe('device/GW/rollup/1m/S1');
+    expect(JSON.parse(published[0].payload)).toMatchObject({ sensorId: 'S1', window: '1m', values: { A: { avg: 20 } }, deviceSN: 'GW' });
+  });
+
+  test('驗證報告不再經過驗證', async () => {
+    const service = createService({ TOPIC_VALIDATION: '{prefix}/validation' });
+    service.checkPayload = jest.fn(() => false);
+    await service.publishValidationReport({ direction: 'output', source: 'alarm', action: 'rejected', errors: ['/code: 必須為字串'] });
+
+    expect(service.checkPayload).not.toHaveBeenCalled();
+    expect(published[0].topic).toBe('device/validation');
+    expect(JSON.parse(published[0].payload)).toMatchObject({ source: 'alarm', action: 'rejected', published_by: 'gw-1' });
+  });
+
+  test('快照將各感測器的數值合併為一則訊息', async () => {
+    const service = createService({ TOPIC_SNAPSHOT: '{prefix}/{deviceSN}/snapshot' });
+    await service.publishSnapshot('GW', {
+      cycleId: 7,
+      partial: true,
+      sensorValues: [
+        { sensorId: 'S1', values: { A: 20 } },
+        { sensorId: 'S2', values: { B: null }, calcErrors: { B: '除以零' } }
+      ]
+    });
+
+    expect(published).toHaveLength(1);
+    expect(published[0].topic).toBe('device/GW/snapshot');
+    expect(JSON.parse(published[0].payload)).toMatchObject({
+      cycleId: 7,
+      deviceSN: 'GW',
+      partial: true,
+      sensors: { S1: { A: 20 }, S2: { B: null, calc_errors: { B: '除以零' } } }
+    });
+  });
+
+  describe('MQTT 5', () => {
+    test('MQTT 3.1.1 時不加上屬性', () => {
+      const service = createService({ MQTT5_MESSAGE_EXPIRY: 'alarm:60' });
+      expect(service.getPublishOptions('alarm', { qos: 1, retain: true }, { deviceSN: 'GW' })).toEqual({ qos: 1, retain: true });
+    });
+
+    test('屬性包含內容類型、訊息有效期及使用者屬性，gzip以contentEncoding標示', () => {
+      const service = createService({
+        MQTT_PROTOCOL_VERSION: 5,
+        MQTT5_MESSAGE_EXPIRY: 'sensor_value:300',
+        MQTT5_SCHEMA_VERSION: 2,
+        MQTT_PAYLOAD_CODECS: 'sensor_value:cbor+gzip'
+      });
+
+      expect(service.getPublishOptions('sensor_value', { qos: 0, retain: false }, { deviceSN: 'GW', sensorCode: 'A,B' })).toEqual({
+        qos: 0,
+        retain: false,
+        properties: {
+          contentType: 'application/cbor',
+          messageExpiryInterval: 300,
+          userProperties: { stream: 'sensor_value', schemaVersion: '2', deviceSN: 'GW', sensorCode: 'A,B', contentEncoding: 'gzip' }
+        }
+      });
+      expect(service.getPublishOptions('alarm', {}).properties.messageExpiryInterval).toBeUndefined();
+    });
+
+    test('啟用的資料流在代理允許的上限內分配主題別名，每個主題只註冊一次', () => {
+      const service = createService({ MQTT_PROTOCOL_VERSION: 5, MQTT5_TOPIC_ALIAS_STREAMS: 'sensor_value' });
+      service.topicAliasMaximum = 2;
+      const options = { qos: 1, properties: { contentType: 'application/json' } };
+
+      expect(service.withTopicAlias('sensor_value', 't/1', options).properties).toEqual({ contentType: 'application/json', topicAlias: 1 });
+      expect(service.withTopicAlias('sensor_value', 't/1', options)).toBe(options);
+      expect(service.withTopicAlias('sensor_value', 't/2', options).properties.topicAlias).toBe(2);
+      expect(service.withTopicAlias('sensor_value', 't/3', options)).toBe(options);
+      expect(service.withTopicAlias('alarm', 't/4', options)).toBe(options);
+    });
+
+    test('每次連線依CONNACK重設主題別名上限，遺囑帶內容類型', async () => {
+      const client = new EventEmitter();
+      client.connected = true;
+      client.publish = jest.fn((topic, payload, options, callback) => callback());
+      client.subscribe = jest.fn();
+      mqtt.connect.mockReturnValue(client);
+
+      const service = new MqttService({
+        MQTT_PROTOCOL_VERSION: 5,
+        MQTT5_TOPIC_ALIAS_STREAMS: 'sensor_value',
+        DEVICE_TOPIC_PREFIX: 'device',
+        TOPIC_STATUS: '{prefix}/service/status'
+      });
+      const connecting = service.connect();
+      client.emit('connect', { properties: { topicAliasMaximum: 10 } });
+      await connecting;
+
+      const options = mqtt.connect.mock.calls[0][1];
+      expect(options).toMatchObject({ protocolVersion: 5, autoUseTopicAlias: true, will: { properties: { contentType: 'application/json' } } });
+      expect(service.topicAliasMaximum).toBe(10);
+
+      service.withTopicAlias('sensor_value', 't/1', {});
+      client.emit('connect', {});
+      expect(service.topicAliases.size).toBe(0);
+      expect(service.topicAliasMaximum).toBe(0);
+    });
+  });
+});
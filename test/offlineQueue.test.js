@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const OfflineQueue = require('../src/services/offlineQueue');
+
+describe('OfflineQueue', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-queue-'));
+    filePath = path.join(dir, 'queue.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('依加入順序補發，移除後佇列縮短', () => {
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath });
+    queue.enqueue('a', '1', { qos: 1 });
+    queue.enqueue('b', '2');
+
+    expect(queue.size()).toBe(2);
+    expect(queue.peek()).toMatchObject({ topic: 'a', payload: '1', options: { qos: 1 } });
+
+    queue.remove();
+    expect(queue.peek().topic).toBe('b');
+    expect(queue.getStats()).toMatchObject({ depth: 1, enqueued: 2, replayed: 1 });
+  });
+
+  test('服務重啟後從檔案載入，二進位內容保持不變', () => {
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath });
+    queue.enqueue('text', '{"v":1}');
+    queue.enqueue('binary', Buffer.from([0, 1, 254, 255]));
+
+    const restored = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath });
+    expect(restored.size()).toBe(2);
+    expect(restored.entries[0].payload).toBe('{"v":1}');
+    expect(Buffer.isBuffer(restored.entries[1].payload)).toBe(true);
+    expect(restored.entries[1].payload.equals(Buffer.from([0, 1, 254, 255]))).toBe(true);
+  });
+
+  test('超過容量上限時丟棄最舊的訊息', () => {
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_SIZE: 2 });
+    ['a', 'b', 'c'].forEach(topic => queue.enqueue(topic, topic));
+
+    expect(queue.entries.map(entry => entry.topic)).toEqual(['b', 'c']);
+    expect(queue.getStats().dropped).toBe(1);
+    expect(new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_SIZE: 2 }).size()).toBe(2);
+  });
+
+  test('佇列已滿時累積一批丟棄後才重寫檔案', () => {
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_SIZE: 10 });
+    for (let i = 0; i < 10; i++) {
+      queue.enqueue(`t${i}`, String(i));
+    }
+
+    const renameSync = jest.spyOn(fs, 'renameSync');
+    try {
+      for (let i = 10; i < 10 + queue.persistEvery - 1; i++) {
+        queue.enqueue(`t${i}`, String(i));
+      }
+      expect(renameSync).not.toHaveBeenCalled();
+
+      queue.enqueue('last', 'x');
+      expect(renameSync).toHaveBeenCalledTimes(1);
+    } finally {
+      renameSync.mockRestore();
+    }
+
+    expect(queue.size()).toBe(10);
+    expect(queue.getStats().dropped).toBe(queue.persistEvery);
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(10);
+  });
+
+  test('尚未重寫的檔案重新載入時只保留最新的上限筆數', () => {
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_SIZE: 3 });
+    ['a', 'b', 'c', 'd', 'e'].forEach(topic => queue.enqueue(topic, topic));
+
+    const restored = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_SIZE: 3 });
+    expect(restored.entries.map(entry => entry.topic)).toEqual(['c', 'd', 'e']);
+  });
+
+  test('載入時丟棄超過保存期限及無法解析的記錄', () => {
+    const now = Date.now();
+    fs.writeFileSync(filePath, [
+      JSON.stringify({ topic: 'old', payload: 'x', options: {}, enqueuedAt: now - 10000 }),
+      'not json',
+      JSON.stringify({ topic: 'new', payload: 'y', options: {}, enqueuedAt: now })
+    ].join('\n') + '\n');
+
+    const queue = new OfflineQueue({ OFFLINE_QUEUE_PATH: filePath, OFFLINE_QUEUE_MAX_AGE: 5000 });
+    expect(queue.entries.map(entry => entry.topic)).toEqual(['new']);
+    expect(queue.getStats().expired).toBe(1);
+  });
+});
@@ -0,0 +1,67 @@
+const zlib = require('zlib');
+const { decode } = require('cbor-x');
+const { unpack } = require('msgpackr');
+
+const {
+  JSON_CODEC,
+  parseCodecList,
+  encodePayload,
+  measureCodecs,
+  getTopicSuffix,
+  getContentType
+} = require('../src/utils/payloadCodec');
+
+describe('payloadCodec', () => {
+  const MESSAGE = { sensorId: 'S1', values: { A: 21.5, B: null }, skipped: undefined, timestamp: new Date('2024-01-01T00:00:00.000Z') };
+  const EXPECTED = { sensorId: 'S1', values: { A: 21.5, B: null }, timestamp: '2024-01-01T00:00:00.000Z' };
+
+  test('解析各資料流的編碼設定', () => {
+    expect(parseCodecList(' seninf:cbor+gzip , sensor_value:msgpack,,')).toEqual({
+      seninf: { name: 'cbor+gzip', format: 'cbor', gzip: true },
+      sensor_value: { name: 'msgpack', format: 'msgpack', gzip: false }
+    });
+    expect(parseCodecList('')).toEqual({});
+    expect(parseCodecList(undefined)).toEqual({});
+  });
+
+  test('不支援的資料流或編碼時拋出錯誤', () => {
+    expect(() => parseCodecList('status:cbor')).toThrow('資料流 status 不支援設定編碼');
+    expect(() => parseCodecList('seninf:protobuf')).toThrow('無效的編碼: protobuf，必須為json、cbor或msgpack，可加上+gzip');
+  });
+
+  test('JSON編碼為字串，其他格式以JSON序列化後的內容編碼', () => {
+    const json = encodePayload(JSON_CODEC, MESSAGE);
+    expect(json.payload).toBe(JSON.stringify(EXPECTED));
+    expect(json.jsonSize).toBe(Buffer.byteLength(JSON.stringify(EXPECTED)));
+
+    expect(decode(encodePayload({ format: 'cbor', gzip: false }, MESSAGE).payload)).toEqual(EXPECTED);
+    expect(unpack(encodePayload({ format: 'msgpack', gzip: false }, MESSAGE).payload)).toEqual(EXPECTED);
+  });
+
+  test('加上gzip時壓縮編碼後的內容', () => {
+    const { payload, jsonSize } = encodePayload({ format: 'cbor', gzip: true }, MESSAGE);
+
+    expect(decode(zlib.gunzipSync(payload))).toEqual(EXPECTED);
+    expect(jsonSize).toBe(Buffer.byteLength(JSON.stringify(EXPECTED)));
+    expect(JSON.parse(zlib.gunzipSync(encodePayload({ format: 'json', gzip: true }, MESSAGE).payload))).toEqual(EXPECTED);
+  });
+
+  test('計算各種編碼的大小', () => {
+    const sizes = measureCodecs(MESSAGE);
+
+    expect(Object.keys(sizes)).toEqual(['json', 'json+gzip', 'cbor', 'cbor+gzip', 'msgpack', 'msgpack+gzip']);
+    expect(sizes.json).toBe(Buffer.byteLength(JSON.stringify(EXPECTED)));
+    expect(sizes.cbor).toBeLessThan(sizes.json);
+  });
+
+  test('主題後綴及內容類型', () => {
+    expect(getTopicSuffix(JSON_CODEC)).toBe('');
+    expect(getTopicSuffix({ format: 'json', gzip: true })).toBe('json.gz');
+    expect(getTopicSuffix({ format: 'cbor', gzip: false })).toBe('cbor');
+    expect(getTopicSuffix({ format: 'msgpack', gzip: true })).toBe('msgpack.gz');
+
+    expect(getContentType(JSON_CODEC)).toBe('application/json');
+    expect(getContentType({ format: 'cbor', gzip: true })).toBe('application/cbor');
+    expect(getContentType({ format: 'msgpack', gzip: false })).toBe('application/msgpack');
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const PublishScheduler = require('../src/utils/publishScheduler');
+
+describe('PublishScheduler', () => {
+  let sent;
+
+  // 記錄送出的訊息，由測試決定何時確認
+  const send = (topic, payload, options, callback) => {
+    sent.push({ topic, payload, options, callback });
+  };
+
+  beforeEach(() => {
+    sent = [];
+  });
+
+  test('發布窗口已滿時排隊，收到確認後繼續送出', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 2, MQTT_PUBLISH_TIMEOUT: 0 }, send);
+    const callbacks = [jest.fn(), jest.fn(), jest.fn()];
+    ['a', 'b', 'c'].forEach((topic, index) => scheduler.publish('alarm', topic, topic, {}, callbacks[index]));
+
+    expect(sent.map(item => item.topic)).toEqual(['a', 'b']);
+    expect(scheduler.getStats()).toMatchObject({ inFlight: 2, queued: { high: 1 } });
+
+    sent[0].callback();
+    expect(callbacks[0]).toHaveBeenCalledWith(null);
+    expect(sent.map(item => item.topic)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('依優先等級送出，同等級維持先進先出', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0 }, send);
+    scheduler.publish('status', 'first', '', {}, jest.fn());
+    scheduler.publish('backfill', 'backfill', '', {}, jest.fn());
+    scheduler.publish('sensor_value', 'bulk', '', {}, jest.fn());
+    scheduler.publish('rollup', 'normal-1', '', {}, jest.fn());
+    scheduler.publish('alarm', 'high', '', {}, jest.fn());
+    scheduler.publish('bridge', 'normal-2', '', {}, jest.fn());
+
+    while (sent.length < 6) {
+      sent[sent.length - 1].callback();
+    }
+    expect(sent.map(item => item.topic)).toEqual(['first', 'high', 'normal-1', 'normal-2', 'bulk', 'backfill']);
+  });
+
+  test('MQTT_STREAM_PRIORITY覆寫資料流的優先等級，無效設定拋出錯誤', () => {
+    expect(PublishScheduler.parsePriorities('rollup:high, bridge:bulk')).toEqual({ rollup: 'high', bridge: 'bulk' });
+    expect(() => PublishScheduler.parsePriorities('rollup:urgent')).toThrow('無效的優先等級設定');
+
+    const scheduler = new PublishScheduler({ MQTT_STREAM_PRIORITY: 'rollup:high' }, send);
+    expect(scheduler.priorities.rollup).toBe('high');
+  });
+
+  test('未收到確認時逾時並釋放發布窗口', () => {
+    jest.useFakeTimers();
+    try {
+      const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 1000 }, send);
+      const callback = jest.fn();
+      scheduler.publish('alarm', 'a', '', {}, callback);
+      scheduler.publish('alarm', 'b', '', {}, jest.fn());
+
+      jest.advanceTimersByTime(1000);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('發布逾時') }));
+      expect(sent.map(item => item.topic)).toEqual(['a', 'b']);
+      expect(scheduler.getStats().timeouts).toBe(1);
+
+      // 逾時後才收到的確認不重複處理
+      sent[0].callback();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(scheduler.inFlight).toBe(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('coalesce: 較新的讀值取代尚未送出的舊讀值並保留排隊位置', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0 }, send);
+    const callbacks = [jest.fn(), jest.fn(), jest.fn()];
+    scheduler.publish('sensor_value', 'busy', '', {}, jest.fn());
+    scheduler.publish('sensor_value', 't', 'old', {}, callbacks[0]);
+    scheduler.publish('sensor_value', 'other', '', {}, callbacks[1]);
+    scheduler.publish('sensor_value', 't', 'new', {}, callbacks[2]);
+
+    expect(scheduler.size()).toBe(2);
+    sent[0].callback();
+    expect(sent[1]).toMatchObject({ topic: 't', payload: 'new' });
+
+    sent[1].callback();
+    expect(callbacks[0]).toHaveBeenCalledWith(null);
+    expect(callbacks[2]).toHaveBeenCalledWith(null);
+    expect(scheduler.getStats().superseded).toBe(1);
+  });
+
+  test('drop: 捨棄舊讀值，新讀值排到佇列尾端', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0, MQTT_SUPERSEDED_POLICY: 'drop' }, send);
+    scheduler.publish('sensor_value', 'busy', '', {}, jest.fn());
+    scheduler.publish('sensor_value', 't', 'old', {}, jest.fn());
+    scheduler.publish('sensor_value', 'other', '', {}, jest.fn());
+    scheduler.publish('sensor_value', 't', 'new', {}, jest.fn());
+
+    sent[0].callback();
+    sent[1].callback();
+    expect(sent.map(item => `${item.topic}${item.payload}`)).toEqual(['busy', 'other', 'tnew']);
+  });
+
+  test('不可取代的資料流即使主題相同也全部發布', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0 }, send);
+    scheduler.publish('alarm', 'busy', '', {}, jest.fn());
+    scheduler.publish('alarm', 't', '1', {}, jest.fn());
+    scheduler.publish('alarm', 't', '2', {}, jest.fn());
+
+    expect(scheduler.size()).toBe(2);
+  });
+
+  test('佇列超過上限時丟棄最低優先等級中最舊的訊息', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0, MQTT_PUBLISH_QUEUE_MAX: 2 }, send);
+    const dropped = jest.fn();
+    scheduler.publish('alarm', 'busy', '', {}, jest.fn());
+    scheduler.publish('backfill', 'old-backfill', '', {}, dropped);
+    scheduler.publish('alarm', 'high-1', '', {}, jest.fn());
+    scheduler.publish('alarm', 'high-2', '', {}, jest.fn());
+
+    expect(dropped).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('發布佇列已滿') }));
+    expect(scheduler.getStats()).toMatchObject({ dropped: 1, queued: { high: 2, backfill: 0 } });
+  });
+
+  test('發布函式同步拋出錯誤時回報失敗並釋放發布窗口', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0 }, () => {
+      throw new Error('client disconnecting');
+    });
+    const callback = jest.fn();
+    scheduler.publish('alarm', 'a', '', {}, callback);
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ message: 'client disconnecting' }));
+    expect(scheduler.getStats()).toMatchObject({ inFlight: 0, failed: 1 });
+  });
+
+  test('清空佇列時通知等待中的呼叫者', () => {
+    const scheduler = new PublishScheduler({ MQTT_MAX_INFLIGHT: 1, MQTT_PUBLISH_TIMEOUT: 0 }, send);
+    const callback = jest.fn();
+    scheduler.publish('alarm', 'busy', '', {}, jest.fn());
+    scheduler.publish('sensor_value', 'waiting', '', {}, callback);
+
+    const error = new Error('MQTT連接已關閉');
+    scheduler.clear(error);
+    expect(callback).toHaveBeenCalledWith(error);
+    expect(scheduler.size()).toBe(0);
+    expect(scheduler.pending.size).toBe(0);
+  });
+});
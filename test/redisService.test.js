@@ -0,0 +1,154 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('redis', () => ({ createClient: jest.fn() }));
+
+const redis = require('redis');
+const RedisService = require('../src/services/redisService');
+
+/**
+ * 建立模擬的node-redis用戶端
+ * @param {Object} options - 解析後的連線選項
+ * @returns {Object} 模擬用戶端
+ */
+function createFakeClient(options = {}) {
+  const client = new EventEmitter();
+  client.options = options;
+  client.isReady = true;
+  client.channels = new Map();
+  client.patterns = new Map();
+  client.connect = jest.fn(async () => {
+    client.emit('connect');
+    client.emit('ready');
+  });
+  client.quit = jest.fn(async () => client.emit('end'));
+  client.configGet = jest.fn(async () => ({ 'notify-keyspace-events': '' }));
+  client.configSet = jest.fn().mockResolvedValue('OK');
+  client.subscribe = jest.fn(async (channels, listener) => channels.forEach(channel => client.channels.set(channel, listener)));
+  client.unsubscribe = jest.fn(async (channels) => channels.forEach(channel => client.channels.delete(channel)));
+  client.pSubscribe = jest.fn(async (patterns, listener) => patterns.forEach(pattern => client.patterns.set(pattern, listener)));
+  client.pUnsubscribe = jest.fn(async (patterns) => patterns.forEach(pattern => client.patterns.delete(pattern)));
+  client.duplicate = jest.fn(() => {
+    client.subscriber = createFakeClient(options);
+    return client.subscriber;
+  });
+  return client;
+}
+
+describe('RedisService 鍵空間通知', () => {
+  let client;
+
+  const connect = async (config = {}, options = { database: 0 }) => {
+    client = createFakeClient(options);
+    redis.createClient.mockReturnValue(client);
+    const service = new RedisService(config);
+    await service.connect();
+    return service;
+  };
+
+  test('補上缺少的K、$及h旗標', async () => {
+    const service = await connect();
+    client.configGet.mockResolvedValue({ 'notify-keyspace-events': 'Ex' });
+
+    expect(await service.enableKeyspaceNotifications()).toBe(true);
+    expect(client.configSet).toHaveBeenCalledWith('notify-keyspace-events', 'ExK$h');
+  });
+
+  test('已有K及A（或K、$、h）時不修改設定', async () => {
+    const service = await connect();
+
+    client.configGet.mockResolvedValue({ 'notify-keyspace-events': 'KA' });
+    expect(await service.enableKeyspaceNotifications()).toBe(true);
+    client.configGet.mockResolvedValue({ 'notify-keyspace-events': 'Kh$' });
+    expect(await service.enableKeyspaceNotifications()).toBe(true);
+    expect(client.configSet).not.toHaveBeenCalled();
+
+    client.configGet.mockResolvedValue({ 'notify-keyspace-events': 'K$' });
+    await service.enableKeyspaceNotifications();
+    expect(client.configSet).toHaveBeenCalledWith('notify-keyspace-events', 'K$h');
+  });
+
+  test('無法設定時回報不可用', async () => {
+    const service = await connect();
+    client.configSet.mockRejectedValue(new Error('ERR unknown command CONFIG'));
+
+    expect(await service.enableKeyspaceNotifications()).toBe(false);
+  });
+
+  test('頻道使用實際連線的資料庫編號（REDIS_URL中的資料庫優先）', async () => {
+    const service = await connect({ REDIS_URL: 'redis://host:6379/3', REDIS_DB: 0 }, { database: 3 });
+    expect(service.getKeyspaceChannel('SENINF')).toBe('__keyspace@3__:SENINF');
+
+    const fallback = new RedisService({ REDIS_DB: 2 });
+    expect(fallback.getKeyspaceChannel('SENINF')).toBe('__keyspace@2__:SENINF');
+  });
+
+  test('依新的鍵清單及樣式增減訂閱，通知轉為鍵名及事件', async () => {
+    const service = await connect();
+    const handler = jest.fn();
+
+    await service.watchKeys(['SENINF', 'S1'], handler, ['plc:*']);
+    const subscriber = client.subscriber;
+    expect(Array.from(subscriber.channels.keys())).toEqual(['__keyspace@0__:SENINF', '__keyspace@0__:S1']);
+    expect(Array.from(subscriber.patterns.keys())).toEqual(['__keyspace@0__:plc:*']);
+
+    await service.watchKeys(['SENINF', 'S2'], handler, []);
+    expect(subscriber.unsubscribe).toHaveBeenCalledWith(['__keyspace@0__:S1']);
+    expect(subscriber.subscribe).toHaveBeenLastCalledWith(['__keyspace@0__:S2'], expect.any(Function));
+    expect(subscriber.pUnsubscribe).toHaveBeenCalledWith(['__keyspace@0__:plc:*']);
+    expect(client.duplicate).toHaveBeenCalledTimes(1);
+
+    subscriber.channels.get('__keyspace@0__:S2')('hset', '__keyspace@0__:S2');
+    expect(handler).toHaveBeenCalledWith('S2', 'hset');
+  });
+
+  test('樣式訂閱收到之後才建立的鍵的通知', async () => {
+    const service = await connect();
+    const handler = jest.fn();
+    await service.watchKeys([], handler, ['plc:*']);
+
+    client.subscriber.patterns.get('__keyspace@0__:plc:*')('set', '__keyspace@0__:plc:line3:temp');
+    expect(handler).toHaveBeenCalledWith('plc:line3:temp', 'set');
+  });
+
+  test('訂閱連接中斷及恢復時各通知一次', async () => {
+    const service = await connect();
+    const statuses = [];
+    service.onSubscriberStatus(status => statuses.push(status));
+    await service.watchKeys(['SENINF'], jest.fn());
+
+    const subscriber = client.subscriber;
+    subscriber.emit('error', new Error('ECONNRESET'));
+    subscriber.emit('error', new Error('ECONNREFUSED'));
+    expect(statuses).toEqual(['lost']);
+
+    subscriber.emit('ready');
+    expect(statuses).toEqual(['lost', 'restored']);
+
+    subscriber.emit('end');
+    expect(statuses).toEqual(['lost', 'restored', 'lost']);
+  });
+
+  test('主動關閉連接時不回報中斷', async () => {
+    const service = await connect();
+    const handler = jest.fn();
+    service.onSubscriberStatus(handler);
+    await service.watchKeys(['SENINF'], jest.fn(), ['plc:*']);
+
+    await service.disconnect();
+    expect(handler).not.toHaveBeenCalled();
+    expect(service.watchedKeys.size).toBe(0);
+    expect(service.watchedPatterns.size).toBe(0);
+  });
+
+  test('rediss://網址或REDIS_TLS=true時以TLS連線', async () => {
+    await connect({ REDIS_URL: 'rediss://:pw@redis:6380', REDIS_SERVERNAME: 'redis.example.com' });
+    expect(redis.createClient.mock.calls.pop()[0].socket).toMatchObject({ tls: true, servername: 'redis.example.com', rejectUnauthorized: true });
+
+    await connect({ REDIS_TLS: true, REDIS_REJECT_UNAUTHORIZED: false });
+    expect(redis.createClient.mock.calls.pop()[0].socket).toMatchObject({ tls: true, rejectUnauthorized: false });
+
+    await connect({ REDIS_URL: 'redis://redis:6379', REDIS_TLS: true });
+    expect(redis.createClient.mock.calls.pop()[0].socket.tls).toBeUndefined();
+  });
+});
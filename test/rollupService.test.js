@@ -0,0 +1,102 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const RollupService = require('../src/services/rollupService');
+
+const MINUTE = 60 * 1000;
+const BASE = Date.UTC(2024, 0, 1, 8, 0, 0);
+
+describe('RollupService', () => {
+  let mqttService;
+
+  beforeEach(() => {
+    mqttService = { publishRollup: jest.fn().mockResolvedValue() };
+  });
+
+  test('解析時間窗設定', () => {
+    expect(RollupService.parseWindows('30s, 1m,1h,1d')).toEqual([
+      { name: '30s', size: 30 * 1000 },
+      { name: '1m', size: MINUTE },
+      { name: '1h', size: 60 * MINUTE },
+      { name: '1d', size: 24 * 60 * MINUTE }
+    ]);
+    expect(() => RollupService.parseWindows('5x')).toThrow('格式無效');
+    expect(() => RollupService.parseWindows('0m')).toThrow('格式無效');
+    expect(() => RollupService.parseWindows('7m')).toThrow('必須能整除一天');
+  });
+
+  test('時間窗對齊UTC時鐘邊界', () => {
+    const service = new RollupService({ ROLLUP_WINDOWS: '15m' }, mqttService);
+    expect(service.alignStart(service.windows[0], BASE + 20 * MINUTE + 5000)).toBe(BASE + 15 * MINUTE);
+  });
+
+  test('累計最小值、最大值、平均值及筆數，略過非數值', async () => {
+    const service = new RollupService({ ROLLUP_WINDOWS: '1m' }, mqttService);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: 20, B: 'n/a' } }], BASE + 1000);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: '26' } }], BASE + 2000);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: 23.5 } }], BASE + 3000);
+    await service.stop();
+
+    expect(mqttService.publishRollup).toHaveBeenCalledTimes(1);
+    const [deviceSN, rollup] = mqttService.publishRollup.mock.calls[0];
+    expect(deviceSN).toBe('GW');
+    expect(rollup).toEqual({
+      sensorId: 'S1',
+      window: '1m',
+      start: new Date(BASE).toISOString(),
+      end: new Date(BASE + MINUTE).toISOString(),
+      partial: true,
+      values: {
+        A: {
+          min: 20,
+          max: 26,
+          mean: 23.167,
+          last: 23.5,
+          count: 3,
+          first_at: new Date(BASE + 1000).toISOString(),
+          last_at: new Date(BASE + 3000).toISOString()
+        }
+      }
+    });
+  });
+
+  test('讀值屬於下一個時間窗時先發布目前的時間窗', async () => {
+    const service = new RollupService({ ROLLUP_WINDOWS: '1m,1h' }, mqttService);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: 1 } }], BASE + 1000);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: 5 } }], BASE + MINUTE + 1000);
+
+    expect(mqttService.publishRollup).toHaveBeenCalledTimes(1);
+    const rollup = mqttService.publishRollup.mock.calls[0][1];
+    expect(rollup).toMatchObject({ window: '1m', partial: false, start: new Date(BASE).toISOString() });
+    expect(rollup.values.A).toMatchObject({ min: 1, max: 1, count: 1 });
+
+    // 1小時時間窗仍在累計兩筆讀值
+    expect(service.windows[1].sensors.get('S1').A).toMatchObject({ min: 1, max: 5, count: 2 });
+  });
+
+  test('時鐘邊界到達時由計時器關閉時間窗', async () => {
+    jest.useFakeTimers({ now: BASE + 1000 });
+    try {
+      const service = new RollupService({ ROLLUP_WINDOWS: '1m' }, mqttService);
+      service.start();
+      await service.add('GW', [{ sensorId: 'S1', values: { A: 7 } }]);
+
+      await jest.advanceTimersByTimeAsync(MINUTE);
+      expect(mqttService.publishRollup).toHaveBeenCalledTimes(1);
+      expect(mqttService.publishRollup.mock.calls[0][1]).toMatchObject({ partial: false, values: { A: { last: 7 } } });
+
+      await service.stop();
+      expect(mqttService.publishRollup).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('發布失敗時記錄於統計', async () => {
+    mqttService.publishRollup.mockRejectedValue(new Error('MQTT未連接'));
+    const service = new RollupService({ ROLLUP_WINDOWS: '1m' }, mqttService);
+    await service.add('GW', [{ sensorId: 'S1', values: { A: 1 } }, { sensorId: 'S2', values: { A: 2 } }], BASE);
+    await service.stop();
+
+    expect(service.getStats()).toMatchObject({ published: 0, failed: 2 });
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const SchemaValidator = require('../src/utils/schemaValidator');
+
+describe('SchemaValidator', () => {
+  const ALARM = {
+    event: 'raise',
+    alarmId: 'GW:S1:A:high',
+    active: true,
+    severity: 'warning',
+    sensorId: 'S1',
+    code: 'A',
+    value: 36,
+    limit: 35,
+    direction: 'high',
+    deviceSN: 'GW',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    published_by: 'mqtt-push-service'
+  };
+
+  test('欄位錯誤以JSON Pointer表示，缺少的欄位指向該欄位', () => {
+    const validator = new SchemaValidator({ SCHEMA_VALIDATION: 'report' });
+    const { severity, ...missing } = ALARM;
+
+    expect(validator.validate('alarm.schema.json', ALARM)).toEqual([]);
+    expect(validator.validate('alarm.schema.json', { ...missing, value: '36' }).map(error => [error.field, error.keyword])).toEqual([
+      ['/severity', 'required'],
+      ['/value', 'type']
+    ]);
+    expect(validator.getStats()).toMatchObject({ mode: 'report', validated: 2, invalid: 1, dropped: 0 });
+  });
+
+  describe('validateSensorValues', () => {
+    const SENSOR_VALUES = [
+      { sensorId: 'S1', values: { A: '21.5', B: 'ERR' } },
+      { sensorId: 'S2', values: { A: 1, 'a-b': 2 } },
+      { sensorId: 'S3', values: [1, 2] },
+      { sensorId: 'S4', values: { A: null, B: true } }
+    ];
+
+    test('report模式保留全部資料並回報錯誤', () => {
+      const validator = new SchemaValidator({ SCHEMA_VALIDATION: 'report' });
+      const { data, reports } = validator.validateSensorValues(SENSOR_VALUES);
+
+      expect(data).toEqual(SENSOR_VALUES);
+      expect(reports.map(report => [report.sensorId, report.action, report.errors.map(error => error.field)])).toEqual([
+        ['S1', 'reported', ['/B']],
+        ['S2', 'reported', ['/a-b']],
+        ['S3', 'reported', ['/']]
+      ]);
+    });
+
+    test('strict模式只略過無效的代碼，整體格式錯誤時略過整個感測器', () => {
+      const validator = new SchemaValidator({ SCHEMA_VALIDATION: 'strict' });
+      const { data, reports } = validator.validateSensorValues(SENSOR_VALUES);
+
+      expect(data).toEqual([
+        { sensorId: 'S1', values: { A: '21.5' } },
+        { sensorId: 'S2', values: { A: 1 } },
+        { sensorId: 'S4', values: { A: null, B: true } }
+      ]);
+      expect(reports.every(report => report.action === 'dropped')).toBe(true);
+      expect(validator.getStats().dropped).toBe(3);
+    });
+
+    test('相同錯誤只回報一次，恢復後從失敗清單移除', () => {
+      const validator = new SchemaValidator({ SCHEMA_VALIDATION: 'report' });
+      const invalid = [{ sensorId: 'S1', values: { A: 'ERR' } }];
+
+      expect(validator.validateSensorValues(invalid).reports).toHaveLength(1);
+      expect(validator.validateSensorValues(invalid).reports).toHaveLength(0);
+      expect(validator.getStats().failing).toEqual(['input:S1:S1']);
+
+      validator.validateSensorValues([{ sensorId: 'S1', values: { A: 1 } }]);
+      expect(validator.getStats().failing).toEqual([]);
+      expect(validator.validateSensorValues(invalid).reports).toHaveLength(1);
+    });
+  });
+
+  describe('validateSeninf', () => {
+    const SENINF = [
+      { SN: 'S1', ADDRESS: '1', value: [{ code: 'A', min: '-5', max: '' }] },
+      { SN: 'S2', value: [{ code: 'A', max: 'abc' }] }
+    ];
+
+    test('strict模式略過無效的感測器，report模式保留', () => {
+      const strict = new SchemaValidator({ SCHEMA_VALIDATION: 'strict' }).validateSeninf(SENINF, 'SENINF');
+      expect(strict.data).toEqual([SENINF[0]]);
+      expect(strict.reports).toEqual([expect.objectContaining({
+        direction: 'input',
+        source: 'SENINF',
+        sensorId: 'S2',
+        action: 'dropped',
+        errors: [expect.objectContaining({ field: '/1/ADDRESS' }), expect.objectContaining({ field: '/1/value/0/max' })]
+      })]);
+
+      expect(new SchemaValidator({ SCHEMA_VALIDATION: 'report' }).validateSeninf(SENINF, 'SENINF').data).toEqual(SENINF);
+    });
+
+    test('不是陣列時strict模式不處理任何感測器', () => {
+      const { data, reports } = new SchemaValidator({ SCHEMA_VALIDATION: 'strict' }).validateSeninf({ SN: 'S1' }, 'SENINF');
+
+      expect(data).toEqual([]);
+      expect(reports[0]).toMatchObject({ sensorId: null, errors: [{ field: '/', keyword: 'type' }] });
+    });
+  });
+
+  describe('validateOutput', () => {
+    test('沒有對應schema的資料流直接發布', () => {
+      const validator = new SchemaValidator({ SCHEMA_VALIDATION: 'strict' });
+
+      expect(validator.validateOutput('discovery', 'homeassistant/sensor/x/config', {})).toEqual({ publish: true, report: null });
+      expect(validator.getStats().validated).toBe(0);
+    });
+
+    test('report模式發布並附上報告，strict模式不發布', () => {
+      const invalid = { ...ALARM, severity: 'fatal' };
+
+      const report = new SchemaValidator({ SCHEMA_VALIDATION: 'report' }).validateOutput('alarm', 'device/GW/alarm', invalid);
+      expect(report).toEqual({
+        publish: true,
+        report: {
+          direction: 'output',
+          source: 'alarm',
+          sensorId: 'S1',
+          topic: 'device/GW/alarm',
+          action: 'reported',
+          errors: [expect.objectContaining({ field: '/severity', keyword: 'enum' })]
+        }
+      });
+
+      const strict = new SchemaValidator({ SCHEMA_VALIDATION: 'strict' });
+      expect(strict.validateOutput('alarm', 'device/GW/alarm', invalid)).toMatchObject({ publish: false, report: { action: 'dropped' } });
+      // 相同錯誤不再產生報告，但仍不發布
+      expect(strict.validateOutput('alarm', 'device/GW/alarm', invalid)).toEqual({ publish: false, report: null });
+      expect(strict.validateOutput('alarm', 'device/GW/alarm', ALARM)).toEqual({ publish: true, report: null });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const SensorHealthTracker = require('../src/utils/sensorHealthTracker');
+
+describe('SensorHealthTracker', () => {
+  const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new SensorHealthTracker({ SENSOR_STALE_TIMEOUT: 600000, SENSOR_MISSING_TIMEOUT: 60000 });
+  });
+
+  test('首次讀取到數值時回報online', () => {
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21 } }], T0);
+
+    expect(tracker.evaluate(T0)).toEqual([{
+      sensorId: 'S1',
+      previous: null,
+      status: 'online',
+      lastSeen: '2024-01-01T00:00:00.000Z',
+      lastChange: '2024-01-01T00:00:00.000Z',
+      staleCodes: []
+    }]);
+    expect(tracker.evaluate(T0 + 1000)).toEqual([]);
+  });
+
+  test('數值超過時限未變化時轉為stale，並列出未變化的代碼', () => {
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21, B: 60 } }], T0);
+    tracker.evaluate(T0);
+
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21, B: 61 } }], T0 + 300000);
+    expect(tracker.evaluate(T0 + 600000)).toEqual([]);
+
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21, B: 61 } }], T0 + 900000);
+    expect(tracker.evaluate(T0 + 900000)).toEqual([
+      expect.objectContaining({ sensorId: 'S1', previous: 'online', status: 'stale', staleCodes: ['A', 'B'] })
+    ]);
+
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 22, B: 61 } }], T0 + 960000);
+    expect(tracker.evaluate(T0 + 960000)).toEqual([
+      expect.objectContaining({ previous: 'stale', status: 'online', staleCodes: ['B'] })
+    ]);
+  });
+
+  test('SENSOR_STALE_TIMEOUT為0時不檢查數值變化', () => {
+    tracker = new SensorHealthTracker({ SENSOR_STALE_TIMEOUT: 0 });
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21 } }], T0);
+    tracker.evaluate(T0);
+
+    expect(tracker.evaluate(T0 + 86400000)).toEqual([]);
+    expect(tracker.getStatus('S1')).toBe('online');
+  });
+
+  test('Redis中沒有數值超過缺失時限後轉為missing，重新讀取到後恢復online', () => {
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21 } }], T0);
+    tracker.evaluate(T0);
+
+    tracker.record(['S1'], [], T0 + 10000);
+    expect(tracker.evaluate(T0 + 30000)).toEqual([]);
+    // 缺失時間從第一次缺少數值開始計算
+    tracker.record(['S1'], [], T0 + 40000);
+    expect(tracker.evaluate(T0 + 70000)).toEqual([expect.objectContaining({ previous: 'online', status: 'missing' })]);
+
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21 } }], T0 + 80000);
+    expect(tracker.evaluate(T0 + 80000)).toEqual([expect.objectContaining({ previous: 'missing', status: 'online' })]);
+  });
+
+  test('從未讀取到數值的感測器在缺失時限前不回報狀態', () => {
+    tracker.record(['S1'], [], T0);
+
+    expect(tracker.evaluate(T0 + 30000)).toEqual([]);
+    expect(tracker.getStatus('S1')).toBeNull();
+    expect(tracker.evaluate(T0 + 60000)).toEqual([expect.objectContaining({ previous: null, status: 'missing', lastSeen: null })]);
+  });
+
+  test('Redis鍵被刪除時開始計算缺失時間，未追蹤的感測器不處理', () => {
+    tracker.record(['S1'], [{ sensorId: 'S1', values: { A: 21 } }], T0);
+    tracker.evaluate(T0);
+
+    tracker.markAbsent('S1', T0 + 1000);
+    tracker.markAbsent('S1', T0 + 30000);
+    tracker.markAbsent('S9', T0 + 1000);
+
+    expect(tracker.sensors.has('S9')).toBe(false);
+    expect(tracker.evaluate(T0 + 61000)).toEqual([expect.objectContaining({ sensorId: 'S1', status: 'missing' })]);
+  });
+
+  test('移除已不在SENINF中的感測器並統計各狀態數量', () => {
+    tracker.record(['S1', 'S2', 'S3'], [{ sensorId: 'S1', values: { A: 1 } }, { sensorId: 'S2', values: { A: 1 } }], T0);
+    tracker.evaluate(T0 + 60000);
+
+    expect(tracker.getStats()).toEqual({ online: 2, stale: 0, missing: 1 });
+
+    tracker.prune(['S1', 'S3']);
+    expect(Array.from(tracker.sensors.keys())).toEqual(['S1', 'S3']);
+    expect(tracker.getStats()).toEqual({ online: 1, stale: 0, missing: 1 });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const SensorProcessor = require('../src/utils/sensorProcessor');
+const MqttService = require('../src/services/mqttService');
+
+describe('SensorProcessor.enrichSensorValue', () => {
+  const processor = new SensorProcessor();
+  const SENSOR = processor.processSingleSensor({
+    SN: 'S1',
+    ADDRESS: '1',
+    DES: '後溫度',
+    name: '後段',
+    profile: 'broiler',
+    value: [{ code: 'A', name: '舍內溫度', min: '-5', max: '35' }, { code: 'B', max: '90' }]
+  });
+
+  test('結合SENINF設定及單位建立自我描述的數值', () => {
+    expect(processor.enrichSensorValue({ sensorId: 'S1', values: { A: '21.5', B: 95 } }, SENSOR)).toEqual({
+      sensorId: 'S1',
+      sensor: { serial_number: 'S1', name: '後段', description: '後溫度', address: '1', profile: 'broiler' },
+      values: {
+        A: { value: 21.5, unit: '℃', type: '溫度', label: '舍內溫度', min: -5, max: 35, in_range: true },
+        B: { value: 95, unit: '%', type: '濕度', label: null, min: null, max: 90, in_range: false }
+      }
+    });
+  });
+
+  test('沒有SENINF設定或未知代碼時保留原值，無法判斷的欄位為null', () => {
+    expect(processor.enrichSensorValue({ sensorId: 'S9', values: { X9: 'ERR' } }, null)).toEqual({
+      sensorId: 'S9',
+      sensor: null,
+      values: { X9: { value: 'ERR', unit: null, type: null, label: null, min: null, max: null, in_range: null } }
+    });
+    expect(processor.enrichSensorValue({ sensorId: 'S9' }, null).values).toEqual({});
+  });
+
+  test('只設定單邊上下限時只檢查該邊', () => {
+    expect(processor.isInRange(100, null, 90)).toBe(false);
+    expect(processor.isInRange(-10, null, 90)).toBe(true);
+    expect(processor.isInRange(5, 10, null)).toBe(false);
+    expect(processor.isInRange(null, 0, 10)).toBeNull();
+    expect(processor.isInRange(5, null, null)).toBeNull();
+  });
+
+  test('SENSOR_VALUE_FORMAT決定發布內容的格式，計算錯誤附在calc_errors', () => {
+    const sensorValue = { sensorId: 'S1', values: { A: '21.5', L: null }, sensor: SENSOR, calcErrors: { L: '除以零', X: '不在數值中' } };
+
+    expect(new MqttService({}).buildSensorValueContent(sensorValue)).toEqual({ A: '21.5', L: null, calc_errors: { L: '除以零' } });
+
+    const enriched = new MqttService({ SENSOR_VALUE_FORMAT: 'enriched' }).buildSensorValueContent(sensorValue);
+    expect(enriched.sensor.serial_number).toBe('S1');
+    expect(enriched.values.A).toMatchObject({ value: 21.5, label: '舍內溫度', in_range: true });
+    expect(enriched.calc_errors).toEqual({ L: '除以零' });
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sparkplug = require('sparkplug-payload').get('spBv1.0');
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const SparkplugService = require('../src/services/sparkplugService');
+
+describe('SparkplugService', () => {
+  let dir;
+  let mqttService;
+  let messages;
+
+  const SENINF = [
+    { SN: 'S1', ADDRESS: '1', value: [{ code: 'A', min: '-5', max: '35' }, { code: 'B', name: '濕度' }] },
+    { SN: 'S2', ADDRESS: '2', value: [{ code: 'C' }] }
+  ];
+
+  const createService = () => new SparkplugService({ SPARKPLUG_BDSEQ_PATH: path.join(dir, 'bdseq.json') }, mqttService, 'GW');
+  const types = () => messages.map(message => message.topic.split('/')[2]);
+  const seqs = () => messages.map(message => Number(message.payload.seq));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparkplug-'));
+    messages = [];
+    mqttService = {
+      isReady: jest.fn(() => true),
+      subscribe: jest.fn().mockResolvedValue(),
+      publishSparkplug: jest.fn(async (topic, payload) => {
+        messages.push({ topic, payload: sparkplug.decodePayload(payload) });
+      })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('主題依命名空間、群組及Edge Node組合', () => {
+    const service = createService();
+    expect(service.getTopic('NBIRTH')).toBe('spBv1.0/farm/NBIRTH/GW');
+    expect(service.getTopic('DDATA', 'S1')).toBe('spBv1.0/farm/DDATA/GW/S1');
+  });
+
+  test('每次連線遞增bdSeq，服務重啟後延續並在255後回到0', () => {
+    const service = createService();
+    service.nextSession();
+    const will = service.nextSession();
+
+    expect(service.bdSeq).toBe(1);
+    expect(will.topic).toBe('spBv1.0/farm/NDEATH/GW');
+    expect(Number(sparkplug.decodePayload(will.payload).metrics[0].value)).toBe(1);
+
+    expect(createService().bdSeq).toBe(1);
+
+    fs.writeFileSync(path.join(dir, 'bdseq.json'), JSON.stringify({ bdSeq: 255 }));
+    const restored = createService();
+    restored.nextSession();
+    expect(restored.bdSeq).toBe(0);
+  });
+
+  test('NBIRTH的seq為0，之後的DBIRTH依序遞增', async () => {
+    const service = createService();
+    service.nextSession();
+    await service.updateDevices(SENINF);
+    messages = [];
+
+    await service.publishBirth();
+    expect(types()).toEqual(['NBIRTH', 'DBIRTH', 'DBIRTH']);
+    expect(seqs()).toEqual([0, 1, 2]);
+    expect(messages[0].payload.metrics.map(metric => metric.name)).toEqual(['bdSeq', 'Node Control/Rebirth', 'FeedDay']);
+  });
+
+  test('seq在255後回到0', () => {
+    const service = createService();
+    service.seq = 255;
+
+    expect([service.nextSeq(), service.nextSeq()]).toEqual([255, 0]);
+  });
+
+  test('DBIRTH指標包含單位及上下限屬性', async () => {
+    const service = createService();
+    await service.updateDevices(SENINF);
+
+    expect(messages[0].topic).toBe('spBv1.0/farm/DBIRTH/GW/S1');
+    const [temperature, humidity] = messages[0].payload.metrics;
+    expect(temperature).toMatchObject({ name: '溫度', type: 'Double' });
+    expect(temperature.properties).toMatchObject({
+      code: { type: 'String', value: 'A' },
+      engUnit: { type: 'String', value: '℃' },
+      engLow: { type: 'Double', value: -5 },
+      engHigh: { type: 'Double', value: 35 }
+    });
+    expect(humidity.name).toBe('濕度');
+    expect(humidity.properties.engLow).toBeUndefined();
+  });
+
+  test('定義未變更時不重新發布DBIRTH，移除的感測器發布DDEATH', async () => {
+    const service = createService();
+    await service.updateDevices(SENINF);
+    messages = [];
+
+    await service.updateDevices(SENINF);
+    expect(messages).toEqual([]);
+
+    await service.updateDevices([SENINF[0], { ...SENINF[1], value: [{ code: 'C', max: '3000' }] }]);
+    expect(messages.map(message => message.topic)).toEqual(['spBv1.0/farm/DBIRTH/GW/S2']);
+
+    await service.updateDevices([SENINF[0]]);
+    expect(messages[1].topic).toBe('spBv1.0/farm/DDEATH/GW/S2');
+    expect(service.devices.has('S2')).toBe(false);
+  });
+
+  test('DDATA只包含DBIRTH中定義的指標，之後的DBIRTH帶入最後數值', async () => {
+    const service = createService();
+    await service.updateDevices(SENINF);
+    messages = [];
+
+    const published = await service.publishDeviceData([
+      { sensorId: 'S1', values: { A: '21.5', Z: 1 }, timestamp: '2024-01-01T00:00:00.000Z' },
+      { sensorId: 'S9', values: { A: 1 }, timestamp: '2024-01-01T00:00:00.000Z' }
+    ]);
+
+    expect(published).toBe(1);
+    expect(messages[0].topic).toBe('spBv1.0/farm/DDATA/GW/S1');
+    expect(messages[0].payload.metrics).toEqual([
+      expect.objectContaining({ name: '溫度', type: 'Double', value: 21.5 })
+    ]);
+
+    await service.publishDeviceBirth('S1');
+    expect(messages[1].payload.metrics[0].value).toBe(21.5);
+  });
+
+  test('收到Rebirth指令時重新發布出生訊息', async () => {
+    const service = createService();
+    const publishBirth = jest.spyOn(service, 'publishBirth').mockResolvedValue();
+
+    service.handleNodeCommand(sparkplug.encodePayload({ metrics: [{ name: 'Node Control/Rebirth', type: 'Boolean', value: true }] }));
+    service.handleNodeCommand(Buffer.from('not protobuf'));
+    expect(publishBirth).toHaveBeenCalledTimes(1);
+  });
+});
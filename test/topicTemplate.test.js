@@ -0,0 +1,48 @@
+const { getPlaceholders, renderTopic, validateTopicTemplate } = require('../src/utils/topicTemplate');
+
+describe('topicTemplate', () => {
+  test('取得模板中的佔位符', () => {
+    expect(getPlaceholders('{prefix}/{deviceSN}/{sensorSN}/{sensorCode}')).toEqual(['prefix', 'deviceSN', 'sensorSN', 'sensorCode']);
+    expect(getPlaceholders('service/status')).toEqual([]);
+  });
+
+  test('替換佔位符，缺少數值時拋出錯誤', () => {
+    expect(renderTopic('{prefix}/{site}/{deviceSN}/seninf', { prefix: 'device', site: 'barn-2', deviceSN: 'GW' })).toBe('device/barn-2/GW/seninf');
+    expect(renderTopic('{prefix}/{deviceSN}/{sensorSN}', { prefix: 'device', deviceSN: 'GW', sensorSN: 123 })).toBe('device/GW/123');
+    expect(() => renderTopic('{prefix}/{deviceSN}', { prefix: 'device', deviceSN: '' })).toThrow('主題模板 {prefix}/{deviceSN} 缺少佔位符 {deviceSN} 的數值');
+  });
+
+  test('有效的模板沒有錯誤', () => {
+    expect(validateTopicTemplate('sensor_value', '{prefix}/{deviceSN}/{sensorSN}', {})).toEqual([]);
+    expect(validateTopicTemplate('rollup', '{prefix}/{site}/{deviceSN}/rollup/{window}/{sensorSN}', { SITE_ID: 'barn-2' })).toEqual([]);
+    expect(validateTopicTemplate('bridge', '{prefix}/{deviceSN}/plc/{match}', {}, 'bridge.json: line1.topic')).toEqual([]);
+  });
+
+  test('拒絕空白模板、萬用字元、空白層級及 $ 開頭', () => {
+    expect(validateTopicTemplate('seninf', '', {})).toEqual(['TOPIC_SENINF不可為空']);
+    expect(validateTopicTemplate('seninf', '{prefix}/+/seninf', {})).toEqual(['TOPIC_SENINF不可包含萬用字元 + 或 #']);
+    expect(validateTopicTemplate('seninf', '{prefix}//seninf/', {})).toEqual(['TOPIC_SENINF不可有空白的主題層級']);
+    expect(validateTopicTemplate('status', '$SYS/status', {})).toEqual(['TOPIC_STATUS不可以 $ 開頭']);
+  });
+
+  test('拒絕資料流不支援的佔位符及缺少必要的佔位符', () => {
+    expect(validateTopicTemplate('seninf', '{prefix}/{sensorSN}/seninf', {})).toEqual(['TOPIC_SENINF不支援佔位符: {sensorSN}']);
+    expect(validateTopicTemplate('sensor_value', '{prefix}/{deviceSN}/values', {})).toEqual(['TOPIC_SENSOR_VALUE必須包含佔位符: {sensorSN}']);
+    expect(validateTopicTemplate('rollup', '{prefix}/{deviceSN}/{sensorSN}', {})).toEqual(['TOPIC_ROLLUP必須包含佔位符: {window}']);
+    expect(validateTopicTemplate('command', '{prefix}/cmd', {})).toEqual(['TOPIC_COMMAND必須包含佔位符: {deviceSN}']);
+  });
+
+  test('拒絕格式無效的佔位符及未設定SITE_ID時使用 {site}', () => {
+    expect(validateTopicTemplate('seninf', '{prefix}/{device-SN}/seninf', {})).toEqual(['TOPIC_SENINF的佔位符格式無效']);
+    expect(validateTopicTemplate('status', '{prefix}/{site}/status', {})).toEqual(['TOPIC_STATUS使用了 {site}，但未設定SITE_ID']);
+  });
+
+  test('一次列出所有錯誤', () => {
+    expect(validateTopicTemplate('sensor_status', '/{prefix}/#/{key}', {})).toEqual([
+      'TOPIC_SENSOR_STATUS不可包含萬用字元 + 或 #',
+      'TOPIC_SENSOR_STATUS不可有空白的主題層級',
+      'TOPIC_SENSOR_STATUS不支援佔位符: {key}',
+      'TOPIC_SENSOR_STATUS必須包含佔位符: {sensorSN}'
+    ]);
+  });
+});